@@ -0,0 +1,236 @@
+/**
+ * Structured address parsing with offline geographic enrichment
+ * Profiles store the address as up to four free-text lines. This splits them
+ * into street, building, unit, city, state and ZIP, recognizes hospital and
+ * campus names, and looks the ZIP code up in the bundled table
+ * (src/data/zip-codes.json) for city, state and approximate coordinates.
+ */
+
+const ZIP_TABLE = require('../data/zip-codes.json');
+
+// Hospitals and campuses, canonical name first; short acronyms only match in upper case
+const CAMPUSES = [
+    { name: 'Massachusetts General Hospital', patterns: [/\bMGH\b/, /\bMass(?:achusetts)? General\b/i] },
+    { name: "Brigham and Women's Hospital", patterns: [/\bBWH\b/, /\bBrigham (?:and|&) Women/i] },
+    { name: 'Beth Israel Deaconess Medical Center', patterns: [/\bBIDMC\b/, /\bBeth Israel Deaconess\b/i] },
+    { name: 'Dana-Farber Cancer Institute', patterns: [/\bDFCI\b/, /\bDana[- ]Farber\b/i] },
+    { name: "Boston Children's Hospital", patterns: [/\bBCH\b/, /\bBoston Children'?s\b/i, /\bChildren'?s Hospital Boston\b/i] },
+    { name: 'Boston Medical Center', patterns: [/\bBMC\b/, /\bBoston Medical Center\b/i] },
+    { name: 'Massachusetts Eye and Ear', patterns: [/\bMEEI?\b/, /\bMass(?:achusetts)? Eye (?:and|&) Ear\b/i] },
+    { name: 'McLean Hospital', patterns: [/\bMcLean Hospital\b/i] },
+    { name: 'Spaulding Rehabilitation Hospital', patterns: [/\bSpaulding\b/i] },
+    { name: 'Joslin Diabetes Center', patterns: [/\bJoslin\b/i] },
+    { name: 'Cambridge Health Alliance', patterns: [/\bCambridge Health Alliance\b/i] },
+    { name: 'Mount Auburn Hospital', patterns: [/\bM(?:oun)?t\.? Auburn Hospital\b/i] },
+    { name: 'VA Boston Healthcare System', patterns: [/\bVA Boston\b/i] },
+    { name: 'Hebrew SeniorLife', patterns: [/\bHebrew (?:SeniorLife|Rehabilitation)\b/i] },
+    { name: 'Harvard Medical School', patterns: [/\bHMS\b/, /\bHarvard Medical School\b/i] },
+    { name: 'Harvard T.H. Chan School of Public Health', patterns: [/\bHSPH\b/, /\bHarvard (?:T\.? ?H\.? )?Chan\b/i, /\bHarvard School of Public Health\b/i] },
+    { name: 'Broad Institute', patterns: [/\bBroad Institute\b/i] },
+    { name: 'Wyss Institute', patterns: [/\bWyss\b/i] },
+    { name: 'Charlestown Navy Yard', patterns: [/\bCharlestown Navy Yard\b/i] },
+    { name: 'Longwood Medical Area', patterns: [/\bLongwood (?:Ave(?:nue)?|Medical|Campus)\b/i] }
+];
+
+const STREET_NUMBER = /^\d+[A-Za-z]?(?:\s?[-–]\s?\d+[A-Za-z]?)?\s+\S/;
+const STREET_SUFFIX = /\b(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Pl|Place|Way|Dr|Drive|Ln|Lane|Ct|Court|Sq|Square|Pkwy|Parkway|Plaza|Ter|Terrace|Hwy|Highway|Cir|Circle|Row|Wharf)\.?$/i;
+const PO_BOX = /^(?:P\.?\s?O\.?\s*)?Box\s+\d+/i;
+const UNIT = /^(?:(?:Room|Rm|Suite|Ste|Floor|Fl|Mail ?Stop|MS|Unit|Apt)\b\.?|\d+(?:st|nd|rd|th) (?:Floor|Fl)\b\.?|#)/i;
+const COUNTRY = /^(?:USA|U\.S\.A\.?|US|U\.S\.|United States(?: of America)?)$/i;
+
+// Two-letter codes and full names of states, by lowercase spelling
+const STATE_LOOKUP = new Map(Object.entries(ZIP_TABLE.states).flatMap(([code, name]) => [
+    [code.toLowerCase(), code],
+    [name.toLowerCase(), code]
+]));
+
+/**
+ * Parse address lines into components
+ * @param {string[]|string} lines - AddressLine1-4 (empty lines allowed) or a comma-joined address
+ * @returns {Object} { street, building, unit, city, state, zip, campuses, latitude, longitude, geoPrecision }
+ *
+ * Example: ["Channing Laboratory", "181 Longwood Ave", "Boston, MA 02115"] ->
+ * { street: "181 Longwood Ave", building: "Channing Laboratory", unit: "", city: "Boston",
+ *   state: "MA", zip: "02115", campuses: ["Longwood Medical Area"], latitude: 42.343,
+ *   longitude: -71.092, geoPrecision: "zip" }
+ */
+function parseAddress(lines) {
+    const segments = (Array.isArray(lines) ? lines : [lines])
+        .flatMap(line => String(line || '').split(','))
+        .map(segment => segment.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+    while (segments.length > 0 && COUNTRY.test(segments[segments.length - 1])) {
+        segments.pop();
+    }
+
+    const address = {
+        street: '',
+        building: '',
+        unit: '',
+        city: '',
+        state: '',
+        zip: '',
+        campuses: findCampuses(segments.join(', ')),
+        latitude: null,
+        longitude: null,
+        geoPrecision: null
+    };
+
+    // City, state and ZIP come last: "Boston MA 02115", "Boston" + "MA 02115-5727"
+    // or "Boston" + "MA" + "02115"
+    for (let index = segments.length - 1; index >= 0; index--) {
+        const match = matchCityStateZip(segments[index]);
+        if (!match) continue;
+
+        Object.assign(address, { state: match.state, zip: match.zip });
+        segments.splice(index, 1);
+        let city = match.city;
+
+        // A ZIP code on its own line: the line above may hold the state, when it fits the ZIP code
+        const cityState = !match.state && !city && index > 0 ? matchCityState(segments[index - 1]) : null;
+        const zipState = lookupZipPrefix(match.zip);
+        if (cityState && (!zipState || zipState === cityState.state)) {
+            address.state = cityState.state;
+            city = cityState.city;
+            segments.splice(--index, 1);
+        }
+
+        if (city) {
+            address.city = city;
+        } else if (index > 0 && !isStreet(segments[index - 1])) {
+            address.city = segments.splice(index - 1, 1)[0];
+        }
+        break;
+    }
+
+    // Everything else is street, unit or building (department, lab, hospital)
+    const building = [];
+    for (const segment of segments) {
+        if (!address.street && isStreet(segment)) {
+            address.street = segment;
+        } else if (!address.unit && UNIT.test(segment)) {
+            address.unit = segment;
+        } else {
+            building.push(segment);
+        }
+    }
+    address.building = building.join(', ');
+
+    return enrichFromZip(address);
+}
+
+/**
+ * Match "City ST 02115" (or just "ST 02115") with a known state
+ * @param {string} segment - Address segment
+ * @returns {Object|null} { city, state, zip } or null
+ */
+function matchCityStateZip(segment) {
+    const match = segment.match(/^(.*?)\s*(\d{5})(?:-\d{4})?$/);
+    if (!match) return null;
+
+    const cityState = matchCityState(match[1]);
+    if (cityState) {
+        return { ...cityState, zip: match[2] };
+    }
+
+    // No state: a bare ZIP code, or "City 02115"
+    const words = match[1].split(' ').filter(Boolean);
+    if (words.length === 0 || !(UNIT.test(segment) || isStreet(segment))) {
+        return { city: words.join(' '), state: '', zip: match[2] };
+    }
+    return null;
+}
+
+/**
+ * Match "City ST" (or just "ST") with a known state
+ * The state is the last one or two words ("MA", "Mass.", "New York")
+ * @param {string} segment - Address segment, without the ZIP code
+ * @returns {Object|null} { city, state } or null
+ */
+function matchCityState(segment) {
+    const words = segment.replace(/\.$/, '').split(' ').filter(Boolean);
+    for (const count of [2, 1]) {
+        if (words.length < count) continue;
+        const state = lookupState(words.slice(-count).join(' '));
+        if (state) {
+            return { city: words.slice(0, -count).join(' '), state };
+        }
+    }
+    return null;
+}
+
+/**
+ * Look up a state by code or name
+ * @param {string} value - "MA", "Mass." or "Massachusetts"
+ * @returns {string} Two-letter code or ""
+ */
+function lookupState(value) {
+    // Two-letter codes only in upper case, so words like "in" or "or" are not states
+    if (/^[a-z]{2}$/i.test(value) && value !== value.toUpperCase()) return '';
+
+    const key = String(value).replace(/\./g, '').trim().toLowerCase();
+    if (key === 'mass') return 'MA';
+    return STATE_LOOKUP.get(key) || '';
+}
+
+/**
+ * Check whether an address segment is a street line or PO box
+ * @param {string} segment - Address segment
+ * @returns {boolean} True for street lines
+ */
+function isStreet(segment) {
+    return PO_BOX.test(segment) || STREET_NUMBER.test(segment) || STREET_SUFFIX.test(segment);
+}
+
+/**
+ * Recognize hospital and campus names in an address
+ * @param {string} text - Address text
+ * @returns {string[]} Canonical names, in CAMPUSES order
+ */
+function findCampuses(text) {
+    return CAMPUSES
+        .filter(campus => campus.patterns.some(pattern => pattern.test(text)))
+        .map(campus => campus.name);
+}
+
+/**
+ * Fill city, state and coordinates from the bundled ZIP code table
+ * Known ZIP codes give city, state and the approximate ZIP centroid; other
+ * US ZIP codes give the state only (from the 3-digit prefix)
+ * @param {Object} address - Parsed address
+ * @returns {Object} Same address, enriched
+ */
+function enrichFromZip(address) {
+    if (!address.zip) return address;
+
+    const known = ZIP_TABLE.zips[address.zip];
+    if (known) {
+        const [city, state, latitude, longitude] = known;
+        address.city = address.city || city;
+        address.state = address.state || state;
+        Object.assign(address, { latitude, longitude, geoPrecision: 'zip' });
+        return address;
+    }
+
+    address.state = address.state || lookupZipPrefix(address.zip);
+    return address;
+}
+
+/**
+ * State of a ZIP code by its 3-digit prefix
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {string} Two-letter code or ""
+ */
+function lookupZipPrefix(zip) {
+    const prefix = String(zip).slice(0, 3);
+    const range = ZIP_TABLE.prefixes.find(([from, to]) => prefix >= from && prefix <= to);
+    return range ? range[2] : '';
+}
+
+module.exports = {
+    parseAddress,
+    findCampuses,
+    lookupZipPrefix,
+    CAMPUSES
+};
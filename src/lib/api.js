@@ -1,10 +1,58 @@
 /**
  * API integration for Harvard Catalyst Profiles
+ * Works against any Profiles RNS installation described by a site (see sites.js)
  */
 
-const API_BASE = 'https://connects.catalyst.harvard.edu/profiles';
-const SEARCH_ENDPOINT = `${API_BASE}/Search/SearchSvc.aspx?SearchType=person`;
-const PROFILE_BASE = `${API_BASE}/display/Person`;
+const { DEFAULT_SITE } = require('./sites.js');
+const { getSessionProxyUrl, withProxy, API_PROXY_SESSION } = require('./proxy.js');
+const { rateLimiter } = require('./rate-limiter.js');
+
+const API_BASE = DEFAULT_SITE.baseUrl;
+
+// Sort orders accepted by SearchSvc
+const SORT_OPTIONS = ['relevance', 'name', 'institution', 'department', 'facultyrank'];
+
+// Listing fields already mapped onto the profile itself
+const MAPPED_LISTING_FIELDS = ['DisplayName', 'PersonID', 'InstitutionName', 'DepartmentName', 'FacultyRank'];
+
+// Friendlier names for extra listing fields; other fields are camelCased as-is
+const LISTING_EXTRA_NAMES = {
+    NodeID: 'nodeId',
+    URI: 'uri',
+    Weight: 'matchWeight',
+    SortOrder: 'sortOrder',
+    FacultyRankSort: 'facultyRankSort',
+    PhotoURL: 'photoUrl'
+};
+
+// Backoff between the attempts of one search request
+const REQUEST_RETRY_DELAYS = [1000, 2000, 4000];
+
+// Backoff before each end-of-search retry of a skipped listing page
+const SKIPPED_PAGE_RETRY_DELAYS = [10000, 30000, 60000];
+const MAX_CONSECUTIVE_RETRY_FAILURES = 10; // Give up retrying when the API looks down
+
+// Facet dimensions an oversized search can be split by, in order
+const PARTITION_DIMENSIONS = [
+    { field: 'institution', exceptField: 'institutionExcept', facet: 'institutions' },
+    { field: 'department', exceptField: 'departmentExcept', facet: 'departments' },
+    { field: 'facultyType', exceptField: null, facet: 'facultyTypes' }
+];
+
+// Search fields of one query, in input naming, with their defaults
+const QUERY_DEFAULTS = {
+    searchKeywords: '',
+    firstName: '',
+    lastName: '',
+    department: '',
+    institution: '',
+    facultyType: '',
+    otherOptions: [],
+    keywordExact: false,
+    departmentExcept: false,
+    institutionExcept: false,
+    sort: 'relevance'
+};
 
 /**
  * Sanitize user input to prevent injection attacks
@@ -23,84 +71,343 @@ function sanitizeInput(input) {
         .trim();
 }
 
+/**
+ * Build the SearchSvc request payload from user search parameters
+ * All fields MUST be present, SearchSvc rejects partial payloads
+ * @param {Object} params - Search parameters
+ * @param {number} count - Page size
+ * @param {number} offset - 1-based result offset
+ * @returns {Object} Request payload
+ */
+function buildSearchPayload(params, count, offset) {
+    const {
+        keyword,
+        firstName,
+        lastName,
+        department,
+        institution,
+        facultyType,
+        otherOptions,
+        keywordExact,
+        departmentExcept,
+        institutionExcept,
+        sort,
+        site = DEFAULT_SITE
+    } = params || {};
+
+    const safeSort = sanitizeInput(sort || '').toLowerCase();
+
+    const payload = {
+        Keyword: sanitizeInput(keyword || ''),
+        LastName: sanitizeInput(lastName || ''),
+        FirstName: sanitizeInput(firstName || ''),
+        InstitutionName: sanitizeInput(institution || ''),
+        DepartmentName: sanitizeInput(department || ''),
+        FacultyTypeName: sanitizeInput(facultyType || ''),
+        OtherOptionsName: Array.isArray(otherOptions)
+            ? otherOptions.map(option => sanitizeInput(option)).filter(Boolean)
+            : [],
+        KeywordExact: keywordExact === true,
+        DepartmentExcept: departmentExcept === true,
+        InstitutionExcept: institutionExcept === true,
+        Sort: SORT_OPTIONS.includes(safeSort) ? safeSort : 'relevance',
+        SearchType: site.searchType,
+        Count: count,
+        Offset: offset
+    };
+
+    // Per-site payload quirks
+    Object.assign(payload, site.payloadExtras);
+    for (const field of site.unsupportedFields) {
+        delete payload[field];
+    }
+
+    return payload;
+}
+
+/**
+ * Fetch one SearchSvc page with retry logic (5 attempts)
+ * Paced by the shared rate limiter (`api` lane)
+ * @param {Object} payload - Request payload (see buildSearchPayload)
+ * @param {Object} [site] - Site to search (see sites.js)
+ * @param {Object} [proxyConfiguration] - Proxy configuration, requests go direct when absent
+ * @param {Array<number>} [retryDelays] - Backoff between attempts
+ * @returns {Promise<Object>} Parsed response ({ Count, People, ... })
+ */
+async function fetchSearchPage(payload, site = DEFAULT_SITE, proxyConfiguration = null, retryDelays = REQUEST_RETRY_DELAYS) {
+    return withRetry(async () => {
+        const proxyUrl = await getSessionProxyUrl(proxyConfiguration, API_PROXY_SESSION);
+        await rateLimiter.wait('api');
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
+
+        try {
+            let response;
+            try {
+                response = await fetch(site.searchEndpoint, withProxy({
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json',
+                        'Accept-Language': 'en-US,en;q=0.9',
+                        'User-Agent': 'Mozilla/5.0'
+                    },
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                }, proxyUrl));
+            } catch (networkError) {
+                rateLimiter.onError('api');
+                throw networkError;
+            }
+
+            // 429/503 pause every lane, honoring Retry-After
+            rateLimiter.onResponse('api', response.status, response.headers.get('retry-after'));
+
+            if (!response.ok) {
+                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+            }
+
+            // Handle JSON parse errors specifically
+            try {
+                return await response.json();
+            } catch (parseError) {
+                throw new Error(`Invalid JSON response: ${parseError.message}`);
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }, 5, retryDelays);
+}
+
+/**
+ * Ask SearchSvc how many profiles match, without paging through them
+ * @param {Object} params - Search parameters
+ * @returns {Promise<number>} Total matching profiles
+ */
+async function fetchTotalCount(params) {
+    const data = await fetchSearchPage(buildSearchPayload(params, 1, 1), params.site, params.proxyConfiguration, params.requestRetryDelays);
+    return Number(data.Count) || 0;
+}
+
 /**
  * Search profiles via API
  * @param {Object} params - Search parameters
- * @returns {Array} Array of profile objects
+ * @param {string} [params.keyword] - Free-text keyword
+ * @param {string} [params.firstName] - First name filter
+ * @param {string} [params.lastName] - Last name filter
+ * @param {string} [params.department] - Department filter
+ * @param {string} [params.institution] - Institution filter
+ * @param {string} [params.facultyType] - Faculty type filter
+ * @param {Array<string>} [params.otherOptions] - Additional SearchSvc options
+ * @param {boolean} [params.keywordExact] - Match keyword as exact phrase
+ * @param {boolean} [params.departmentExcept] - Search all departments except `department`
+ * @param {boolean} [params.institutionExcept] - Search all institutions except `institution`
+ * @param {string} [params.sort] - Sort order (see SORT_OPTIONS)
+ * @param {boolean} [params.includeRawListing] - Keep each untouched listing item as `rawListing`
+ * @param {Object} [params.site] - Site to search (see sites.js), Harvard Catalyst by default
+ * @param {Object} [params.proxyConfiguration] - Proxy configuration for the search API
+ * @param {number} params.maxItems - Maximum profiles to collect
+ * @param {Object} [options] - Options
+ * @param {Object} [options.partition] - Split oversized searches: { facets, threshold }
+ * @param {Object} [options.report] - Receives totalAvailable, collected, coverage, slices and missingPages
+ * @param {Array<number>} [options.retryDelays] - Backoff before each retry of a skipped page
+ * @param {Array<number>} [options.requestRetryDelays] - Backoff between the attempts of one search request
+ * @yields {Array} Profile objects of each listing page, as soon as the page arrives
+ */
+async function* searchProfiles(searchParams, { partition = null, report = {}, retryDelays = SKIPPED_PAGE_RETRY_DELAYS, requestRetryDelays = REQUEST_RETRY_DELAYS } = {}) {
+    // Slices and skipped pages carry the request backoff along with the search
+    const params = { ...searchParams, requestRetryDelays };
+    const { maxItems } = params;
+    const skipped = [];
+    Object.assign(report, {
+        totalAvailable: null,
+        expected: null,
+        collected: 0,
+        coverage: null,
+        partitioned: false,
+        slices: [],
+        skippedPages: 0,
+        missingPages: []
+    });
+
+    // Only probe for oversized searches when more profiles are wanted than one walk can reach
+    let pages;
+    if (partition && maxItems > partition.threshold) {
+        report.totalAvailable = await fetchTotalCount(params);
+
+        const dimension = nextPartitionDimension(params, partition, 0);
+        if (report.totalAvailable > partition.threshold && dimension !== -1) {
+            console.log(`🧩 ${report.totalAvailable} results exceed ${partition.threshold}, splitting search into slices...`);
+            report.partitioned = true;
+            pages = walkSlices(params, partition, report, dimension, skipped);
+        }
+    }
+    if (!pages) {
+        pages = walkSearch(params, report, skipped);
+    }
+
+    // Slices can overlap (e.g. joint appointments), so merge them by personId
+    const seen = new Set();
+    const takeFresh = (page) => {
+        const fresh = [];
+        for (const profile of page) {
+            if (report.collected >= maxItems) break;
+            if (seen.has(profile.personId)) continue;
+            seen.add(profile.personId);
+            fresh.push(profile);
+            report.collected++;
+        }
+        return fresh;
+    };
+
+    for await (const page of pages) {
+        const fresh = takeFresh(page);
+        if (fresh.length > 0) {
+            yield fresh;
+        }
+        if (report.collected >= maxItems) break;
+    }
+
+    // Retry the pages skipped during the walk, unless we already have enough
+    report.skippedPages = skipped.length;
+    if (skipped.length > 0 && report.collected < maxItems) {
+        for await (const page of retrySkippedPages(skipped, retryDelays)) {
+            const fresh = takeFresh(page);
+            if (fresh.length > 0) {
+                yield fresh;
+            }
+            if (report.collected >= maxItems) break;
+        }
+
+        report.missingPages = skipped
+            .filter(entry => !entry.recovered)
+            .map(({ offset, pageSize, filters, attempts, error }) => ({ offset, pageSize, filters, attempts, error }));
+
+        if (report.missingPages.length > 0) {
+            console.error(`❌ ${report.missingPages.length} listing pages still missing after retries (offsets ${report.missingPages.map(entry => entry.offset).join(', ')})`);
+        }
+    }
+
+    if (report.totalAvailable) {
+        report.expected = Math.min(report.totalAvailable, maxItems);
+        report.coverage = Math.round(report.collected / report.expected * 1000) / 10;
+        console.log(`📊 Coverage: ${report.collected} of ${report.expected} expected profiles (${report.coverage}%)`);
+    }
+}
+
+/**
+ * Find the first dimension an oversized search can still be split by
+ * Dimensions the query already pins to one value are skipped
+ * @param {Object} params - Search parameters
+ * @param {Object} partition - { facets, threshold }
+ * @param {number} start - First dimension index to consider
+ * @returns {number} Index into PARTITION_DIMENSIONS, or -1 when none is left
  */
-async function searchProfiles({ keyword, department, institution, maxItems }) {
-    const profiles = [];
+function nextPartitionDimension(params, partition, start) {
+    for (let i = start; i < PARTITION_DIMENSIONS.length; i++) {
+        const { field, exceptField, facet } = PARTITION_DIMENSIONS[i];
+        const pinned = params[field] && !(exceptField && params[exceptField]);
+        const values = partition.facets[facet] || [];
+        if (!pinned && values.length > 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Facet filters set on a search, used to label slices and skipped pages
+ * @param {Object} params - Search parameters
+ * @returns {Object} e.g. { institution: 'Harvard Medical School', department: 'Genetics' }
+ */
+function getSliceFilters(params) {
+    return PARTITION_DIMENSIONS
+        .filter(dimension => params[dimension.field])
+        .reduce((filters, dimension) => ({ ...filters, [dimension.field]: params[dimension.field] }), {});
+}
+
+/**
+ * Walk an oversized search as institution, department or faculty type slices
+ * A slice still above the threshold is split again by the next dimension.
+ * A slice whose count can't be fetched is listed with its error and skipped,
+ * so the other slices are still walked and coverage shows the gap.
+ * @param {Object} params - Search parameters
+ * @param {Object} partition - { facets, threshold }
+ * @param {Object} report - Search report, receives one entry per walked or failed slice
+ * @param {number} dimensionIndex - Dimension to split by (see nextPartitionDimension)
+ * @param {Array} skipped - Receives listing pages that failed to load
+ * @yields {Array} Profile objects of each listing page
+ */
+async function* walkSlices(params, partition, report, dimensionIndex, skipped) {
+    const { field, exceptField, facet } = PARTITION_DIMENSIONS[dimensionIndex];
+    const excluded = exceptField && params[exceptField] ? params[field].toLowerCase() : null;
+    const values = partition.facets[facet].filter(value => value.toLowerCase() !== excluded);
+
+    for (const value of values) {
+        const sliceParams = { ...params, [field]: value, maxItems: Infinity };
+        if (exceptField) sliceParams[exceptField] = false;
+
+        let total;
+        try {
+            total = await fetchTotalCount(sliceParams);
+        } catch (error) {
+            const filters = getSliceFilters(sliceParams);
+            report.slices.push({ filters, totalAvailable: null, collected: 0, error: error.message });
+            console.error(`   ❌ Slice ${Object.values(filters).join(' / ')} skipped, count failed: ${error.message}`);
+            continue;
+        }
+        if (total === 0) continue;
+
+        const next = nextPartitionDimension(sliceParams, partition, dimensionIndex + 1);
+        if (total > partition.threshold && next !== -1) {
+            yield* walkSlices(sliceParams, partition, report, next, skipped);
+            continue;
+        }
+
+        const slice = {
+            filters: getSliceFilters(sliceParams),
+            totalAvailable: total,
+            collected: 0
+        };
+        report.slices.push(slice);
+        console.log(`   🧩 Slice ${report.slices.length}: ${Object.values(slice.filters).join(' / ')} (${total} profiles)`);
+
+        for await (const page of walkSearch(sliceParams, {}, skipped)) {
+            slice.collected += page.length;
+            yield page;
+        }
+    }
+}
+
+/**
+ * Page through one search with Offset
+ * @param {Object} params - Search parameters (see searchProfiles)
+ * @param {Object} [stats] - Receives totalAvailable from the first response
+ * @param {Array} [skipped] - Receives listing pages that failed to load, for retry at the end
+ * @yields {Array} Profile objects of each listing page, as soon as the page arrives
+ */
+async function* walkSearch(params, stats = {}, skipped = []) {
+    const { maxItems } = params;
+    let collected = 0;
     const pageSize = 100; // Increased from 10 for faster API collection
     let offset = 1;
     let totalAvailable = null;
     let emptyPagesCount = 0;
     let consecutiveFailures = 0;
     const MAX_EMPTY_PAGES = 3; // Stop after 3 consecutive empty pages
-    const API_DELAY = 50; // Fast delay for API (no anti-bot needed)
-
-    // Sanitize all user inputs
-    const safeKeyword = sanitizeInput(keyword || '');
-    const safeDepartment = sanitizeInput(department || '');
-    const safeInstitution = sanitizeInput(institution || '');
 
     console.log(`🔎 Searching for researchers (${pageSize} per page)...`);
 
-    while (profiles.length < maxItems) {
+    while (collected < maxItems) {
         try {
             // Build request payload - MUST include all fields
-            const payload = {
-                Keyword: safeKeyword,
-                LastName: '',
-                FirstName: '',
-                InstitutionName: safeInstitution,
-                DepartmentName: safeDepartment,
-                FacultyTypeName: '',
-                OtherOptionsName: [],
-                KeywordExact: false,
-                DepartmentExcept: false,
-                InstitutionExcept: false,
-                Sort: 'relevance',
-                SearchType: 'people',
-                Count: pageSize,
-                Offset: offset
-            };
+            const payload = buildSearchPayload(params, pageSize, offset);
 
             // Make API request with retry logic (5 attempts)
-            const data = await withRetry(async () => {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-
-                try {
-                    const response = await fetch(SEARCH_ENDPOINT, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Accept': 'application/json',
-                            'Accept-Language': 'en-US,en;q=0.9',
-                            'User-Agent': 'Mozilla/5.0'
-                        },
-                        body: JSON.stringify(payload),
-                        signal: controller.signal
-                    });
-
-                    if (!response.ok) {
-                        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-                    }
-
-                    // Handle JSON parse errors specifically
-                    try {
-                        return await response.json();
-                    } catch (parseError) {
-                        throw new Error(`Invalid JSON response: ${parseError.message}`);
-                    }
-                } finally {
-                    clearTimeout(timeoutId);
-                }
-            }, 5);
+            const data = await fetchSearchPage(payload, params.site, params.proxyConfiguration, params.requestRetryDelays);
 
             // Track total available from first response
             if (totalAvailable === null && data.Count) {
                 totalAvailable = data.Count;
+                stats.totalAvailable = totalAvailable;
                 console.log(`📊 Total available researchers: ${totalAvailable}`);
             }
 
@@ -111,19 +418,18 @@ async function searchProfiles({ keyword, department, institution, maxItems }) {
 
                 // If we've hit too many consecutive empty pages, stop
                 if (emptyPagesCount >= MAX_EMPTY_PAGES) {
-                    console.log(`ℹ️  Search complete. Total collected: ${profiles.length}`);
+                    console.log(`ℹ️  Search complete. Total collected: ${collected}`);
                     break;
                 }
 
                 // If we know the total and we've passed it, stop
                 if (totalAvailable !== null && offset > totalAvailable) {
-                    console.log(`ℹ️  Reached end of results. Total collected: ${profiles.length}`);
+                    console.log(`ℹ️  Reached end of results. Total collected: ${collected}`);
                     break;
                 }
 
                 // Skip this empty page and try next offset
                 offset += pageSize;
-                await new Promise(resolve => setTimeout(resolve, API_DELAY));
                 continue;
             }
 
@@ -131,73 +437,299 @@ async function searchProfiles({ keyword, department, institution, maxItems }) {
             emptyPagesCount = 0;
 
             // Process profiles
+            const pageProfiles = [];
             for (const item of data.People) {
-                if (profiles.length >= maxItems) break;
-
-                const profile = {
-                    displayName: item.DisplayName || '',
-                    personId: item.PersonID || '',
-                    institutionName: item.InstitutionName || '',
-                    departmentName: item.DepartmentName || '',
-                    facultyRank: item.FacultyRank || '',
-                    profileUrl: `${PROFILE_BASE}/${item.PersonID}`
-                };
-
-                profiles.push(profile);
+                if (collected >= maxItems) break;
+
+                pageProfiles.push(mapListingItem(item, params));
+                collected++;
             }
 
             // Reset failure counter on success
             consecutiveFailures = 0;
 
+            // Hand the page to the consumer right away
+            yield pageProfiles;
+
             // Check if we've reached maxItems
-            if (profiles.length >= maxItems) {
-                console.log(`✅ Reached requested maximum: ${profiles.length} profiles`);
+            if (collected >= maxItems) {
+                console.log(`✅ Reached requested maximum: ${collected} profiles`);
                 break;
             }
 
             offset += pageSize;
 
-            // Minimal delay for API (no anti-bot protection)
-            await new Promise(resolve => setTimeout(resolve, API_DELAY));
-
             // Progress log every 500 profiles
-            if (profiles.length % 500 === 0 && profiles.length > 0) {
-                const percent = totalAvailable ? Math.round(profiles.length / totalAvailable * 100) : '?';
-                console.log(`   📈 ${profiles.length} collected (${percent}%)`);
+            if (collected % 500 === 0 && collected > 0) {
+                const percent = totalAvailable ? Math.round(collected / totalAvailable * 100) : '?';
+                console.log(`   📈 ${collected} collected (${percent}%)`);
             }
 
         } catch (error) {
             console.error(`⚠️  Failed to fetch page at offset ${offset}: ${error.message}`);
 
-            // Skip this page and continue to avoid losing all progress
+            // Record the page for retry at the end, then skip it to avoid losing all progress
+            skipped.push(createSkippedPage(params, offset, pageSize, error));
             offset += pageSize;
             consecutiveFailures++;
 
             // Stop if too many consecutive errors (likely blocked or server down)
             if (consecutiveFailures > 20) {
                 console.error('❌ Too many consecutive API failures (20). Stopping search to prevent infinite loop.');
+
+                // Record the pages we never reached too, so they are retried and reported
+                if (totalAvailable !== null) {
+                    const remainingPages = Math.ceil(Math.min(totalAvailable - offset + 1, maxItems - collected) / pageSize);
+                    for (let page = 0; page < remainingPages; page++) {
+                        skipped.push(createSkippedPage(params, offset + page * pageSize, pageSize, error));
+                    }
+                }
                 break;
             }
 
             console.log(`⏭️  Skipping failed page, moving to offset ${offset}...`);
-            // Longer wait after failure
-            await new Promise(resolve => setTimeout(resolve, 5000));
         }
     }
 
-    console.log(`\n✅ Search completed: ${profiles.length} profiles collected`);
-    return profiles.slice(0, maxItems);
+    console.log(`\n✅ Search completed: ${collected} profiles collected`);
+}
+
+/**
+ * Map one SearchSvc `People` item to a profile
+ * @param {Object} item - Raw listing item
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeRawListing] - Keep the untouched item as `rawListing`
+ * @param {Object} [options.site] - Site the item was listed on
+ * @returns {Object} Profile object
+ */
+function mapListingItem(item, { includeRawListing = false, site = DEFAULT_SITE } = {}) {
+    const profile = {
+        displayName: item.DisplayName || '',
+        personId: item.PersonID || '',
+        institutionName: item.InstitutionName || '',
+        departmentName: item.DepartmentName || '',
+        facultyRank: item.FacultyRank || '',
+        profileUrl: `${site.profileBase}/${item.PersonID}`,
+        sourceSite: site.id,
+        listingExtras: mapListingExtras(item)
+    };
+
+    if (includeRawListing) {
+        profile.rawListing = item;
+    }
+
+    return profile;
+}
+
+/**
+ * Map the listing fields not already on the profile (node IDs, match info, ...)
+ * Only non-empty scalar values are kept so the record stays flat
+ * @param {Object} item - Raw listing item
+ * @returns {Object} Extra fields with camelCase names
+ */
+function mapListingExtras(item) {
+    const extras = {};
+
+    for (const [key, value] of Object.entries(item || {})) {
+        if (MAPPED_LISTING_FIELDS.includes(key)) continue;
+        if (value === null || value === undefined || value === '') continue;
+        if (typeof value === 'object') continue;
+
+        const name = LISTING_EXTRA_NAMES[key] || key.charAt(0).toLowerCase() + key.slice(1);
+        extras[name] = value;
+    }
+
+    return extras;
+}
+
+/**
+ * Describe a listing page that failed to load
+ * @param {Object} params - Search parameters of the walk
+ * @param {number} offset - Page offset
+ * @param {number} pageSize - Page size
+ * @param {Error} error - Last error
+ * @returns {Object} Skipped page entry
+ */
+function createSkippedPage(params, offset, pageSize, error) {
+    return { params, offset, pageSize, filters: getSliceFilters(params), attempts: 1, error: error.message, recovered: false };
+}
+
+/**
+ * Retry skipped listing pages with backoff
+ * Stops early when several pages in a row still fail (API likely down)
+ * @param {Array} skipped - Skipped page entries, updated in place (attempts, error, recovered)
+ * @param {Array<number>} delays - Backoff before each attempt
+ * @yields {Array} Profile objects of each recovered page
+ */
+async function* retrySkippedPages(skipped, delays) {
+    console.log(`\n🔁 Retrying ${skipped.length} skipped listing pages...`);
+    let consecutiveFailures = 0;
+
+    for (const entry of skipped) {
+        if (consecutiveFailures >= MAX_CONSECUTIVE_RETRY_FAILURES) break;
+
+        for (const delay of delays) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+            entry.attempts++;
+
+            try {
+                const data = await fetchSearchPage(buildSearchPayload(entry.params, entry.pageSize, entry.offset), entry.params.site, entry.params.proxyConfiguration, entry.params.requestRetryDelays);
+                entry.recovered = true;
+                entry.error = null;
+                console.log(`   ✅ Recovered page at offset ${entry.offset}`);
+
+                const people = Array.isArray(data.People) ? data.People : [];
+                yield people.map(item => mapListingItem(item, entry.params));
+                break;
+            } catch (error) {
+                entry.error = error.message;
+                console.log(`   ⚠️  Retry ${entry.attempts - 1} for offset ${entry.offset} failed: ${error.message}`);
+            }
+        }
+
+        consecutiveFailures = entry.recovered ? 0 : consecutiveFailures + 1;
+    }
+
+    if (consecutiveFailures >= MAX_CONSECUTIVE_RETRY_FAILURES) {
+        console.error(`❌ ${MAX_CONSECUTIVE_RETRY_FAILURES} pages in a row failed again, giving up on the rest`);
+    }
+}
+
+/**
+ * Normalize one query from input, filling unset fields from the run-level defaults
+ * @param {Object} query - Query object using input field names (searchKeywords, department, ...)
+ * @param {Object} defaults - Run-level search fields the query inherits
+ * @returns {Object} Query with every search field present, plus optional label and maxItems
+ */
+function normalizeQuery(query, defaults = {}) {
+    const normalized = {};
+
+    for (const [key, fallback] of Object.entries(QUERY_DEFAULTS)) {
+        if (query && query[key] !== undefined && query[key] !== null) {
+            normalized[key] = query[key];
+        } else if (defaults[key] !== undefined && defaults[key] !== null) {
+            normalized[key] = defaults[key];
+        } else {
+            normalized[key] = fallback;
+        }
+    }
+
+    if (query && query.label) normalized.label = String(query.label);
+    if (query && Number.isInteger(query.maxItems) && query.maxItems > 0) normalized.maxItems = query.maxItems;
+
+    return normalized;
+}
+
+/**
+ * Short human-readable description of a query for logs
+ * @param {Object} query - Normalized query
+ * @returns {string} Description
+ */
+function describeQuery(query) {
+    if (query.label) return query.label;
+
+    const parts = [];
+    if (query.searchKeywords) parts.push(`"${query.searchKeywords}"`);
+    if (query.firstName || query.lastName) parts.push(`name=${`${query.firstName} ${query.lastName}`.trim()}`);
+    if (query.department) parts.push(`${query.departmentExcept ? 'department!=' : 'department='}${query.department}`);
+    if (query.institution) parts.push(`${query.institutionExcept ? 'institution!=' : 'institution='}${query.institution}`);
+    if (query.facultyType) parts.push(`facultyType=${query.facultyType}`);
+
+    return parts.length > 0 ? parts.join(', ') : '(all profiles)';
+}
+
+/**
+ * Merge one query's results into the cross-query index
+ * Each person is kept once; every query that matched them is listed in `queries`
+ * @param {Map} byPersonId - Index of already collected profiles keyed by personId
+ * @param {Array} profiles - Profiles returned for the query
+ * @param {Object} query - Normalized query that produced the profiles
+ * @returns {Array} Profiles new to the index (the indexed objects themselves)
+ */
+function mergeQueryResults(byPersonId, profiles, query) {
+    const { maxItems, ...attribution } = query;
+    const added = [];
+
+    for (const profile of profiles) {
+        const existing = byPersonId.get(profile.personId);
+        if (existing) {
+            existing.queries.push(attribution);
+            continue;
+        }
+
+        const indexed = { ...profile, queries: [attribution] };
+        byPersonId.set(profile.personId, indexed);
+        added.push(indexed);
+    }
+
+    return added;
+}
+
+/**
+ * Run several searches and dedupe the results across them
+ * Pages are yielded as they arrive; a person already found by an earlier query is not
+ * yielded again, only the matching query is added to their `queries` in the index
+ * @param {Array<Object>} queries - Normalized queries (see normalizeQuery)
+ * @param {Object} options - Options
+ * @param {number} options.maxItems - Default per-query limit when a query sets none
+ * @param {Map} [options.index] - Cross-query index keyed by personId, owned by the caller
+ * @param {Object} [options.partition] - Split oversized searches: { facets, threshold }
+ * @param {Array} [options.reports] - Receives one search report per query
+ * @param {boolean} [options.includeRawListing] - Keep each untouched listing item as `rawListing`
+ * @param {Object} [options.site] - Site to search (see sites.js)
+ * @param {Object} [options.proxyConfiguration] - Proxy configuration for the search API
+ * @yields {Array} Profiles new to the index, each with the `queries` that matched it so far
+ */
+async function* searchQueries(queries, { maxItems, index = new Map(), partition = null, reports = [], includeRawListing = false, site = DEFAULT_SITE, proxyConfiguration = null }) {
+    for (const [queryIndex, query] of queries.entries()) {
+        console.log(`\n🔎 Query ${queryIndex + 1}/${queries.length}: ${describeQuery(query)}`);
+
+        let matched = 0;
+        let added = 0;
+        const report = { query: describeQuery(query) };
+        reports.push(report);
+
+        for await (const page of searchProfiles({
+            keyword: query.searchKeywords,
+            firstName: query.firstName,
+            lastName: query.lastName,
+            department: query.department,
+            institution: query.institution,
+            facultyType: query.facultyType,
+            otherOptions: query.otherOptions,
+            keywordExact: query.keywordExact,
+            departmentExcept: query.departmentExcept,
+            institutionExcept: query.institutionExcept,
+            sort: query.sort,
+            includeRawListing,
+            site,
+            proxyConfiguration,
+            maxItems: query.maxItems || maxItems
+        }, { partition, report })) {
+            const fresh = mergeQueryResults(index, page, query);
+            matched += page.length;
+            added += fresh.length;
+
+            if (fresh.length > 0) {
+                yield fresh;
+            }
+        }
+
+        console.log(`   🔗 ${matched} matched, ${added} new, ${matched - added} already found by earlier queries`);
+    }
+
+    console.log(`\n✅ ${queries.length} queries completed: ${index.size} unique profiles`);
 }
 
 /**
  * Exponential backoff for network retries
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum retry attempts
+ * @param {Array<number>} [delays] - Backoff after each failed attempt (no wait past the last one listed)
  * @returns {*} Function result
  */
-async function withRetry(fn, maxRetries = 3) {
+async function withRetry(fn, maxRetries = 3, delays = REQUEST_RETRY_DELAYS) {
     let lastError;
-    const delays = [1000, 2000, 4000]; // 1s, 2s, 4s
 
     for (let i = 0; i < maxRetries; i++) {
         try {
@@ -206,7 +738,7 @@ async function withRetry(fn, maxRetries = 3) {
             lastError = error;
             if (i < maxRetries - 1) {
                 console.log(`🔄 Reconnecting... (attempt ${i + 1} of ${maxRetries})`);
-                await new Promise(resolve => setTimeout(resolve, delays[i]));
+                await new Promise(resolve => setTimeout(resolve, delays[i] || 0));
             }
         }
     }
@@ -216,5 +748,16 @@ async function withRetry(fn, maxRetries = 3) {
 
 module.exports = {
     searchProfiles,
-    sanitizeInput
+    fetchTotalCount,
+    searchQueries,
+    buildSearchPayload,
+    normalizeQuery,
+    describeQuery,
+    mergeQueryResults,
+    mapListingItem,
+    sanitizeInput,
+    API_BASE,
+    SORT_OPTIONS,
+    QUERY_DEFAULTS,
+    MAX_CONSECUTIVE_RETRY_FAILURES
 };
\ No newline at end of file
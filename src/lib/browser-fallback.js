@@ -0,0 +1,141 @@
+/**
+ * On-demand browser for the HTTP fetch mode
+ * Most profiles parse straight from their HTML. The few that can't (no
+ * g.preLoad script in the HTML, or an email image the site refuses outside a
+ * browser session) are opened in a real browser instead. The browser is
+ * launched on first use, so a run where every profile parses from HTML never
+ * starts one.
+ */
+
+const { BrowserPool, PlaywrightPlugin } = require('crawlee');
+const playwright = require('playwright');
+const { rateLimiter } = require('./rate-limiter.js');
+
+// Chromium launch options shared by the crawler and the fallback browser
+const BROWSER_LAUNCH_OPTIONS = {
+    headless: true,
+    args: [
+        '--disable-dev-shm-usage',
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-gpu',
+        '--disable-extensions',
+        '--disable-background-networking',
+        '--disable-default-apps',
+        '--disable-sync',
+        '--disable-translate',
+        '--metrics-recording-only',
+        '--mute-audio',
+        '--no-first-run',
+        '--safebrowsing-disable-auto-update'
+    ]
+};
+
+class BrowserFallback {
+    /**
+     * @param {Object} [options] - Options
+     * @param {number} [options.retireBrowserAfterPageCount] - Restart the browser after this many pages
+     * @param {number} [options.navigationTimeoutSecs] - Page load timeout
+     */
+    constructor({ retireBrowserAfterPageCount = 50, navigationTimeoutSecs = 90 } = {}) {
+        this.retireBrowserAfterPageCount = retireBrowserAfterPageCount;
+        this.navigationTimeoutSecs = navigationTimeoutSecs;
+        this.pool = null;
+    }
+
+    /**
+     * Load a page in the browser and run a callback on it
+     * Paced by the shared rate limiter (`browser` lane)
+     * @param {string} url - Page URL
+     * @param {Object} [options] - Options
+     * @param {string} [options.proxyUrl] - Proxy for the page (same session proxy as the HTTP request)
+     * @param {Function} [options.beforeNavigation] - async (page) => void, run before the page is loaded
+     * @param {Function} callback - async (page) => result
+     * @returns {Promise<*>} Callback result
+     */
+    async withPage(url, { proxyUrl = null, beforeNavigation = null } = {}, callback) {
+        if (!this.pool) {
+            console.log('🌐 Launching fallback browser...');
+            this.pool = new BrowserPool({
+                browserPlugins: [new PlaywrightPlugin(playwright.chromium, { launchOptions: BROWSER_LAUNCH_OPTIONS })],
+                useFingerprints: true,
+                maxOpenPagesPerBrowser: 1,
+                retireBrowserAfterPageCount: this.retireBrowserAfterPageCount
+            });
+        }
+
+        await rateLimiter.wait('browser');
+        const page = await this.pool.newPage(proxyUrl ? { proxyUrl } : {});
+
+        try {
+            await page.setExtraHTTPHeaders({
+                'Accept-Language': 'en-US,en;q=0.9'
+            });
+            if (beforeNavigation) {
+                await beforeNavigation(page);
+            }
+
+            const response = await page.goto(url, {
+                waitUntil: 'domcontentloaded',
+                timeout: this.navigationTimeoutSecs * 1000
+            }).catch(error => {
+                rateLimiter.onError('browser');
+                throw error;
+            });
+            if (response) {
+                rateLimiter.onResponse('browser', response.status(), response.headers()['retry-after']);
+            }
+
+            return await callback(page);
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Close the browser (call once at the end of the run)
+     */
+    async close() {
+        if (this.pool) {
+            const pool = this.pool;
+            this.pool = null;
+            await pool.destroy().catch(() => {});
+        }
+    }
+}
+
+/**
+ * Why a profile fetched over plain HTTP has to be opened in the browser
+ * An email image that was fetched but not read (or absent) is no reason:
+ * the browser would get the same image.
+ * @param {Object} result - parseProfileHtml result
+ * @param {Object} email - readEmail result ({ address, imageRefused, ... })
+ * @returns {string|null} Reason for the browser fallback, or null
+ */
+function getFallbackReason(result, email) {
+    if (result.preLoadMissing) {
+        return 'no g.preLoad script in the HTML';
+    }
+    if (result.success && !email.address && email.imageRefused) {
+        return `email image refused outside the browser (${email.imageRefused})`;
+    }
+    return null;
+}
+
+/**
+ * Cookie header of a page's browser session, for requests made outside the browser
+ * @param {Object} page - Playwright page object
+ * @param {string} url - URL the cookies are for
+ * @returns {Promise<string>} Cookie header value ("" when there are none)
+ */
+async function getPageCookieHeader(page, url) {
+    const cookies = await page.context().cookies(url).catch(() => []);
+    return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+module.exports = {
+    BrowserFallback,
+    getFallbackReason,
+    getPageCookieHeader,
+    BROWSER_LAUNCH_OPTIONS
+};
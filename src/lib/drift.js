@@ -0,0 +1,312 @@
+/**
+ * Page-structure drift detection and diagnostic snapshots
+ * When the site changes, extraction fails with generic errors ("g.preLoad not
+ * found", "No ModuleData found") and the page is gone. The parsed g.preLoad is
+ * checked against the structure the extractor expects. Missing keys the
+ * extractor needs count as drift; keys and modules it doesn't know are only
+ * noted, since the site adds those without breaking anything. Profiles that
+ * fail have their HTML, a screenshot and
+ * (optionally) a Playwright trace saved to the key-value store.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Actor: DefaultActor } = require('apify');
+
+const DIAGNOSTICS_KEY_PREFIX = 'DIAGNOSTICS';
+const MAX_SNAPSHOTS = 25; // A redesign fails every profile; the first few show why
+
+// Structure the extractor reads. Each required entry lists alternative key names;
+// keys missing from `known` are reported as new, not as drift.
+const EXPECTED_PRELOAD = {
+    // Every g.preLoad module
+    module: {
+        required: [['DisplayModule', 'Module', 'ModuleName'], ['ModuleData']],
+        known: ['DisplayModule', 'Module', 'ModuleName', 'ModuleData']
+    },
+    // First record of the first module (Person.Label / Person.GeneralInfo)
+    person: {
+        required: [['FirstName'], ['LastName'], ['DisplayName']],
+        known: [
+            'PersonID', 'FirstName', 'LastName', 'DisplayName',
+            'AddressLine1', 'AddressLine2', 'AddressLine3', 'AddressLine4',
+            'Phone', 'Fax', 'Email', 'Affiliation', 'Title', 'Department', 'Institution'
+        ]
+    },
+    // Entries of the person record's Affiliation array
+    affiliation: {
+        required: [['Title'], ['InstitutionName', 'Institution']],
+        known: [
+            'Title', 'InstitutionName', 'Institution', 'DepartmentName', 'Department',
+            'DivisionName', 'Division', 'FacultyRank', 'IsPrimary', 'Primary', 'SortOrder'
+        ]
+    },
+    // Module names the extractor or the site is known to use
+    modules: [
+        /label|generalinfo|overview|photo|website|medialink|neighbo|samedepartment|featured|clinicaltrial|mentor/i,
+        /authorship|publication/i,
+        /concept|keyword|researcharea|mesh/i,
+        /coauthor|similar/i,
+        /grant|funding|researchsupport/i,
+        /award|honor/i,
+        /education|training/i
+    ]
+};
+
+/**
+ * Check a parsed g.preLoad against the expected structure
+ * Key paths are "<module name>.<key>", with "[]" for array entries
+ * (e.g. "Person.Label.Affiliation[].InstitutionName|Institution")
+ * @param {*} preLoad - Parsed g.preLoad
+ * @param {Object} [expected] - Expected structure (see EXPECTED_PRELOAD)
+ * @returns {Object} { drifted, missingKeys, newKeys, newModules }:
+ *   drifted when required keys are missing; new keys and modules don't count
+ */
+function checkPreLoadStructure(preLoad, expected = EXPECTED_PRELOAD) {
+    const report = { drifted: false, missingKeys: [], newKeys: [], newModules: [] };
+
+    if (!Array.isArray(preLoad) || preLoad.length === 0) {
+        report.missingKeys.push('g.preLoad[]');
+        report.drifted = true;
+        return report;
+    }
+
+    preLoad.forEach((module, index) => {
+        if (!module || typeof module !== 'object') {
+            report.missingKeys.push(`modules[${index}]`);
+            return;
+        }
+
+        const name = module.DisplayModule || module.Module || module.ModuleName;
+        const label = name || `modules[${index}]`;
+        compareKeys(module, expected.module, label, report);
+
+        if (name && !expected.modules.some(pattern => pattern.test(name))) {
+            report.newModules.push(name);
+        }
+    });
+
+    // The person record: everything the extractor reads comes from here
+    const first = preLoad[0] && preLoad[0].ModuleData;
+    const person = Array.isArray(first) ? first[0] : first;
+    const personLabel = (preLoad[0] && (preLoad[0].DisplayModule || preLoad[0].Module || preLoad[0].ModuleName)) || 'modules[0]';
+
+    if (person && typeof person === 'object') {
+        compareKeys(person, expected.person, personLabel, report);
+
+        // Each affiliation entry, every change reported once
+        if (Array.isArray(person.Affiliation)) {
+            const affiliations = { missingKeys: [], newKeys: [] };
+            for (const entry of person.Affiliation.filter(entry => entry && typeof entry === 'object')) {
+                compareKeys(entry, expected.affiliation, `${personLabel}.Affiliation[]`, affiliations);
+            }
+            report.missingKeys.push(...new Set(affiliations.missingKeys));
+            report.newKeys.push(...new Set(affiliations.newKeys));
+        }
+    } else {
+        report.missingKeys.push(`${personLabel}.ModuleData[]`);
+    }
+
+    report.drifted = report.missingKeys.length > 0;
+    return report;
+}
+
+/**
+ * Compare the keys of one object with an expected key set
+ * @param {Object} value - Object to check
+ * @param {Object} expected - { required: string[][], known: string[] }
+ * @param {string} label - Path prefix for reported keys
+ * @param {Object} report - Report to add missingKeys/newKeys to
+ */
+function compareKeys(value, expected, label, report) {
+    for (const alternatives of expected.required) {
+        if (!alternatives.some(key => key in value)) {
+            report.missingKeys.push(`${label}.${alternatives.join('|')}`);
+        }
+    }
+    for (const key of Object.keys(value)) {
+        if (!expected.known.includes(key)) {
+            report.newKeys.push(`${label}.${key}`);
+        }
+    }
+}
+
+/**
+ * Short text that identifies one kind of drift (same missing keys, same signature)
+ * @param {Object} drift - Output of checkPreLoadStructure
+ * @returns {string} Signature
+ */
+function driftSignature(drift) {
+    return drift.missingKeys.map(key => `-${key}`).join(', ');
+}
+
+class DiagnosticsRecorder {
+    /**
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.enabled] - Save snapshots of failed profiles
+     * @param {boolean} [options.recordTraces] - Record a Playwright trace of every browser page (kept for failures only)
+     * @param {number} [options.maxSnapshots] - Most snapshots saved per run
+     * @param {Object} [options.Actor] - Apify Actor (injectable for tests)
+     */
+    constructor({ enabled = true, recordTraces = false, maxSnapshots = MAX_SNAPSHOTS, Actor = DefaultActor } = {}) {
+        this.enabled = enabled;
+        this.recordTraces = enabled && recordTraces;
+        this.maxSnapshots = maxSnapshots;
+        this.Actor = Actor;
+        this.snapshots = [];
+        this.drifts = new Map();
+        this.newKeys = new Map();
+    }
+
+    /**
+     * Record the drift of a parsed profile; logs each new kind of drift once
+     * New keys and modules are counted one by one and logged once each, as notes
+     * @param {string|number} personId - Profile ID
+     * @param {Object|null} drift - Output of checkPreLoadStructure
+     */
+    noteDrift(personId, drift) {
+        if (!drift) return;
+
+        for (const key of [...drift.newKeys, ...drift.newModules.map(name => `module:${name}`)]) {
+            const known = this.newKeys.get(key);
+            if (known) {
+                known.count++;
+            } else {
+                console.log(`ℹ️  New page key (first seen on ${personId}): ${key}`);
+                this.newKeys.set(key, { count: 1, firstPersonId: personId });
+            }
+        }
+        if (!drift.drifted) return;
+
+        const signature = driftSignature(drift);
+        const known = this.drifts.get(signature);
+        if (known) {
+            known.count++;
+            return;
+        }
+
+        console.log(`⚠️  Page structure changed (first seen on ${personId}): ${signature}`);
+        this.drifts.set(signature, { ...drift, count: 1, firstPersonId: personId });
+    }
+
+    /**
+     * Start a Playwright trace for a browser page (when trace recording is on)
+     * @param {Object} page - Playwright page object
+     */
+    async startTrace(page) {
+        if (!this.recordTraces || !page) return;
+        const { tracing } = page.context();
+        // A page that failed before reaching the handler leaves its trace running
+        await tracing.stop().catch(() => {});
+        await tracing.start({ screenshots: true, snapshots: true }).catch(() => {});
+    }
+
+    /**
+     * Stop the trace of a page that was parsed fine
+     * @param {Object} page - Playwright page object
+     */
+    async discardTrace(page) {
+        if (!this.recordTraces || !page) return;
+        await page.context().tracing.stop().catch(() => {});
+    }
+
+    /**
+     * Save what's needed to debug a failed profile
+     * Keys: DIAGNOSTICS-<personId>-report (JSON), -html, -screenshot (PNG), -trace (ZIP)
+     * @param {Object} snapshot - Snapshot
+     * @param {string|number} snapshot.personId - Profile ID
+     * @param {string} snapshot.url - Profile URL
+     * @param {string} snapshot.error - Error message
+     * @param {Object} [snapshot.page] - Playwright page (browser pages: screenshot, trace, rendered HTML)
+     * @param {string} [snapshot.html] - Page HTML (HTTP fetch mode)
+     * @param {Object} [snapshot.drift] - Output of checkPreLoadStructure, when g.preLoad was parsed
+     * @returns {Promise<string|null>} Key prefix of the saved snapshot, or null when not saved
+     */
+    async save({ personId, url, error, page = null, html = null, drift = null }) {
+        if (!this.enabled) return null;
+
+        const prefix = `${DIAGNOSTICS_KEY_PREFIX}-${String(personId).replace(/[^a-zA-Z0-9!_.'()-]/g, '_')}`;
+        const isNew = !this.snapshots.some(snapshot => snapshot.key === prefix);
+        if (isNew && this.snapshots.length >= this.maxSnapshots) {
+            await this.discardTrace(page);
+            return null;
+        }
+
+        const saved = [];
+        try {
+            const content = page ? await page.content().catch(() => html) : html;
+            if (content) {
+                await this.Actor.setValue(`${prefix}-html`, content, { contentType: 'text/html; charset=utf-8' });
+                saved.push('html');
+            }
+
+            if (page) {
+                const screenshot = await page.screenshot({ fullPage: true, timeout: 15000 }).catch(() => null);
+                if (screenshot) {
+                    await this.Actor.setValue(`${prefix}-screenshot`, screenshot, { contentType: 'image/png' });
+                    saved.push('screenshot');
+                }
+
+                const trace = await this._stopTrace(page);
+                if (trace) {
+                    await this.Actor.setValue(`${prefix}-trace`, trace, { contentType: 'application/zip' });
+                    saved.push('trace');
+                }
+            }
+
+            await this.Actor.setValue(`${prefix}-report`, {
+                personId,
+                url,
+                error,
+                drift,
+                pageTitle: page ? await page.title().catch(() => '') : '',
+                saved,
+                savedAt: new Date().toISOString()
+            });
+        } catch (saveError) {
+            console.log(`⚠️  Could not save diagnostics for ${personId}: ${saveError.message}`);
+            return null;
+        }
+
+        if (isNew) {
+            this.snapshots.push({ key: prefix, personId, error });
+        }
+        console.log(`   🩺 Diagnostics saved: ${prefix}-* (${saved.join(', ') || 'report only'})`);
+        return prefix;
+    }
+
+    /**
+     * Drift, new keys and snapshots of this run, for the run report
+     * @returns {Object} { drifts: [...], newKeys: [...], snapshots: [...] }
+     */
+    summary() {
+        return {
+            drifts: [...this.drifts.entries()].map(([signature, drift]) => ({ signature, ...drift })),
+            newKeys: [...this.newKeys.entries()].map(([key, seen]) => ({ key, ...seen })),
+            snapshots: this.snapshots
+        };
+    }
+
+    async _stopTrace(page) {
+        if (!this.recordTraces || !page) return null;
+
+        const tracePath = path.join(os.tmpdir(), `trace-${process.pid}-${Date.now()}.zip`);
+        try {
+            await page.context().tracing.stop({ path: tracePath });
+            return await fs.promises.readFile(tracePath);
+        } catch (error) {
+            return null;
+        } finally {
+            await fs.promises.unlink(tracePath).catch(() => {});
+        }
+    }
+}
+
+module.exports = {
+    checkPreLoadStructure,
+    driftSignature,
+    DiagnosticsRecorder,
+    EXPECTED_PRELOAD,
+    DIAGNOSTICS_KEY_PREFIX
+};
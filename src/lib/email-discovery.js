@@ -0,0 +1,275 @@
+/**
+ * Email discovery chain
+ * A profile's email can be in the g.preLoad JSON, a mailto link, a data
+ * attribute, the page text (plain or obfuscated as "name at partners dot org"),
+ * or only in the email image. Page-level methods are cheap and run on every
+ * page; OCR fetches and reads the image, so it only runs when no method
+ * before it in the configured order found an address.
+ *
+ * The text methods only read text right after an "Email" label, so contact
+ * addresses in page headers and footers are not taken for the person's own.
+ */
+
+const { findTags, htmlToText } = require('./html.js');
+
+// Discovery methods, in the default order
+const EMAIL_METHODS = ['json', 'mailto', 'dataAttribute', 'text', 'obfuscated', 'ocr'];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// "name at partners dot org", "name [at] partners [dot] org", "name @ partners . org"
+const OBFUSCATED_AT = /\s*[[({<]\s*at\s*[\])}>]\s*/gi;
+const OBFUSCATED_DOT = /\s*[[({<]\s*dot\s*[\])}>]\s*/gi;
+const OBFUSCATED_EMAIL = /([A-Za-z0-9._%+-]+)(?:\s*@\s*|\s+at\s+)((?:[A-Za-z0-9-]+(?:\s*\.\s*|\s+dot\s+))+)([A-Za-z]{2,6})\b/gi;
+
+// Top-level domains accepted in obfuscated text, so prose ("Professor at MGH. The ...") is not read as an address
+const OBFUSCATED_TLDS = new Set([
+    'edu', 'org', 'com', 'net', 'gov', 'mil', 'int', 'info', 'io', 'us', 'uk', 'ca', 'au', 'de', 'fr',
+    'ch', 'nl', 'se', 'dk', 'no', 'fi', 'be', 'it', 'es', 'ie', 'il', 'in', 'jp', 'cn', 'kr', 'sg', 'hk', 'nz', 'br'
+]);
+
+// Attributes that hold a whole address, and user/domain attribute pairs
+const EMAIL_ATTRIBUTES = ['data-email', 'data-mail', 'data-mailto', 'data-address', 'data-contact'];
+const USER_ATTRIBUTES = ['data-user', 'data-username', 'data-local'];
+const DOMAIN_ATTRIBUTES = ['data-domain', 'data-host'];
+
+// Image and asset names that look like addresses ("logo@2x.png")
+const ASSET_SUFFIX = /\.(?:png|jpe?g|gif|svg|webp|css|js)$/i;
+
+// "Email:", "E-mail address" labels, and how much text after one is read
+const EMAIL_LABEL = /\be-?mail(?:\s+address)?\b\s*[:\-–]?\s*/gi;
+const LABELLED_TEXT_LENGTH = 80;
+
+/**
+ * Find every email address a page offers without OCR
+ * @param {string} html - Page HTML ("" for bare g.preLoad script text)
+ * @param {Object} [options] - Options
+ * @param {string} [options.jsonEmail] - Email field of the g.preLoad person record
+ * @returns {Object[]} [{ address, method }], in EMAIL_METHODS order, each address once per method
+ */
+function findEmailCandidates(html, { jsonEmail = '' } = {}) {
+    const text = html ? findLabelledText(htmlToText(html)) : '';
+    const plain = findTextEmails(text);
+    const found = {
+        json: jsonEmail ? [String(jsonEmail).trim()] : [],
+        mailto: findMailtoEmails(html),
+        dataAttribute: findDataAttributeEmails(html),
+        text: plain,
+        // Plain addresses in the text are not obfuscated ones
+        obfuscated: findObfuscatedEmails(text).filter(address => !plain.includes(address))
+    };
+
+    const candidates = [];
+    for (const method of EMAIL_METHODS) {
+        for (const address of new Set((found[method] || []).map(normalizeEmail).filter(isPlausibleEmail))) {
+            candidates.push({ address, method });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Run the discovery chain: the first method in order that finds an address wins
+ * @param {Object[]} candidates - Output of findEmailCandidates
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.methods] - Methods to try, in order (see EMAIL_METHODS)
+ * @param {string} [options.emailImageUrl] - Email image, for the `ocr` method
+ * @param {Function} [options.ocr] - async (imageUrl) => { email, confidence, lowConfidenceChars, alternatives } | null
+ * @returns {Promise<Object>} { address, method, confidence, lowConfidenceChars, alternatives, candidates };
+ *                            address "" and method null when nothing was found. Confidence,
+ *                            flagged characters and alternative readings come from OCR only.
+ *                            `candidates` lists every address seen, each tagged with its method
+ */
+async function discoverEmail(candidates, { methods = EMAIL_METHODS, emailImageUrl = '', ocr = null } = {}) {
+    const seen = [...candidates];
+
+    for (const method of methods) {
+        if (method === 'ocr') {
+            if (!emailImageUrl || !ocr) continue;
+            const read = await ocr(emailImageUrl);
+            if (read && read.email) {
+                const address = normalizeEmail(read.email);
+                seen.push({ address, method });
+                return {
+                    address,
+                    method,
+                    confidence: read.confidence ?? null,
+                    lowConfidenceChars: read.lowConfidenceChars || [],
+                    alternatives: read.alternatives || [],
+                    candidates: seen
+                };
+            }
+            continue;
+        }
+
+        const found = candidates.find(candidate => candidate.method === method);
+        if (found) {
+            return { address: found.address, method, ...noReading(), candidates: seen };
+        }
+    }
+
+    return { address: '', method: null, ...noReading(), candidates: seen };
+}
+
+/**
+ * @returns {Object} OCR reading fields of a result that did not come from OCR
+ */
+function noReading() {
+    return { confidence: null, lowConfidenceChars: [], alternatives: [] };
+}
+
+/**
+ * Check a configured method list
+ * @param {string[]} methods - Methods from the input
+ * @returns {Object} { methods, unknown }: known methods in the given order
+ *                   (the default order when none are given), and the names dropped
+ */
+function normalizeEmailMethods(methods) {
+    if (!Array.isArray(methods) || methods.length === 0) {
+        return { methods: [...EMAIL_METHODS], unknown: [] };
+    }
+
+    const byLowerCase = new Map(EMAIL_METHODS.map(method => [method.toLowerCase(), method]));
+    const known = [];
+    const unknown = [];
+    for (const value of methods) {
+        const method = byLowerCase.get(String(value).trim().toLowerCase());
+        if (!method) {
+            unknown.push(value);
+        } else if (!known.includes(method)) {
+            known.push(method);
+        }
+    }
+    return { methods: known, unknown };
+}
+
+/**
+ * Addresses of mailto links
+ * @param {string} html - Page HTML
+ * @returns {string[]} Addresses, in page order
+ */
+function findMailtoEmails(html) {
+    return findTags(html, 'a')
+        .map(attributes => attributes.href || '')
+        .filter(href => /^mailto:/i.test(href))
+        .map(href => decodeURIComponentSafe(href.replace(/^mailto:/i, '').split('?')[0]).trim());
+}
+
+/**
+ * Addresses held in data attributes: data-email="...", data-user + data-domain,
+ * and Cloudflare-protected addresses (data-cfemail)
+ * @param {string} html - Page HTML
+ * @returns {string[]} Addresses, in page order
+ */
+function findDataAttributeEmails(html) {
+    const addresses = [];
+    for (const attributes of findTags(html, '*')) {
+        for (const name of EMAIL_ATTRIBUTES) {
+            if (attributes[name]) addresses.push(attributes[name].replace(/^mailto:/i, ''));
+        }
+
+        const user = USER_ATTRIBUTES.map(name => attributes[name]).find(Boolean);
+        const domain = DOMAIN_ATTRIBUTES.map(name => attributes[name]).find(Boolean);
+        if (user && domain) addresses.push(`${user}@${domain}`);
+
+        if (attributes['data-cfemail']) {
+            const decoded = decodeCloudflareEmail(attributes['data-cfemail']);
+            if (decoded) addresses.push(decoded);
+        }
+    }
+    return addresses;
+}
+
+/**
+ * Text that follows an "Email" label
+ * @param {string} text - Page text
+ * @returns {string} Labelled snippets, one per line
+ */
+function findLabelledText(text) {
+    const snippets = [];
+    for (const match of String(text).matchAll(EMAIL_LABEL)) {
+        const start = match.index + match[0].length;
+        snippets.push(text.slice(start, start + LABELLED_TEXT_LENGTH));
+    }
+    return snippets.join('\n');
+}
+
+/**
+ * Plain addresses in visible text
+ * @param {string} text - Page text
+ * @returns {string[]} Addresses, in text order
+ */
+function findTextEmails(text) {
+    return (String(text).match(EMAIL_PATTERN) || []).filter(address => !ASSET_SUFFIX.test(address));
+}
+
+/**
+ * Addresses written to fool harvesters: "name at partners dot org", "name [at] partners [dot] org"
+ * @param {string} text - Page text
+ * @returns {string[]} Addresses, in text order
+ */
+function findObfuscatedEmails(text) {
+    const normalized = String(text).replace(OBFUSCATED_AT, ' at ').replace(OBFUSCATED_DOT, ' dot ');
+    const addresses = [];
+
+    for (const [, local, labels, tld] of normalized.matchAll(OBFUSCATED_EMAIL)) {
+        if (!OBFUSCATED_TLDS.has(tld.toLowerCase())) continue;
+        const domain = labels.replace(/\s*\.\s*|\s+dot\s+/gi, '.');
+        addresses.push(`${local}@${domain}${tld}`);
+    }
+    return addresses;
+}
+
+/**
+ * Decode a Cloudflare email-protection string (hex, XOR with the first byte)
+ * @param {string} encoded - data-cfemail value
+ * @returns {string} Address or ""
+ */
+function decodeCloudflareEmail(encoded) {
+    if (!/^(?:[0-9a-f]{2}){2,}$/i.test(encoded)) return '';
+    const key = parseInt(encoded.slice(0, 2), 16);
+    let decoded = '';
+    for (let index = 2; index < encoded.length; index += 2) {
+        decoded += String.fromCharCode(parseInt(encoded.slice(index, index + 2), 16) ^ key);
+    }
+    return decoded;
+}
+
+/**
+ * @param {string} address - Address as found
+ * @returns {string} Lower-case address without surrounding punctuation
+ */
+function normalizeEmail(address) {
+    return String(address).trim().replace(/^[<("']+|[>)"'.,;:]+$/g, '').toLowerCase();
+}
+
+/**
+ * @param {string} address - Normalized address
+ * @returns {boolean} True when it looks like a deliverable address
+ */
+function isPlausibleEmail(address) {
+    return address.length >= 5 && address.length <= 100 &&
+        /^[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(address) &&
+        !ASSET_SUFFIX.test(address);
+}
+
+/**
+ * @param {string} value - URI component
+ * @returns {string} Decoded value, or the value itself when it isn't valid encoding
+ */
+function decodeURIComponentSafe(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+module.exports = {
+    findEmailCandidates,
+    discoverEmail,
+    normalizeEmailMethods,
+    findObfuscatedEmails,
+    decodeCloudflareEmail,
+    EMAIL_METHODS
+};
@@ -1,5 +1,6 @@
 /**
  * Extract profile details from Harvard Catalyst profile pages
+ * (and any other Profiles RNS installation, see sites.js)
  * 
  * EXTRACTION METHOD:
  * The page embeds profile data in a JavaScript variable g.preLoad within a <script> tag.
@@ -7,12 +8,39 @@
  * - FirstName, LastName, DisplayName
  * - Address lines 1-4
  * - Phone and Fax
- * - Affiliation information (Title, Institution, Department)
+ * - Affiliation information (Title, Institution, Department), one entry per appointment
+ * Every module in the array is kept, keyed by module name.
+ *
+ * All parsing is done by pure functions (parseProfileHtml and below) that
+ * work on the page HTML or script text, so they run the same for pages
+ * loaded in the browser and pages fetched over plain HTTP.
  */
 
+const { DEFAULT_SITE } = require('./sites.js');
+const { parsePhoneNumber } = require('./phone.js');
+const { checkPreLoadStructure } = require('./drift.js');
+const { findTags, htmlToText } = require('./html.js');
+const { findEmailCandidates } = require('./email-discovery.js');
+
+// g.preLoad module names that hold publications
+const PUBLICATION_MODULE = /authorship|publication/i;
+
+// g.preLoad module names that hold research concepts (MeSH-style keywords)
+const CONCEPT_MODULE = /concept|keyword|researcharea|mesh/i;
+
+// g.preLoad module names that link to other people
+const COAUTHOR_MODULE = /coauthor/i;
+const SIMILAR_MODULE = /similar/i;
+
+// g.preLoad module names of the funding, awards and education sections
+const GRANT_MODULE = /grant|funding|researchsupport/i;
+const AWARD_MODULE = /award|honor/i;
+const EDUCATION_MODULE = /education|training/i;
+
 /**
  * Extract all profile details from the page using g.preLoad
  * @param {Object} page - Playwright page object
+ * @param {Object} [site] - Site the page belongs to (see sites.js)
  * @returns {Promise<Object>} Extracted profile details
  * 
  * Success response:
@@ -24,19 +52,32 @@
  *   Title: "Adjunct Professor of Epidemiology",
  *   Department: "Epidemiology",
  *   Institution: "Harvard T.H. Chan School of Public Health",
+ *   Affiliations: [
+ *     { Title: "Adjunct Professor of Epidemiology", Institution: "...", Department: "Epidemiology", Division: "", FacultyRank: "", Primary: true },
+ *     ...
+ *   ],
  *   Address: "Channing Laboratory, 181 Longwood Ave, Boston, MA 02115",
- *   Phone: "314-454-7940",
- *   Fax: "",
- *   Email: ""
+ *   AddressLines: ["Channing Laboratory", "181 Longwood Ave", "Boston, MA 02115"],
+ *   Phone: { e164: "+13144547940", extension: "", raw: "314/454-7940", valid: true, issue: null },
+ *   Fax: null,
+ *   Email: "",          // First address in the default discovery order (see email-discovery.js)
+ *   EmailMethod: "",    // How it was found: "json", "mailto", "dataAttribute", "text", "obfuscated" or ""
+ *   EmailCandidates: [], // Every address found without OCR: [{ address, method }]
+ *   EmailImageUrl: "",
+ *   Modules: { "Person.Label": [ {...} ], "Person.Overview": [ {...} ], ... },
+ *   Drift: { drifted: false, missingKeys: [], newKeys: [], newModules: [] }
  * }
  * 
  * Error response:
  * {
  *   success: false,
- *   error: "Error message"
+ *   error: "Error message",
+ *   Drift: {...}   // when g.preLoad was parsed (see drift.js)
  * }
  */
-async function extractProfileDetails(page) {
+async function extractProfileDetails(page, site = DEFAULT_SITE) {
+    const emailImageSelectors = site.emailImageSelectors;
+
     try {
         // Wait for page to fully load with network idle (more stable)
         await page.waitForLoadState("networkidle", { timeout: 15000 }).catch(() => {
@@ -114,180 +155,684 @@ async function extractProfileDetails(page) {
         // Check for email image with short timeout to ensure it has time to render
         // This is not critical so we catch constraints
         try {
-            await page.waitForSelector('img[src*="EmailHandler"], img[src*="ShowEmail"]', { timeout: 2000 });
+            await page.waitForSelector(emailImageSelectors.join(', '), { timeout: 2000 });
         } catch (e) {
             // Ignore timeout, image might not exist
         }
 
-        const result = await page.evaluate(() => {
-            // Find the script tag containing g.preLoad
-            const scripts = document.querySelectorAll("script");
-
-            for (const script of scripts) {
-                const content = script.textContent;
+        // Parse the rendered page in Node (the DOM includes email images added by scripts)
+        return parseProfileHtml(await page.content(), { site, pageUrl: page.url() });
+    } catch (error) {
+        return {
+            success: false,
+            error: "Error during extraction: " + error.message
+        };
+    }
+}
 
-                // Check if this script contains g.preLoad
-                if (!content.includes("g.preLoad")) continue;
+/**
+ * Parse profile details from profile page HTML or from the g.preLoad script text
+ * Pure function: used for browser pages (see extractProfileDetails) and pages
+ * fetched over plain HTTP alike
+ * @param {string} html - Profile page HTML, or the text of the g.preLoad script
+ * @param {Object} [options] - Options
+ * @param {Object} [options.site] - Site the page belongs to (see sites.js)
+ * @param {string} [options.pageUrl] - URL the HTML was loaded from, to resolve the email image URL
+ * @returns {Object} Profile details (see extractProfileDetails); failures without a
+ *                   g.preLoad script have `preLoadMissing: true`
+ */
+function parseProfileHtml(html, { site = DEFAULT_SITE, pageUrl = site.baseUrl } = {}) {
+    const source = String(html || "");
 
-                // Find the assignment g.preLoad = '...'
-                const startIdx = content.indexOf("g.preLoad");
-                const segment = content.substring(startIdx);
+    // Bare script text: no page around it, so no email signals either
+    if (!/<script\b/i.test(source) && source.includes("g.preLoad")) {
+        const parsed = parsePreLoadScript(source);
+        if (!parsed) {
+            return {
+                success: false,
+                error: "No g.preLoad string found in script",
+                preLoadMissing: true
+            };
+        }
+        return parsed.success ? buildProfileDetails(parsed.preLoad) : parsed;
+    }
 
-                // Find the opening quote after the equals sign
-                const eqIdx = segment.indexOf("=");
-                const quoteIdx = segment.indexOf("'", eqIdx);
+    // FAIL FAST: same blank/blocked page check as in the browser
+    const titleMatch = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const title = titleMatch ? htmlToText(titleMatch[1]) : "";
+    const bodyMatch = source.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    if (!title && htmlToText(bodyMatch ? bodyMatch[1] : source).length < 50) {
+        return {
+            success: false,
+            error: "Blocked or Empty Page detected (Title empty, Body empty)."
+        };
+    }
 
-                if (quoteIdx === -1) continue;
+    for (const [, content] of source.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)) {
+        if (!content.includes("g.preLoad")) continue;
 
-                // Find the matching closing quote (accounting for escaping)
-                let endIdx = quoteIdx + 1;
-                let escaped = false;
-                while (endIdx < segment.length) {
-                    if (escaped) {
-                        escaped = false;
-                    } else if (segment[endIdx] === "\\") {
-                        escaped = true;
-                    } else if (segment[endIdx] === "'") {
-                        break;
-                    }
-                    endIdx++;
-                }
+        const parsed = parsePreLoadScript(content);
+        if (!parsed) continue;
+        if (!parsed.success) return parsed;
 
-                if (endIdx >= segment.length) continue;
-
-                // Extract the JSON string between the quotes
-                let jsonStr = segment.substring(quoteIdx + 1, endIdx);
-
-                // Unescape single quotes that are left over from the JS string literal
-                // These are invalid in JSON: \' should just be '
-                jsonStr = jsonStr.replace(/\'/g, "'");
-
-                // FIX: Clean up invalid escape sequences that break JSON.parse
-                // Some profiles contain backslashes not meant for escaping (e.g. paths, typos)
-                // We remove backslashes that are NOT followed by valid JSON escape chars
-                jsonStr = jsonStr.replace(/\\(?!["\\/bfnrtu])/g, "");
-
-                // Parse the JSON
-                let parsed;
-                try {
-                    parsed = JSON.parse(jsonStr);
-                } catch (parseError) {
-                    return {
-                        success: false,
-                        error: "Failed to parse g.preLoad JSON: " + parseError.message
-                    };
-                }
+        return buildProfileDetails(parsed.preLoad, {
+            emailCandidates: findEmailCandidates(source),
+            emailImageUrl: findEmailImageUrl(source, site.emailImageSelectors, pageUrl)
+        });
+    }
 
-                // Extract the first module's first data record (Person.GeneralInfo)
-                if (!Array.isArray(parsed) || parsed.length === 0) {
-                    return {
-                        success: false,
-                        error: "g.preLoad is not an array or is empty"
-                    };
-                }
+    return {
+        success: false,
+        error: "g.preLoad not found in any script tag",
+        preLoadMissing: true
+    };
+}
 
-                const moduleData = parsed[0].ModuleData;
-                if (!Array.isArray(moduleData) || moduleData.length === 0) {
-                    return {
-                        success: false,
-                        error: "No ModuleData found in g.preLoad"
-                    };
-                }
+/**
+ * Parse the g.preLoad string assigned in a script
+ * @param {string} content - Script text containing `g.preLoad = '...'`
+ * @returns {Object|null} { success: true, preLoad } or { success: false, error },
+ *                        null when the script has no g.preLoad string
+ */
+function parsePreLoadScript(content) {
+    // Find the assignment g.preLoad = '...'
+    const startIdx = content.indexOf("g.preLoad");
+    if (startIdx === -1) return null;
+    const segment = content.substring(startIdx);
+
+    // Find the opening quote after the equals sign
+    const eqIdx = segment.indexOf("=");
+    const quoteIdx = segment.indexOf("'", eqIdx);
+    if (eqIdx === -1 || quoteIdx === -1) return null;
+
+    // Find the matching closing quote (accounting for escaping)
+    let endIdx = quoteIdx + 1;
+    let escaped = false;
+    while (endIdx < segment.length) {
+        if (escaped) {
+            escaped = false;
+        } else if (segment[endIdx] === "\\") {
+            escaped = true;
+        } else if (segment[endIdx] === "'") {
+            break;
+        }
+        endIdx++;
+    }
+    if (endIdx >= segment.length) return null;
 
-                const profile = moduleData[0];
-
-                // Build address from individual lines
-                const addressParts = [];
-                [profile.AddressLine1, profile.AddressLine2, profile.AddressLine3, profile.AddressLine4]
-                    .forEach(line => {
-                        if (line && line.trim()) {
-                            addressParts.push(line.trim());
-                        }
-                    });
-
-                // Extract primary affiliation (first affiliation)
-                let affiliation = {};
-                if (profile.Affiliation && Array.isArray(profile.Affiliation) && profile.Affiliation.length > 0) {
-                    const aff = profile.Affiliation[0];
-                    affiliation = {
-                        Title: aff.Title || "",
-                        Institution: aff.InstitutionName || "",
-                        Department: aff.DepartmentName || ""
-                    };
-                }
+    // \' from the JS string literal is invalid in JSON, then drop backslashes
+    // that are not valid JSON escapes (paths, typos)
+    const jsonStr = segment.substring(quoteIdx + 1, endIdx)
+        .replace(/\\'/g, "'")
+        .replace(/\\(?!["\\/bfnrtu])/g, "");
 
-                // Format phone/fax (remove forward slashes used in original format and handle empty spaces)
-                const formatPhoneNumber = (phone) => {
-                    if (!phone) return "";
-                    // Ensure it's a string
-                    const str = String(phone);
-                    // Replace slashes and trim
-                    const cleaned = str.replace(/\//g, "-").trim();
-                    // Return empty string if result is only whitespace
-                    return cleaned.length > 0 ? cleaned : "";
-                };
-
-                // Check for email (mailto, raw text or image)
-                // 1. Check profile.Email from JSON
-                let email = profile.Email || "";
-                
-                // 2. If empty, check DOM for mailto links
-                if (!email || email.trim() === "") {
-                    const mailto = document.querySelector('a[href^="mailto:"]');
-                    if (mailto) {
-                        email = mailto.href.replace("mailto:", "").trim();
-                    }
-                }
+    try {
+        return { success: true, preLoad: JSON.parse(jsonStr) };
+    } catch (parseError) {
+        return {
+            success: false,
+            error: "Failed to parse g.preLoad JSON: " + parseError.message
+        };
+    }
+}
 
-                // 3. Check for email image in DOM
-                // Updated to support both EmailHandler.ashx (new) and ShowEmail (legacy)
-                const emailImg = document.querySelector('img[src*="EmailHandler"]') ||
-                    document.querySelector('img[src*="ShowEmail"]') ||
-                    document.querySelector('img[alt*="email" i]');
-                
-                if (!emailImg && !email) {
-                     // Try to find email in text if it looks like an email
-                     // This is a last resort fallback
-                     const bodyText = document.body.innerText;
-                     const emailMatch = bodyText.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
-                     if (emailMatch && emailMatch[0] && !emailMatch[0].includes(".png") && !emailMatch[0].includes(".jpg")) {
-                         // Only if it's high confidence (e.g. near "Email:")
-                         // For now, let's just leave it blank if not found in structured data or image
-                     }
-                }
+/**
+ * Find the email image in HTML using the site's email image selectors
+ * Supports the `img[attr*="value"]` selector form (also `^=`, `$=`, `=` and the `i` flag)
+ * @param {string} html - Page HTML
+ * @param {string[]} selectors - Selectors in priority order (see sites.js)
+ * @param {string} pageUrl - URL of the page, to resolve relative image URLs
+ * @returns {string} Absolute image URL or ""
+ */
+function findEmailImageUrl(html, selectors, pageUrl) {
+    const images = findTags(html, "img").filter(attributes => attributes.src);
 
-                return {
-                    success: true,
-                    FirstName: profile.FirstName || "",
-                    LastName: profile.LastName || "",
-                    DisplayName: profile.DisplayName || "",
-                    Title: affiliation.Title || profile.Title || "",
-                    Department: affiliation.Department || profile.Department || "",
-                    Institution: affiliation.Institution || profile.Institution || "",
-                    Address: addressParts.join(", "),
-                    Phone: formatPhoneNumber(profile.Phone),
-                    Fax: formatPhoneNumber(profile.Fax),
-                    Email: email,
-                    EmailImageUrl: emailImg ? emailImg.src : ""
-                };
+    for (const selector of selectors || []) {
+        const match = images.find(attributes => matchesImageSelector(attributes, selector));
+        if (match) {
+            try {
+                return new URL(match.src, pageUrl).href;
+            } catch (error) {
+                return "";
             }
+        }
+    }
+    return "";
+}
 
-            // If we get here, g.preLoad was not found
-            return {
-                success: false,
-                error: "g.preLoad not found in any script tag"
-            };
-        });
+/**
+ * Check an img tag against an attribute selector such as `img[src*="EmailHandler"]`
+ * @param {Object} attributes - Tag attributes (lowercase names)
+ * @param {string} selector - Selector
+ * @returns {boolean} True when the tag matches
+ */
+function matchesImageSelector(attributes, selector) {
+    const match = String(selector).trim().match(/^img\[([\w-]+)\s*([*^$]?=)\s*["']([^"']*)["']\s*(i)?\s*\]$/i);
+    if (!match) return false;
+
+    const [, name, operator, expected, flag] = match;
+    let value = attributes[name.toLowerCase()];
+    if (value === undefined) return false;
+
+    let wanted = expected;
+    if (flag) {
+        value = value.toLowerCase();
+        wanted = wanted.toLowerCase();
+    }
 
-        return result;
-    } catch (error) {
+    switch (operator) {
+        case "*=": return value.includes(wanted);
+        case "^=": return value.startsWith(wanted);
+        case "$=": return value.endsWith(wanted);
+        default: return value === wanted;
+    }
+}
+
+/**
+ * Build profile details from the parsed g.preLoad array
+ * @param {Array} preLoad - Parsed g.preLoad modules
+ * @param {Object} [domSignals] - Email signals read from the page
+ * @param {Object[]} [domSignals.emailCandidates] - Addresses found in the page (see findEmailCandidates)
+ * @param {string} [domSignals.emailImageUrl] - URL of the email image
+ * @returns {Object} Profile details (see extractProfileDetails)
+ */
+function buildProfileDetails(preLoad, { emailCandidates = [], emailImageUrl = "" } = {}) {
+    // Keys the site removed or added since the extractor was written
+    const drift = checkPreLoadStructure(preLoad);
+
+    if (!Array.isArray(preLoad) || preLoad.length === 0) {
         return {
             success: false,
-            error: "Error during extraction: " + error.message
+            error: "g.preLoad is not an array or is empty",
+            Drift: drift
         };
     }
+
+    // The first module's first data record (Person.GeneralInfo), a lone record on older installations
+    const rawModuleData = preLoad[0] && preLoad[0].ModuleData;
+    const moduleData = Array.isArray(rawModuleData) ? rawModuleData : (rawModuleData ? [rawModuleData] : []);
+    if (moduleData.length === 0) {
+        return {
+            success: false,
+            error: "No ModuleData found in g.preLoad",
+            Drift: drift
+        };
+    }
+
+    const profile = moduleData[0];
+
+    // Build address from individual lines
+    const addressParts = [profile.AddressLine1, profile.AddressLine2, profile.AddressLine3, profile.AddressLine4]
+        .filter(line => line && String(line).trim())
+        .map(line => String(line).trim());
+
+    // Every affiliation, the primary one supplies the headline title/department/institution
+    const affiliations = parseAffiliations(profile.Affiliation);
+    const primary = affiliations.find(affiliation => affiliation.Primary) || {};
+
+    // Every address on offer, tagged with how it was found: the JSON Email first, then the page
+    const candidates = [
+        ...findEmailCandidates("", { jsonEmail: profile.Email }),
+        ...emailCandidates.filter(candidate => candidate.method !== "json")
+    ];
+    const email = candidates[0] || { address: "", method: "" };
+
+    return {
+        success: true,
+        FirstName: profile.FirstName || "",
+        LastName: profile.LastName || "",
+        DisplayName: profile.DisplayName || "",
+        Title: primary.Title || profile.Title || "",
+        Department: primary.Department || profile.Department || "",
+        Institution: primary.Institution || profile.Institution || "",
+        Affiliations: affiliations,
+        Address: addressParts.join(", "),
+        AddressLines: addressParts,
+        Phone: parsePhoneNumber(profile.Phone),
+        Fax: parsePhoneNumber(profile.Fax),
+        Email: email.address,
+        EmailMethod: email.method,
+        EmailCandidates: candidates,
+        EmailImageUrl: emailImageUrl,
+        Modules: parsePreLoadModules(preLoad),
+        Drift: drift
+    };
+}
+
+/**
+ * Map every g.preLoad module by name
+ * Modules are named by `DisplayModule` (or `Module`/`ModuleName` on older
+ * installations); a name seen twice has its records appended
+ * @param {Array} preLoad - Parsed g.preLoad modules
+ * @returns {Object} Module name -> array of ModuleData records
+ */
+function parsePreLoadModules(preLoad) {
+    const modules = {};
+    if (!Array.isArray(preLoad)) return modules;
+
+    preLoad.forEach((module, index) => {
+        if (!module || typeof module !== "object") return;
+
+        const name = module.DisplayModule || module.Module || module.ModuleName || `Module${index}`;
+        const records = Array.isArray(module.ModuleData)
+            ? module.ModuleData
+            : (module.ModuleData ? [module.ModuleData] : []);
+
+        modules[name] = (modules[name] || []).concat(records);
+    });
+
+    return modules;
+}
+
+/**
+ * Parse all affiliations of a person
+ * The primary one is the entry flagged by the source (IsPrimary/Primary),
+ * or the first entry when the source flags none
+ * @param {Array} rawAffiliations - `Affiliation` array of the GeneralInfo record
+ * @returns {Array<Object>} Affiliations: { Title, Institution, Department, Division, FacultyRank, Primary }
+ */
+function parseAffiliations(rawAffiliations) {
+    if (!Array.isArray(rawAffiliations)) return [];
+
+    const isFlagged = (value) => value === true || value === 1 || String(value).toLowerCase() === "true";
+    const entries = rawAffiliations.filter(entry => entry && typeof entry === "object");
+    const flaggedIndex = entries.findIndex(entry => isFlagged(entry.IsPrimary) || isFlagged(entry.Primary));
+    const primaryIndex = flaggedIndex === -1 ? 0 : flaggedIndex;
+
+    return entries.map((entry, index) => ({
+        Title: entry.Title || "",
+        Institution: entry.InstitutionName || entry.Institution || "",
+        Department: entry.DepartmentName || entry.Department || "",
+        Division: entry.DivisionName || entry.Division || "",
+        FacultyRank: entry.FacultyRank || "",
+        Primary: index === primaryIndex
+    }));
+}
+
+/**
+ * Collect the records of every module whose name matches
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @param {RegExp} pattern - Module name pattern
+ * @returns {Array<Object>} Records of the matching modules
+ */
+function findModuleRecords(modules, pattern) {
+    return Object.keys(modules || {})
+        .filter(name => pattern.test(name))
+        .flatMap(name => modules[name])
+        .filter(record => record && typeof record === "object");
+}
+
+/**
+ * Read the first non-empty field of a record
+ * Installations name the same field differently (e.g. `PMID` or `bibo_pmid`)
+ * @param {Object} record - Module record
+ * @param {Array<string>} keys - Candidate field names, best first
+ * @returns {*} Field value, or "" when none is set
+ */
+function pickField(record, keys) {
+    for (const key of keys) {
+        const value = record[key];
+        if (value !== undefined && value !== null && String(value).trim() !== "") {
+            return value;
+        }
+    }
+    return "";
+}
+
+/**
+ * Parse publications from the profile's publication modules
+ * Structured fields are used when the module has them, otherwise they are
+ * read from the formatted citation ("Authors. Title. Journal. Year; ...")
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxPublications] - Keep at most this many, most recent first (0 keeps none)
+ * @param {string} [options.firstName] - Researcher's first name, to find their author position
+ * @param {string} [options.lastName] - Researcher's last name, to find their author position
+ * @returns {Array<Object>} Publications: { title, authors, journal, year, pmid, doi, authorPosition, authorRole, citation }
+ */
+function extractPublications(modules, { maxPublications = Infinity, firstName = "", lastName = "" } = {}) {
+    if (maxPublications <= 0) return [];
+
+    const seen = new Set();
+    const publications = [];
+
+    for (const record of findModuleRecords(modules, PUBLICATION_MODULE)) {
+        const citation = String(pickField(record, ["Citation", "prns_informationResourceReference", "Reference", "citation"])).trim();
+        const parsedCitation = parseCitation(citation);
+
+        const authors = normalizeAuthors(pickField(record, ["Authors", "AuthorList", "authors"]));
+        const publication = {
+            title: String(pickField(record, ["Title", "ArticleTitle", "rdfs_label", "title"]) || parsedCitation.title).trim(),
+            authors: authors.length > 0 ? authors : parsedCitation.authors,
+            journal: String(pickField(record, ["Journal", "JournalTitle", "Source", "MedlineTA", "journal"]) || parsedCitation.journal).trim(),
+            year: parseYear(pickField(record, ["Year", "PubYear", "prns_year", "PublicationDate", "prns_publicationDate", "PubDate"])) || parsedCitation.year,
+            pmid: String(pickField(record, ["PMID", "bibo_pmid", "pmid"]) || parsedCitation.pmid).trim(),
+            doi: String(pickField(record, ["DOI", "bibo_doi", "doi"]) || parsedCitation.doi).trim(),
+            authorPosition: null,
+            authorRole: null,
+            citation
+        };
+
+        if (!publication.title && !publication.citation) continue;
+
+        // Same paper listed twice (e.g. in two modules)
+        const key = publication.pmid || publication.doi || publication.title.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        Object.assign(publication, findAuthorPosition(publication.authors, firstName, lastName));
+        publications.push(publication);
+    }
+
+    // Most recent first, undated last; sort is stable so source order breaks ties
+    publications.sort((a, b) => (b.year || 0) - (a.year || 0));
+
+    return publications.slice(0, maxPublications);
+}
+
+/**
+ * Split a formatted citation into its parts
+ * @param {string} citation - e.g. "Colditz GA, Rosner B. Title. J Natl Cancer Inst. 2019 Jan; 111(1):1-10. PMID: 123"
+ * @returns {Object} { authors, title, journal, year, pmid, doi } (empty values when not found)
+ */
+function parseCitation(citation) {
+    const parsed = { authors: [], title: "", journal: "", year: null, pmid: "", doi: "" };
+    if (!citation) return parsed;
+
+    const pmidMatch = citation.match(/PMID:?\s*(\d+)/i);
+    if (pmidMatch) parsed.pmid = pmidMatch[1];
+
+    const doiMatch = citation.match(/\b(10\.\d{4,9}\/[^\s]+)/);
+    if (doiMatch) parsed.doi = doiMatch[1].replace(/[.;,]+$/, "");
+
+    // Sentences end with ". " followed by an upper-case letter or digit; initials ("G. A.") do not
+    const parts = citation.split(/\.\s+(?=[A-Z0-9\[])/);
+    if (parts.length >= 3) {
+        parsed.authors = normalizeAuthors(parts[0]);
+        parsed.title = parts[1].trim();
+        parsed.journal = parts[2].trim();
+        parsed.year = parseYear(parts.slice(3).join(". ")) || parseYear(parts[2]);
+    } else {
+        parsed.title = citation.trim();
+        parsed.year = parseYear(citation);
+    }
+
+    return parsed;
+}
+
+/**
+ * Normalize an author list to an array of names
+ * @param {string|Array} value - "Colditz GA, Rosner B" or an array of names/objects
+ * @returns {Array<string>} Author names
+ */
+function normalizeAuthors(value) {
+    if (Array.isArray(value)) {
+        return value
+            .map(author => typeof author === "object" && author !== null
+                ? pickField(author, ["Name", "DisplayName", "AuthorName", "name"])
+                : author)
+            .map(author => String(author || "").trim())
+            .filter(Boolean);
+    }
+
+    return String(value || "")
+        .replace(/\bet al\.?$/i, "")
+        .split(/\s*[,;]\s*/)
+        .map(author => author.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Read a 4-digit year from a value
+ * @param {*} value - Year, date string or citation fragment
+ * @returns {number|null} Year
+ */
+function parseYear(value) {
+    const match = String(value || "").match(/\b(1[89]\d{2}|20\d{2})\b/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Find where the researcher appears in an author list
+ * Authors are matched by last name and, when both are known, first initial
+ * @param {Array<string>} authors - Author names ("Colditz GA" or "Graham A Colditz")
+ * @param {string} firstName - Researcher's first name
+ * @param {string} lastName - Researcher's last name
+ * @returns {Object} { authorPosition, authorRole } - 1-based position and first/middle/last/sole, null when not found
+ */
+function findAuthorPosition(authors, firstName, lastName) {
+    const last = String(lastName || "").toLowerCase().trim();
+    if (!last || authors.length === 0) return { authorPosition: null, authorRole: null };
+
+    const initial = String(firstName || "").trim().charAt(0).toLowerCase();
+    const index = authors.findIndex(author => {
+        const words = author.toLowerCase().replace(/[.,]/g, " ").split(/\s+/).filter(Boolean);
+        const lastIndex = words.indexOf(last);
+        if (lastIndex === -1) return false;
+        if (!initial) return true;
+        // "Colditz GA" (initials after) or "Graham A Colditz" (names before)
+        const others = words.filter((_, i) => i !== lastIndex);
+        return others.length === 0 || others.some(word => word.charAt(0) === initial);
+    });
+
+    if (index === -1) return { authorPosition: null, authorRole: null };
+
+    let authorRole = "middle";
+    if (authors.length === 1) authorRole = "sole";
+    else if (index === 0) authorRole = "first";
+    else if (index === authors.length - 1) authorRole = "last";
+
+    return { authorPosition: index + 1, authorRole };
+}
+
+/**
+ * Parse research concepts into a ranked list
+ * Ranked by weight (highest first); concepts without a weight follow in page order
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @param {Object} [options] - Options
+ * @param {string} [options.baseUrl] - Base URL relative concept links are resolved against
+ * @returns {Array<Object>} Concepts: { rank, name, weight, publications, lastPublicationYear, url }
+ */
+function extractConcepts(modules, { baseUrl = DEFAULT_SITE.baseUrl } = {}) {
+    const byName = new Map();
+
+    for (const record of findModuleRecords(modules, CONCEPT_MODULE)) {
+        const name = String(pickField(record, ["Name", "Concept", "ConceptName", "Keyword", "MeshHeader", "rdfs_label", "Label"])).trim();
+        if (!name) continue;
+
+        const rawWeight = pickField(record, ["Weight", "ConceptWeight", "Score", "weight"]);
+        const weight = rawWeight === "" ? NaN : Number(rawWeight);
+        const publications = Number(pickField(record, ["NumPubs", "NumPublications", "PubCount"]));
+        const concept = {
+            rank: null,
+            name,
+            weight: Number.isFinite(weight) ? weight : null,
+            publications: Number.isFinite(publications) && publications > 0 ? publications : null,
+            lastPublicationYear: parseYear(pickField(record, ["LastPublicationYear", "LastPubYear", "LastPublicationDate"])),
+            url: resolveLink(pickField(record, ["URL", "Url", "URI", "rdf_about", "Link"]), baseUrl)
+        };
+
+        // Same concept listed twice: keep the higher weight
+        const key = name.toLowerCase();
+        const existing = byName.get(key);
+        if (!existing || (concept.weight || 0) > (existing.weight || 0)) {
+            byName.set(key, existing ? { ...concept, url: concept.url || existing.url } : concept);
+        }
+    }
+
+    const concepts = [...byName.values()];
+    concepts.sort((a, b) => {
+        if (a.weight === null || b.weight === null) return (a.weight === null) - (b.weight === null);
+        return b.weight - a.weight;
+    });
+
+    return concepts.map((concept, index) => ({ ...concept, rank: index + 1 }));
+}
+
+/**
+ * Parse the co-author and similar-people lists
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @param {Object} [options] - Options
+ * @param {string} [options.baseUrl] - Base URL relative person links are resolved against
+ * @returns {Object} { coauthors, similarPeople }, each an array of { personId, name, weight, url }
+ */
+function extractNetworkLinks(modules, { baseUrl = DEFAULT_SITE.baseUrl } = {}) {
+    return {
+        coauthors: parsePersonLinks(findModuleRecords(modules, COAUTHOR_MODULE), ["NumPubs", "SharedPubs", "NumSharedPubs", "Weight", "Count"], baseUrl),
+        similarPeople: parsePersonLinks(findModuleRecords(modules, SIMILAR_MODULE), ["Weight", "Similarity", "Score"], baseUrl)
+    };
+}
+
+/**
+ * Turn link records into people, deduped by person ID
+ * @param {Array<Object>} records - Module records
+ * @param {Array<string>} weightKeys - Candidate weight fields, best first
+ * @param {string} baseUrl - Base URL of the site
+ * @returns {Array<Object>} People: { personId, name, weight, url }
+ */
+function parsePersonLinks(records, weightKeys, baseUrl) {
+    const people = new Map();
+
+    for (const record of records) {
+        const url = resolveLink(pickField(record, ["URL", "Url", "URI", "rdf_about", "Link", "ProfileURL"]), baseUrl);
+        const urlMatch = url.match(/\/display\/Person\/(\d+)/i);
+        const personId = String(pickField(record, ["PersonID", "PersonId"]) || (urlMatch ? urlMatch[1] : "")).trim();
+        const key = personId || url;
+        if (!key || people.has(key)) continue;
+
+        const rawWeight = pickField(record, weightKeys);
+        const weight = rawWeight === "" ? NaN : Number(rawWeight);
+
+        people.set(key, {
+            personId,
+            name: String(pickField(record, ["DisplayName", "Name", "rdfs_label", "Label"])).trim(),
+            weight: Number.isFinite(weight) ? weight : null,
+            url
+        });
+    }
+
+    return [...people.values()];
+}
+
+/**
+ * Parse research funding
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @returns {Array<Object>} Grants: { grantId, title, sponsor, role, startDate, endDate }
+ */
+function extractGrants(modules) {
+    return mapSectionRecords(modules, GRANT_MODULE, record => ({
+        grantId: String(pickField(record, ["GrantID", "GrantAwardID", "FundingID", "ProjectNumber", "AwardNumber", "prns_fundingID"])).trim(),
+        title: String(pickField(record, ["Title", "GrantTitle", "ProjectTitle", "rdfs_label"])).trim(),
+        sponsor: String(pickField(record, ["Sponsor", "SponsorName", "Agency", "FundingAgency", "prns_sponsor"])).trim(),
+        role: String(pickField(record, ["Role", "RoleLabel", "RoleDescription", "prns_role"])).trim(),
+        startDate: normalizeDate(pickField(record, ["StartDate", "Start", "prns_startDate"])),
+        endDate: normalizeDate(pickField(record, ["EndDate", "End", "prns_endDate"]))
+    }), grant => grant.grantId || grant.title);
+}
+
+/**
+ * Parse awards and honors
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @returns {Array<Object>} Awards: { name, institution, startYear, endYear }
+ */
+function extractAwards(modules) {
+    return mapSectionRecords(modules, AWARD_MODULE, record => ({
+        name: String(pickField(record, ["Name", "AwardName", "Title", "rdfs_label"])).trim(),
+        institution: String(pickField(record, ["Institution", "AwardingInstitution", "Organization", "prns_awardConferredBy"])).trim(),
+        startYear: parseYear(pickField(record, ["StartYear", "Year", "AwardYear", "Date", "prns_startDate"])),
+        endYear: parseYear(pickField(record, ["EndYear", "prns_endDate"]))
+    }), award => award.name);
+}
+
+/**
+ * Parse education and training history
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @returns {Array<Object>} Entries: { institution, degree, field, location, year }
+ */
+function extractEducation(modules) {
+    return mapSectionRecords(modules, EDUCATION_MODULE, record => ({
+        institution: String(pickField(record, ["Institution", "InstitutionName", "School", "Organization", "prns_trainingAtOrganization"])).trim(),
+        degree: String(pickField(record, ["Degree", "DegreeName", "prns_degree"])).trim(),
+        field: String(pickField(record, ["Field", "FieldOfStudy", "Major", "Specialty", "prns_majorField"])).trim(),
+        location: String(pickField(record, ["Location", "City"])).trim(),
+        year: parseYear(pickField(record, ["Year", "CompletionYear", "EndYear", "GraduationYear", "Date", "prns_endDate"]))
+    }), entry => entry.institution || entry.degree);
+}
+
+/**
+ * Map the records of one page section, dropping empty and repeated entries
+ * @param {Object} modules - Module map (see parsePreLoadModules)
+ * @param {RegExp} pattern - Module name pattern
+ * @param {Function} mapRecord - Record -> typed entry
+ * @param {Function} identify - Entry -> identifying text, empty for unusable entries
+ * @returns {Array<Object>} Entries in page order
+ */
+function mapSectionRecords(modules, pattern, mapRecord, identify) {
+    const seen = new Set();
+    const entries = [];
+
+    for (const record of findModuleRecords(modules, pattern)) {
+        const entry = mapRecord(record);
+        if (!identify(entry)) continue;
+
+        const key = JSON.stringify(entry);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        entries.push(entry);
+    }
+
+    return entries;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD (or YYYY when only the year is known)
+ * @param {*} value - Date string, e.g. "2019-07-01T00:00:00", "07/01/2019" or "2019"
+ * @returns {string} Normalized date, the original text when unparseable, "" when empty
+ */
+function normalizeDate(value) {
+    const text = String(value || "").trim();
+    if (!text) return "";
+    if (/^\d{4}$/.test(text)) return text;
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (us) return `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}`;
+
+    return text;
+}
+
+/**
+ * Resolve a link from the page to an absolute URL
+ * @param {string} link - Absolute or site-relative link
+ * @param {string} baseUrl - Base URL of the site
+ * @returns {string} Absolute URL, or "" when there is no usable link
+ */
+function resolveLink(link, baseUrl) {
+    const value = String(link || "").trim();
+    if (!value) return "";
+
+    try {
+        return new URL(value, `${baseUrl}/`).href;
+    } catch (error) {
+        return "";
+    }
 }
 
 module.exports = {
-    extractProfileDetails
+    extractProfileDetails,
+    parseProfileHtml,
+    parsePreLoadScript,
+    findEmailImageUrl,
+    buildProfileDetails,
+    parsePreLoadModules,
+    parseAffiliations,
+    extractPublications,
+    extractConcepts,
+    extractNetworkLinks,
+    extractGrants,
+    extractAwards,
+    extractEducation,
+    parseCitation
 };
\ No newline at end of file
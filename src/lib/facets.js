@@ -0,0 +1,201 @@
+/**
+ * Facet discovery for Harvard Catalyst Profiles
+ * Reads the valid institution, department and faculty type names from the
+ * search form so free-text filters can be checked before searching
+ *
+ * The lookup table is kept in a named key-value store so every run
+ * (not just the discovery run) can read it. Each site has its own key.
+ */
+
+const { Actor: DefaultActor } = require('apify');
+const { DEFAULT_SITE } = require('./sites.js');
+const { getSessionProxyUrl, withProxy, API_PROXY_SESSION } = require('./proxy.js');
+const { decodeHtmlEntities } = require('./html.js');
+const { editDistance } = require('./edit-distance.js');
+
+const FACETS_STORE = 'harvard-catalyst-facets';
+const FACETS_KEY = 'FACETS';
+const MAX_SUGGESTIONS = 3;
+const MAX_SUGGESTION_DISTANCE = 0.4; // Edit distance relative to name length
+
+// Which <select> holds which facet, matched against its id/name attribute
+const FACET_SELECTS = {
+    institutions: /institution/i,
+    departments: /department/i,
+    facultyTypes: /faculty/i
+};
+
+// Placeholder options that are not real facet values
+const PLACEHOLDER_OPTION = /^(--.*--|all|any|select.*|\(any\)|\(all\))$/i;
+
+/**
+ * Parse facet values from the search form HTML
+ * @param {string} html - Search form page HTML
+ * @returns {Object} { institutions: [], departments: [], facultyTypes: [] }
+ */
+function parseFacetOptions(html) {
+    const facets = { institutions: [], departments: [], facultyTypes: [] };
+    if (!html) return facets;
+
+    const selectPattern = /<select\b([^>]*)>([\s\S]*?)<\/select>/gi;
+    const optionPattern = /<option\b[^>]*>([\s\S]*?)<\/option>/gi;
+
+    let selectMatch;
+    while ((selectMatch = selectPattern.exec(html)) !== null) {
+        const [, attributes, body] = selectMatch;
+        const idMatch = attributes.match(/\b(?:id|name)\s*=\s*["']([^"']+)["']/i);
+        if (!idMatch) continue;
+
+        const facet = Object.keys(FACET_SELECTS).find(key => FACET_SELECTS[key].test(idMatch[1]));
+        if (!facet) continue;
+
+        let optionMatch;
+        while ((optionMatch = optionPattern.exec(body)) !== null) {
+            const label = decodeHtmlEntities(optionMatch[1].replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+            if (!label || PLACEHOLDER_OPTION.test(label)) continue;
+            if (!facets[facet].includes(label)) facets[facet].push(label);
+        }
+    }
+
+    for (const key of Object.keys(facets)) {
+        facets[key].sort((a, b) => a.localeCompare(b));
+    }
+
+    return facets;
+}
+
+/**
+ * Ask the Profiles service for the valid facet values
+ * @param {Object} [site] - Site to read the search form of (see sites.js)
+ * @param {Object} [proxyConfiguration] - Proxy configuration, the request goes direct when absent
+ * @returns {Promise<Object>} Facet table with discoveredAt timestamp
+ */
+async function discoverFacets(site = DEFAULT_SITE, proxyConfiguration = null) {
+    const proxyUrl = await getSessionProxyUrl(proxyConfiguration, API_PROXY_SESSION);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
+
+    try {
+        const response = await fetch(site.searchFormUrl, withProxy({
+            headers: {
+                'Accept': 'text/html',
+                'Accept-Language': 'en-US,en;q=0.9',
+                'User-Agent': 'Mozilla/5.0'
+            },
+            signal: controller.signal
+        }, proxyUrl));
+
+        if (!response.ok) {
+            throw new Error(`Search form request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const facets = parseFacetOptions(await response.text());
+        if (facets.institutions.length === 0 && facets.departments.length === 0 && facets.facultyTypes.length === 0) {
+            throw new Error('No facet values found on the search form');
+        }
+
+        return { ...facets, discoveredAt: new Date().toISOString() };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Save the facet table to the shared named store
+ * @param {Object} facets - Facet table
+ * @param {Object} [site] - Site the table belongs to (see sites.js)
+ * @param {Object} [Actor] - Apify Actor (injectable for tests)
+ */
+async function saveFacets(facets, site = DEFAULT_SITE, Actor = DefaultActor) {
+    const store = await Actor.openKeyValueStore(FACETS_STORE);
+    await store.setValue(site.facetsKey, { ...facets, sourceSite: site.id });
+}
+
+/**
+ * Load the facet table from the shared named store
+ * @param {Object} [site] - Site the table belongs to (see sites.js)
+ * @param {Object} [Actor] - Apify Actor (injectable for tests)
+ * @returns {Promise<Object|null>} Facet table or null when never discovered
+ */
+async function loadFacets(site = DEFAULT_SITE, Actor = DefaultActor) {
+    const store = await Actor.openKeyValueStore(FACETS_STORE);
+    return store.getValue(site.facetsKey);
+}
+
+/**
+ * Normalize a facet name for comparison
+ * @param {string} value - Facet name
+ * @returns {string} Lowercase name without punctuation or extra spaces
+ */
+function normalizeFacetName(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Suggest the closest valid facet names for a user value
+ * Names containing the value (or contained in it) rank first, then by edit distance
+ * @param {string} value - User-supplied filter value
+ * @param {Array<string>} candidates - Valid facet names
+ * @param {number} [limit] - Maximum suggestions
+ * @returns {Array<string>} Closest valid names, best first
+ */
+function suggestFacetValues(value, candidates, limit = MAX_SUGGESTIONS) {
+    const target = normalizeFacetName(value);
+    if (!target || !Array.isArray(candidates)) return [];
+
+    return candidates
+        .map(candidate => {
+            const name = normalizeFacetName(candidate);
+            const contains = name.includes(target) || target.includes(name);
+            const distance = editDistance(target, name) / Math.max(target.length, name.length);
+            return { candidate, score: contains ? distance / 2 : distance };
+        })
+        .filter(({ score }) => score <= MAX_SUGGESTION_DISTANCE)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Check a query's free-text filters against the facet table
+ * @param {Object} query - Normalized query (department, institution, facultyType)
+ * @param {Object} facets - Facet table
+ * @returns {Array<Object>} Unknown values: { field, value, suggestions }
+ */
+function validateFilters(query, facets) {
+    const checks = [
+        { field: 'institution', values: facets.institutions },
+        { field: 'department', values: facets.departments },
+        { field: 'facultyType', values: facets.facultyTypes }
+    ];
+    const problems = [];
+
+    for (const { field, values } of checks) {
+        const value = query[field];
+        if (!value || !Array.isArray(values) || values.length === 0) continue;
+
+        const target = normalizeFacetName(value);
+        if (values.some(valid => normalizeFacetName(valid) === target)) continue;
+
+        problems.push({ field, value, suggestions: suggestFacetValues(value, values) });
+    }
+
+    return problems;
+}
+
+module.exports = {
+    discoverFacets,
+    parseFacetOptions,
+    saveFacets,
+    loadFacets,
+    suggestFacetValues,
+    validateFilters,
+    FACETS_STORE,
+    FACETS_KEY
+};
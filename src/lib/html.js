@@ -0,0 +1,71 @@
+/**
+ * Minimal HTML helpers for the pure page parsers (extractor.js, email-discovery.js)
+ * Regex based: enough for tags, attributes and visible text of profile pages,
+ * without a DOM library.
+ */
+
+/**
+ * Collect the attributes of every tag with the given name
+ * @param {string} html - Page HTML
+ * @param {string} tagName - Tag name (a, img, ...), or '*' for every tag
+ * @returns {Object[]} One attribute map per tag (lowercase names, decoded values)
+ */
+function findTags(html, tagName) {
+    const tags = [];
+    const name = tagName === '*' ? '[a-z][\\w-]*' : tagName;
+    const tagPattern = new RegExp(`<${name}\\b([^>]*)>`, 'gi');
+
+    for (const [, rawAttributes] of String(html).matchAll(tagPattern)) {
+        tags.push(parseAttributes(rawAttributes));
+    }
+    return tags;
+}
+
+/**
+ * Parse the attributes of one tag
+ * @param {string} rawAttributes - Text between the tag name and '>'
+ * @returns {Object} Attribute map (lowercase names, decoded values)
+ */
+function parseAttributes(rawAttributes) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, bare] of rawAttributes.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+        attributes[name.toLowerCase()] = decodeHtmlEntities(doubleQuoted ?? singleQuoted ?? bare);
+    }
+    return attributes;
+}
+
+/**
+ * Visible text of an HTML fragment (scripts and styles dropped)
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with collapsed whitespace
+ */
+function htmlToText(html) {
+    return decodeHtmlEntities(String(html)
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Decode the HTML entities that appear in attribute values and titles
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+        }
+        return named[code.toLowerCase()] ?? entity;
+    });
+}
+
+module.exports = {
+    findTags,
+    parseAttributes,
+    htmlToText,
+    decodeHtmlEntities
+};
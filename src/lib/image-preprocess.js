@@ -0,0 +1,435 @@
+/**
+ * Email image preprocessing for OCR
+ * Email images are small, anti-aliased PNGs, often with a transparent
+ * background. Tesseract misreads such text (l/1/I, rn/m), so before
+ * recognition the image is converted to grayscale, upscaled and padded with a
+ * white border: large, dark-on-white text. Binarizing as well (Otsu or a fixed
+ * level) is optional; on the benchmark samples it lost more characters than
+ * it cleaned up (see tests/benchmark/ocr.benchmark.js).
+ *
+ * Pure Node (zlib only). Images that are not PNG, or PNGs this decoder does
+ * not read (interlaced), are passed to Tesseract unchanged.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel by PNG color type
+const COLOR_TYPE_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Largest upscale factor accepted from the input
+const MAX_SCALE = 8;
+
+// Output images larger than this are not upscaled further (keeps OCR time bounded)
+const MAX_OUTPUT_PIXELS = 4000000;
+
+const DEFAULT_PREPROCESS_OPTIONS = {
+    enabled: true,
+    scale: 3, // Upscale factor (1 keeps the size)
+    threshold: null, // null keeps the gray image; 'otsu' or a fixed gray level 0-255 binarizes it
+    invert: 'auto', // 'auto' turns light-on-dark text dark-on-light; false never inverts
+    padding: 10 // White border in output pixels
+};
+
+/**
+ * Merge preprocessing options from the input with the defaults
+ * @param {Object|boolean} [options] - Partial options; false disables preprocessing
+ * @returns {Object} Complete options (see DEFAULT_PREPROCESS_OPTIONS)
+ */
+function resolvePreprocessOptions(options = {}) {
+    if (options === false) return { ...DEFAULT_PREPROCESS_OPTIONS, enabled: false };
+    const merged = { ...DEFAULT_PREPROCESS_OPTIONS, ...(options || {}) };
+
+    const scale = Number(merged.scale);
+    const padding = Number(merged.padding);
+
+    // null or false skips binarization; anything else that isn't a gray level uses Otsu
+    let threshold = merged.threshold === false ? null : merged.threshold;
+    if (threshold !== null && threshold !== 'otsu') {
+        threshold = Number(threshold);
+        if (!(threshold >= 0 && threshold <= 255)) threshold = 'otsu';
+    }
+
+    return {
+        enabled: merged.enabled !== false,
+        scale: Number.isFinite(scale) && scale >= 1 ? Math.min(scale, MAX_SCALE) : DEFAULT_PREPROCESS_OPTIONS.scale,
+        threshold,
+        invert: merged.invert === false ? false : 'auto',
+        padding: Number.isFinite(padding) && padding >= 0 ? Math.round(padding) : DEFAULT_PREPROCESS_OPTIONS.padding
+    };
+}
+
+/**
+ * Prepare an email image for OCR
+ * @param {Buffer} imageBuffer - Fetched image
+ * @param {Object|boolean} [options] - Preprocessing options (see DEFAULT_PREPROCESS_OPTIONS)
+ * @returns {Object} { buffer, processed }: a grayscale PNG and true, or the
+ *                   original buffer and false when preprocessing is off or the image can't be decoded
+ */
+function preprocessImage(imageBuffer, options = {}) {
+    const settings = resolvePreprocessOptions(options);
+    if (!settings.enabled) return { buffer: imageBuffer, processed: false };
+
+    let image;
+    try {
+        image = decodePng(imageBuffer);
+    } catch (error) {
+        image = null;
+    }
+    if (!image) return { buffer: imageBuffer, processed: false };
+
+    let gray = toGrayscale(image);
+    if (settings.invert === 'auto' && hasDarkBackground(gray)) {
+        gray = invertImage(gray);
+    }
+
+    const scale = Math.max(1, Math.min(settings.scale, Math.sqrt(MAX_OUTPUT_PIXELS / (gray.width * gray.height))));
+    if (scale > 1) gray = upscale(gray, scale);
+
+    if (settings.threshold !== null) {
+        const level = settings.threshold === 'otsu' ? otsuThreshold(gray) : settings.threshold;
+        gray = binarize(gray, level);
+    }
+    if (settings.padding > 0) gray = pad(gray, settings.padding);
+
+    return { buffer: encodePng(gray), processed: true };
+}
+
+/**
+ * Decode a non-interlaced PNG
+ * @param {Buffer} buffer - PNG file
+ * @returns {Object|null} { width, height, channels, data } with 8-bit samples
+ *                        (palette images expanded to RGBA), or null when not a PNG
+ *                        this decoder reads
+ */
+function decodePng(buffer) {
+    const png = Buffer.from(buffer);
+    if (png.length < PNG_SIGNATURE.length || !png.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        return null;
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const compressed = [];
+
+    for (let offset = PNG_SIGNATURE.length; offset + 8 <= png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('latin1', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            compressed.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || header.interlace !== 0 || !(header.colorType in COLOR_TYPE_CHANNELS) || header.width === 0 || header.height === 0) {
+        return null;
+    }
+    if (header.colorType === 3 && !palette) return null;
+
+    const { width, height, bitDepth, colorType } = header;
+    const samples = COLOR_TYPE_CHANNELS[colorType];
+    const bitsPerPixel = samples * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+    const raw = unfilter(zlib.inflateSync(Buffer.concat(compressed)), height, stride, bytesPerPixel);
+
+    // Expand to 8-bit samples (palette indexes to RGBA)
+    const channels = colorType === 3 ? 4 : samples;
+    const data = new Uint8Array(width * height * channels);
+    const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+
+    for (let y = 0; y < height; y++) {
+        const row = raw.subarray(y * stride, (y + 1) * stride);
+        for (let x = 0; x < width; x++) {
+            for (let sample = 0; sample < samples; sample++) {
+                const index = x * samples + sample;
+                let value;
+                if (bitDepth === 16) {
+                    value = row[index * 2];
+                } else if (bitDepth === 8) {
+                    value = row[index];
+                } else {
+                    const bit = index * bitDepth;
+                    value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+                }
+
+                const target = (y * width + x) * channels;
+                if (colorType === 3) {
+                    data[target] = palette[value * 3];
+                    data[target + 1] = palette[value * 3 + 1];
+                    data[target + 2] = palette[value * 3 + 2];
+                    data[target + 3] = transparency && value < transparency.length ? transparency[value] : 255;
+                } else {
+                    data[target + sample] = bitDepth < 8 ? Math.round(value * 255 / maxValue) : value;
+                }
+            }
+        }
+    }
+
+    return { width, height, channels, data };
+}
+
+/**
+ * Undo PNG row filters
+ * @param {Buffer} inflated - Filter byte + row bytes, per row
+ * @param {number} height - Rows
+ * @param {number} stride - Bytes per row
+ * @param {number} bytesPerPixel - Filter distance
+ * @returns {Uint8Array} Row bytes without filter bytes
+ */
+function unfilter(inflated, height, stride, bytesPerPixel) {
+    const out = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = inflated[y * (stride + 1)];
+        const source = inflated.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const rowStart = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bytesPerPixel ? out[rowStart + x - bytesPerPixel] : 0;
+            const up = y > 0 ? out[rowStart - stride + x] : 0;
+            const upLeft = y > 0 && x >= bytesPerPixel ? out[rowStart - stride + x - bytesPerPixel] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) predictor = paeth(left, up, upLeft);
+            out[rowStart + x] = (source[x] + predictor) & 0xff;
+        }
+    }
+    return out;
+}
+
+/**
+ * PNG Paeth predictor
+ */
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Encode an 8-bit image as PNG (no filtering)
+ * @param {Object} image - { width, height, channels (1-4), data }
+ * @returns {Buffer} PNG file
+ */
+function encodePng({ width, height, channels = 1, data }) {
+    const colorType = { 1: 0, 2: 4, 3: 2, 4: 6 }[channels];
+    const stride = width * channels;
+    const raw = Buffer.alloc(height * (stride + 1));
+    for (let y = 0; y < height; y++) {
+        raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * @param {string} type - Chunk type (IHDR, IDAT, ...)
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(data.length + 12);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+let crcTable = null;
+
+/**
+ * @param {Buffer} bytes - Chunk type and data
+ * @returns {number} CRC-32 as used by PNG
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Luma of each pixel; transparent pixels are composited over white
+ * @param {Object} image - Decoded image
+ * @returns {Object} Grayscale image (channels 1)
+ */
+function toGrayscale({ width, height, channels, data }) {
+    const gray = new Uint8Array(width * height);
+    const hasAlpha = channels === 2 || channels === 4;
+
+    for (let pixel = 0; pixel < width * height; pixel++) {
+        const offset = pixel * channels;
+        const luma = channels >= 3
+            ? 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+            : data[offset];
+        const alpha = hasAlpha ? data[offset + channels - 1] / 255 : 1;
+        gray[pixel] = Math.round(luma * alpha + 255 * (1 - alpha));
+    }
+    return { width, height, channels: 1, data: gray };
+}
+
+/**
+ * @param {Object} image - Grayscale image
+ * @returns {boolean} True when the border is mostly dark (light text on a dark background)
+ */
+function hasDarkBackground({ width, height, data }) {
+    let sum = 0;
+    let count = 0;
+    for (let x = 0; x < width; x++) {
+        sum += data[x] + data[(height - 1) * width + x];
+        count += 2;
+    }
+    for (let y = 0; y < height; y++) {
+        sum += data[y * width] + data[y * width + width - 1];
+        count += 2;
+    }
+    return sum / count < 128;
+}
+
+/**
+ * @param {Object} image - Grayscale image
+ * @returns {Object} Negative of the image
+ */
+function invertImage(image) {
+    return { ...image, data: image.data.map(value => 255 - value) };
+}
+
+/**
+ * Bilinear upscale
+ * @param {Object} image - Grayscale image
+ * @param {number} scale - Factor above 1
+ * @returns {Object} Upscaled image
+ */
+function upscale({ width, height, data }, scale) {
+    const outWidth = Math.round(width * scale);
+    const outHeight = Math.round(height * scale);
+    const out = new Uint8Array(outWidth * outHeight);
+
+    for (let y = 0; y < outHeight; y++) {
+        const sourceY = Math.min(height - 1, Math.max(0, (y + 0.5) / scale - 0.5));
+        const top = Math.floor(sourceY);
+        const bottom = Math.min(height - 1, top + 1);
+        const weightY = sourceY - top;
+
+        for (let x = 0; x < outWidth; x++) {
+            const sourceX = Math.min(width - 1, Math.max(0, (x + 0.5) / scale - 0.5));
+            const left = Math.floor(sourceX);
+            const right = Math.min(width - 1, left + 1);
+            const weightX = sourceX - left;
+
+            const topValue = data[top * width + left] * (1 - weightX) + data[top * width + right] * weightX;
+            const bottomValue = data[bottom * width + left] * (1 - weightX) + data[bottom * width + right] * weightX;
+            out[y * outWidth + x] = Math.round(topValue * (1 - weightY) + bottomValue * weightY);
+        }
+    }
+    return { width: outWidth, height: outHeight, channels: 1, data: out };
+}
+
+/**
+ * Otsu's threshold: the gray level that best separates text from background
+ * @param {Object} image - Grayscale image
+ * @returns {number} Threshold 0-255 (pixels at or below it are text)
+ */
+function otsuThreshold({ data }) {
+    const histogram = new Array(256).fill(0);
+    for (const value of data) histogram[value]++;
+
+    const total = data.length;
+    let sumAll = 0;
+    for (let level = 0; level < 256; level++) sumAll += level * histogram[level];
+
+    let sumBelow = 0;
+    let countBelow = 0;
+    let best = 127;
+    let bestVariance = -1;
+    for (let level = 0; level < 256; level++) {
+        countBelow += histogram[level];
+        if (countBelow === 0) continue;
+        const countAbove = total - countBelow;
+        if (countAbove === 0) break;
+
+        sumBelow += level * histogram[level];
+        const meanBelow = sumBelow / countBelow;
+        const meanAbove = (sumAll - sumBelow) / countAbove;
+        const variance = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            best = level;
+        }
+    }
+    return best;
+}
+
+/**
+ * @param {Object} image - Grayscale image
+ * @param {number} threshold - Gray level; pixels at or below it turn black, the rest white
+ * @returns {Object} Black and white image
+ */
+function binarize(image, threshold) {
+    return { ...image, data: image.data.map(value => (value <= threshold ? 0 : 255)) };
+}
+
+/**
+ * @param {Object} image - Grayscale image
+ * @param {number} padding - Border width in pixels
+ * @returns {Object} Image with a white border
+ */
+function pad({ width, height, data }, padding) {
+    const outWidth = width + padding * 2;
+    const out = new Uint8Array(outWidth * (height + padding * 2)).fill(255);
+    for (let y = 0; y < height; y++) {
+        out.set(data.subarray(y * width, (y + 1) * width), (y + padding) * outWidth + padding);
+    }
+    return { width: outWidth, height: height + padding * 2, channels: 1, data: out };
+}
+
+module.exports = {
+    preprocessImage,
+    resolvePreprocessOptions,
+    decodePng,
+    encodePng,
+    otsuThreshold,
+    DEFAULT_PREPROCESS_OPTIONS
+};
@@ -0,0 +1,250 @@
+/**
+ * Display name parsing
+ * Profiles DisplayName values mix the name with honorifics, suffixes and
+ * degrees ("Graham Andrew Colditz, Dr.P.H., M.B.,B.S., M.D."). This splits
+ * them into name parts and a list of normalized credentials.
+ */
+
+// Degrees and certifications written in mixed case, by their dotless upper-case spelling
+// (all others are normalized to upper case without dots: "M.P.H." -> "MPH")
+const MIXED_CASE_CREDENTIALS = [
+    'PhD', 'DrPH', 'ScD', 'DSc', 'MSc', 'BSc', 'MMSc', 'MPhil', 'DPhil', 'PharmD', 'EdD', 'PsyD',
+    'MBChB', 'MBBCh', 'BMBCh', 'BMedSci', 'MEd', 'MScN', 'DrMed', 'MMed', 'MHSc', 'MClinEpi', 'ScM'
+];
+const CREDENTIAL_CASE = new Map(MIXED_CASE_CREDENTIALS.map(credential => [credential.toUpperCase(), credential]));
+
+// Well-known credentials; lets degrees without dots ("MD", "PhD") be recognized in the name itself
+const KNOWN_CREDENTIALS = new Set([
+    ...CREDENTIAL_CASE.keys(),
+    'MD', 'DO', 'MBBS', 'MB', 'BS', 'BA', 'MA', 'MS', 'MPH', 'MBA', 'JD', 'DMD', 'DDS', 'DVM', 'RN', 'NP',
+    'BSN', 'MSN', 'DNP', 'PA', 'PA-C', 'MSW', 'LICSW', 'LCSW', 'MPP', 'MHS', 'MSCE', 'MHA', 'MMS',
+    'DPT', 'PT', 'OTR', 'FACP', 'FACS', 'FACC', 'FAHA', 'FAAP', 'FRCP', 'FRCPC', 'FRCS', 'FRCPath',
+    'MRCP', 'CCC-SLP', 'ABPP', 'CNM', 'MSPH', 'MBI', 'MFA', 'MEng', 'BMBS', 'MBBChir'
+].map(credential => credential.toUpperCase()));
+
+// Degrees that are written with a comma inside ("M.B.,B.S.", "M.B.,Ch.B.") -> their parts
+const SPLIT_CREDENTIALS = new Map([
+    ['MB+BS', 'MBBS'],
+    ['MB+CHB', 'MBChB'],
+    ['MB+BCH', 'MBBCh'],
+    ['BM+BCH', 'BMBCh'],
+    ['BM+BS', 'BMBS'],
+    ['MB+BCHIR', 'MBBChir']
+]);
+
+const HONORIFICS = new Map([
+    ['dr', 'Dr.'], ['doctor', 'Dr.'], ['prof', 'Prof.'], ['professor', 'Prof.'],
+    ['mr', 'Mr.'], ['mrs', 'Mrs.'], ['ms', 'Ms.'], ['mx', 'Mx.'], ['miss', 'Miss'],
+    ['sir', 'Sir'], ['dame', 'Dame'], ['rev', 'Rev.'], ['fr', 'Fr.']
+]);
+
+const SUFFIXES = new Map([
+    ['jr', 'Jr.'], ['junior', 'Jr.'], ['sr', 'Sr.'], ['senior', 'Sr.'],
+    ['ii', 'II'], ['iii', 'III'], ['iv', 'IV'], ['v', 'V'], ['2nd', 'II'], ['3rd', 'III']
+]);
+
+// Lower-case words that belong to the family name ("Ludwig van Beethoven")
+const FAMILY_PARTICLES = new Set(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'das', 'dos', 'di', 'du', 'la', 'le', 'ter', 'bin', 'ibn', 'al', 'el', 'st.']);
+
+/**
+ * Parse a DisplayName into name parts and credentials
+ * @param {string} displayName - DisplayName from the profile
+ * @param {Object} [hints] - Name fields stored separately on the profile
+ * @param {string} [hints.firstName] - FirstName, used to find multi-word given names
+ * @param {string} [hints.lastName] - LastName, used to find multi-word family names
+ * @returns {Object} { given, middle, family, nickname, honorifics, suffixes, credentials }
+ *
+ * Example: "Graham Andrew Colditz, Dr.P.H., M.B.,B.S., M.D." ->
+ * { given: "Graham", middle: "Andrew", family: "Colditz", nickname: "", honorifics: [],
+ *   suffixes: [], credentials: ["DrPH", "MBBS", "MD"] }
+ */
+function parseDisplayName(displayName, { firstName = '', lastName = '' } = {}) {
+    const parsed = { given: '', middle: '', family: '', nickname: '', honorifics: [], suffixes: [], credentials: [] };
+
+    let text = String(displayName || '').replace(/\s+/g, ' ').trim();
+    if (!text) return parsed;
+
+    // Nickname in quotes or parentheses: Robert "Bob" Smith, Robert (Bob) Smith
+    const nickname = text.match(/\s*(?:"([^"]+)"|“([^”]+)”|\(([^)]+)\))\s*/);
+    if (nickname) {
+        parsed.nickname = (nickname[1] || nickname[2] || nickname[3]).trim();
+        text = `${text.slice(0, nickname.index)} ${text.slice(nickname.index + nickname[0].length)}`.trim();
+    }
+
+    const segments = text.split(',').map(segment => segment.trim()).filter(Boolean);
+    const nameWords = segments.shift().split(' ');
+
+    // Everything after the first comma: credentials, suffixes, or "Last, First" order
+    for (let index = 0; index < segments.length; index++) {
+        const merged = index + 1 < segments.length && mergeSplitCredential(segments[index], segments[index + 1]);
+        if (merged) {
+            parsed.credentials.push(merged);
+            index++;
+            continue;
+        }
+
+        const suffix = SUFFIXES.get(normalizeWord(segments[index]));
+        if (suffix) {
+            parsed.suffixes.push(suffix);
+            continue;
+        }
+
+        const credentials = parseCredentialSegment(segments[index]);
+        if (credentials) {
+            parsed.credentials.push(...credentials);
+        } else if (index === 0 && nameWords.length === 1) {
+            // "Colditz, Graham Andrew"
+            nameWords.unshift(...segments[index].split(' '));
+        }
+    }
+
+    // Honorifics before the name, suffixes and dotless degrees after it
+    while (nameWords.length > 1 && HONORIFICS.has(normalizeWord(nameWords[0]))) {
+        parsed.honorifics.push(HONORIFICS.get(normalizeWord(nameWords.shift())));
+    }
+    const trailing = [];
+    while (nameWords.length > 1 && isTrailingWord(nameWords[nameWords.length - 1])) {
+        trailing.unshift(nameWords.pop());
+    }
+    const nameCredentials = [];
+    for (const word of trailing) {
+        const suffix = SUFFIXES.get(normalizeWord(word));
+        if (suffix) {
+            parsed.suffixes.push(suffix);
+        } else {
+            nameCredentials.push(normalizeCredential(word));
+        }
+    }
+    parsed.credentials = [...new Set([...nameCredentials, ...parsed.credentials])];
+
+    Object.assign(parsed, splitName(nameWords, { firstName, lastName }));
+    return parsed;
+}
+
+/**
+ * Split name words into given, middle and family name
+ * @param {string[]} words - Name words (no honorifics, suffixes or degrees)
+ * @param {Object} hints - { firstName, lastName }
+ * @returns {Object} { given, middle, family }
+ */
+function splitName(words, { firstName, lastName }) {
+    if (words.length === 0) return { given: '', middle: '', family: '' };
+    if (words.length === 1) return { given: '', middle: '', family: words[0] };
+
+    // Family name: the stored LastName when the name ends with it, else the last word and any particles
+    let familyLength = countMatchingWords(words, lastName, { fromEnd: true });
+    if (!familyLength || familyLength === words.length) {
+        familyLength = 1;
+        while (familyLength < words.length - 1 && FAMILY_PARTICLES.has(words[words.length - familyLength - 1].toLowerCase())) {
+            familyLength++;
+        }
+    }
+
+    const rest = words.slice(0, words.length - familyLength);
+    const givenLength = countMatchingWords(rest, firstName) || 1;
+
+    return {
+        given: rest.slice(0, givenLength).join(' '),
+        middle: rest.slice(givenLength).join(' '),
+        family: words.slice(words.length - familyLength).join(' ')
+    };
+}
+
+/**
+ * Count the words that spell a hint name ("Mary Ann" in "Mary Ann Lee")
+ * @param {string[]} words - Name words
+ * @param {string} hint - Name to match
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fromEnd] - Match the last words instead of the first
+ * @returns {number} Number of matching words, 0 when they don't match
+ */
+function countMatchingWords(words, hint, { fromEnd = false } = {}) {
+    const hintWords = String(hint || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (hintWords.length === 0 || hintWords.length > words.length) return 0;
+
+    const candidate = fromEnd ? words.slice(-hintWords.length) : words.slice(0, hintWords.length);
+    return candidate.join(' ').toLowerCase() === hintWords.join(' ') ? hintWords.length : 0;
+}
+
+/**
+ * Merge a degree written with a comma inside ("M.B.", "B.S." -> "MBBS")
+ * @param {string} first - Segment before the comma
+ * @param {string} second - Segment after the comma
+ * @returns {string|null} Normalized degree, or null
+ */
+function mergeSplitCredential(first, second) {
+    const key = `${dotless(first).toUpperCase()}+${dotless(second).toUpperCase()}`;
+    return SPLIT_CREDENTIALS.get(key) || null;
+}
+
+/**
+ * Parse a comma-separated segment that holds one or more credentials ("MD", "M.D. Ph.D.", "MD/PhD")
+ * @param {string} segment - Segment after the name
+ * @returns {string[]|null} Normalized credentials, or null when the segment isn't credentials
+ */
+function parseCredentialSegment(segment) {
+    // One known credential, possibly written with spaces: "M. D."
+    if (KNOWN_CREDENTIALS.has(dotless(segment).toUpperCase())) {
+        return [normalizeCredential(segment)];
+    }
+
+    const words = segment.split(/\s*[/&]\s*|\s+(?:and\s+)?/i).filter(Boolean);
+    return words.length > 0 && words.every(isCredentialWord) ? words.map(normalizeCredential) : null;
+}
+
+/**
+ * Check whether a word after the name is a credential
+ * Known credentials, or abbreviations written with dots or in capitals ("F.A.S.N.", "FASN")
+ * @param {string} word - Word
+ * @returns {boolean} True for credentials
+ */
+function isCredentialWord(word) {
+    const bare = dotless(word);
+    if (!/^[A-Za-z][A-Za-z-]{0,9}$/.test(bare)) return false;
+    return KNOWN_CREDENTIALS.has(bare.toUpperCase()) || /\./.test(word) || /^[A-Z]{2,}(?:-[A-Z]+)?$/.test(bare);
+}
+
+/**
+ * Check whether a word at the end of the name itself is a suffix or a degree
+ * Stricter than after a comma: degrees must be written exactly ("MD", "PhD", "M.D."),
+ * so family names like "Ma" or "Do" stay names
+ * @param {string} word - Word
+ * @returns {boolean} True for suffixes and degrees
+ */
+function isTrailingWord(word) {
+    if (SUFFIXES.has(normalizeWord(word)) && word !== 'v') return true;
+    const bare = dotless(word);
+    if (!KNOWN_CREDENTIALS.has(bare.toUpperCase())) return false;
+    return /\./.test(word) || bare === normalizeCredential(bare);
+}
+
+/**
+ * Normalize a credential ("Dr.P.H." -> "DrPH", "m.d." -> "MD")
+ * @param {string} word - Credential as written
+ * @returns {string} Normalized credential
+ */
+function normalizeCredential(word) {
+    const upper = dotless(word).toUpperCase();
+    return CREDENTIAL_CASE.get(upper) || upper;
+}
+
+/**
+ * @param {string} word - Word
+ * @returns {string} Word without dots and spaces
+ */
+function dotless(word) {
+    return String(word).replace(/[.\s]/g, '');
+}
+
+/**
+ * @param {string} word - Word
+ * @returns {string} Lower-case word without dots
+ */
+function normalizeWord(word) {
+    return dotless(word).toLowerCase();
+}
+
+module.exports = {
+    parseDisplayName,
+    normalizeCredential
+};
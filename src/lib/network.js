@@ -0,0 +1,197 @@
+/**
+ * Co-author and similar-people network
+ * Collects people (nodes) and co-authorship/similarity links (edges) from
+ * every scraped profile, and exports them as JSON and GraphML.
+ *
+ * Co-authorship is mutual, so those edges are undirected. "Similar people"
+ * lists are per profile, so similarity edges point from the profile to the
+ * person it lists.
+ */
+
+const { Actor: DefaultActor } = require('apify');
+
+const NETWORK_KEY = 'NETWORK';
+const NETWORK_GRAPHML_KEY = 'NETWORK_GRAPHML';
+
+// Node attributes exported to GraphML, in order
+const NODE_ATTRIBUTES = ['name', 'institution', 'department', 'profileUrl', 'scraped'];
+
+class NetworkGraph {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+    }
+
+    /**
+     * Add a scraped profile and its links
+     * @param {Object} person - { personId, name, institution, department, profileUrl }
+     * @param {Object} links - { coauthors, similarPeople } (see extractNetworkLinks)
+     */
+    addProfile(person, { coauthors = [], similarPeople = [] } = {}) {
+        const id = String(person.personId);
+        this._upsertNode(id, { ...person, scraped: true });
+
+        for (const coauthor of coauthors) {
+            const target = this._addLinkedPerson(coauthor);
+            if (target && target !== id) {
+                // Undirected: one edge per pair, whichever side was scraped first
+                const [a, b] = [id, target].sort();
+                this._upsertEdge(`coauthor:${a}:${b}`, { source: a, target: b, type: 'coauthor', directed: false, weight: coauthor.weight });
+            }
+        }
+
+        for (const similar of similarPeople) {
+            const target = this._addLinkedPerson(similar);
+            if (target && target !== id) {
+                this._upsertEdge(`similar:${id}:${target}`, { source: id, target, type: 'similar', directed: true, weight: similar.weight });
+            }
+        }
+    }
+
+    /**
+     * Export as JSON node/edge lists
+     * @returns {Object} { nodes: [{ id, ... }], edges: [{ source, target, type, directed, weight }] }
+     */
+    toJSON() {
+        return {
+            nodes: [...this.nodes.values()],
+            edges: [...this.edges.values()]
+        };
+    }
+
+    /**
+     * Export as GraphML
+     * @returns {string} GraphML document
+     */
+    toGraphML() {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+        ];
+
+        for (const attribute of NODE_ATTRIBUTES) {
+            const type = attribute === 'scraped' ? 'boolean' : 'string';
+            lines.push(`  <key id="${attribute}" for="node" attr.name="${attribute}" attr.type="${type}"/>`);
+        }
+        lines.push('  <key id="type" for="edge" attr.name="type" attr.type="string"/>');
+        lines.push('  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>');
+        lines.push('  <graph id="network" edgedefault="undirected">');
+
+        for (const node of this.nodes.values()) {
+            lines.push(`    <node id="${escapeXml(node.id)}">`);
+            for (const attribute of NODE_ATTRIBUTES) {
+                if (node[attribute] !== undefined && node[attribute] !== null && node[attribute] !== '') {
+                    lines.push(`      <data key="${attribute}">${escapeXml(node[attribute])}</data>`);
+                }
+            }
+            lines.push('    </node>');
+        }
+
+        let edgeIndex = 0;
+        for (const edge of this.edges.values()) {
+            const directed = edge.directed ? ' directed="true"' : '';
+            lines.push(`    <edge id="e${edgeIndex++}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${directed}>`);
+            lines.push(`      <data key="type">${edge.type}</data>`);
+            if (edge.weight !== null && edge.weight !== undefined) {
+                lines.push(`      <data key="weight">${edge.weight}</data>`);
+            }
+            lines.push('    </edge>');
+        }
+
+        lines.push('  </graph>');
+        lines.push('</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Rebuild a graph from its JSON export (resume)
+     * @param {Object|null} data - Output of toJSON()
+     * @returns {NetworkGraph} Graph
+     */
+    static fromJSON(data) {
+        const graph = new NetworkGraph();
+        for (const node of (data && data.nodes) || []) {
+            graph.nodes.set(node.id, node);
+        }
+        for (const edge of (data && data.edges) || []) {
+            const [a, b] = edge.directed ? [edge.source, edge.target] : [edge.source, edge.target].sort();
+            graph.edges.set(`${edge.type}:${a}:${b}`, edge);
+        }
+        return graph;
+    }
+
+    _addLinkedPerson(link) {
+        const id = link.personId ? String(link.personId) : link.url;
+        if (!id) return null;
+
+        // Linked-only people keep scraped: false until their own profile is scraped
+        this._upsertNode(id, { personId: link.personId || null, name: link.name, profileUrl: link.url });
+        return id;
+    }
+
+    _upsertNode(id, attributes) {
+        const existing = this.nodes.get(id) || { id, scraped: false };
+        const merged = { ...existing };
+
+        for (const [key, value] of Object.entries(attributes)) {
+            if (value === undefined || value === null || value === '') continue;
+            // A scraped profile's own details win over what other pages said about it
+            if (existing.scraped && !attributes.scraped && merged[key]) continue;
+            merged[key] = value;
+        }
+
+        this.nodes.set(id, merged);
+    }
+
+    _upsertEdge(key, edge) {
+        const existing = this.edges.get(key);
+        const weight = Number.isFinite(edge.weight) ? edge.weight : null;
+
+        if (!existing) {
+            this.edges.set(key, { ...edge, weight });
+        } else if (weight !== null && (existing.weight === null || weight > existing.weight)) {
+            existing.weight = weight;
+        }
+    }
+}
+
+/**
+ * Escape a value for XML text or attributes
+ * @param {*} value - Value
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Save the network to the run's key-value store (JSON and GraphML)
+ * @param {NetworkGraph} graph - Network
+ * @param {Object} [Actor] - Apify Actor (injectable for tests)
+ */
+async function saveNetwork(graph, Actor = DefaultActor) {
+    await Actor.setValue(NETWORK_KEY, graph.toJSON());
+    await Actor.setValue(NETWORK_GRAPHML_KEY, graph.toGraphML(), { contentType: 'application/xml' });
+}
+
+/**
+ * Load the network saved by an earlier (interrupted) run
+ * @param {Object} [Actor] - Apify Actor (injectable for tests)
+ * @returns {Promise<NetworkGraph>} Saved network, or an empty one
+ */
+async function loadNetwork(Actor = DefaultActor) {
+    return NetworkGraph.fromJSON(await Actor.getValue(NETWORK_KEY));
+}
+
+module.exports = {
+    NetworkGraph,
+    saveNetwork,
+    loadNetwork,
+    NETWORK_KEY,
+    NETWORK_GRAPHML_KEY
+};
@@ -7,12 +7,33 @@
  */
 
 const Tesseract = require('tesseract.js');
+const { withProxy } = require('./proxy.js');
+const { rateLimiter } = require('./rate-limiter.js');
+const { preprocessImage } = require('./image-preprocess.js');
 
 // Singleton worker instance
 let sharedWorker = null;
 let workerUsageCount = 0;
 const MAX_WORKER_USAGE = 100; // Recreate worker after 100 uses to prevent memory buildup
 
+// Characters Tesseract read with less confidence than this (0-1) are flagged
+const LOW_CHARACTER_CONFIDENCE = 0.6;
+const MAX_ALTERNATIVES = 5;
+
+// Email image requests the site refuses outside a browser session
+const REFUSED_IMAGE_STATUSES = [401, 403];
+const LOGIN_OR_BLOCK_URL = /log-?in|log-?on|sign-?in|sso|auth|captcha|challenge|block|denied/i;
+
+// Look-alike readings in email images, both ways
+const CONFUSABLE_READINGS = [
+    ['l', '1'],
+    ['l', 'i'],
+    ['1', 'i'],
+    ['rn', 'm'],
+    ['0', 'o'],
+    ['vv', 'w']
+];
+
 /**
  * Get or create shared Tesseract worker
  * @returns {Promise<Tesseract.Worker>} Tesseract worker instance
@@ -57,21 +78,37 @@ async function terminateWorker() {
 /**
  * Perform OCR on an email image URL
  * @param {string} imageUrl - URL of the email image
- * @returns {Promise<string|null>} Extracted email address or null
+ * @param {Object} [options] - Options
+ * @param {string} [options.proxyUrl] - Proxy to fetch the image through (the page's session proxy)
+ * @param {Object} [options.headers] - Extra request headers (e.g. the page session's cookies)
+ * @param {Object|boolean} [options.preprocess] - Image preprocessing options (see image-preprocess.js), false to skip
+ * @param {Object} [options.imageFetch] - Receives the image response: { status, refused } (see checkImageResponse)
+ * @returns {Promise<Object|null>} Email reading (see recognizeEmailImage) or null
  */
-async function performOCR(imageUrl) {
+async function performOCR(imageUrl, { proxyUrl = null, headers = {}, preprocess = {}, imageFetch = {} } = {}) {
     if (!imageUrl) return null;
 
     try {
-        // Fetch the image with timeout
+        // Fetch the image with timeout, paced by the shared rate limiter (`ocr` lane)
+        await rateLimiter.wait('ocr');
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 10000);
 
-        const response = await fetch(imageUrl, {
+        const response = await fetch(imageUrl, withProxy({
+            headers,
             signal: controller.signal
-        }).finally(() => clearTimeout(timeoutId));
+        }, proxyUrl))
+            .catch(error => {
+                rateLimiter.onError('ocr');
+                throw error;
+            })
+            .finally(() => clearTimeout(timeoutId));
 
-        if (!response.ok) {
+        rateLimiter.onResponse('ocr', response.status, response.headers.get('retry-after'));
+
+        const refused = checkImageResponse(response);
+        Object.assign(imageFetch, { status: response.status, refused });
+        if (refused || !response.ok) {
             return null;
         }
 
@@ -82,46 +119,177 @@ async function performOCR(imageUrl) {
             return null;
         }
 
-        // Use shared worker
-        const worker = await getWorker();
-        workerUsageCount++;
+        return await recognizeEmailImage(Buffer.from(imageBuffer), { preprocess });
+
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether the site refused an email image request (it only serves the image
+ * to a browser session): a 401/403, a page instead of an image, or a redirect
+ * to a login or block page. A missing image (404) or a server error is not a refusal.
+ * @param {Object} response - Fetch response ({ status, headers, redirected, url })
+ * @returns {string|null} Why the image was refused, or null
+ */
+function checkImageResponse(response) {
+    if (REFUSED_IMAGE_STATUSES.includes(response.status)) {
+        return `HTTP ${response.status}`;
+    }
+    if (response.redirected && LOGIN_OR_BLOCK_URL.test(response.url.replace(/^https?:\/\/[^/]+/i, ''))) {
+        return `redirected to ${response.url}`;
+    }
+    const contentType = response.headers.get('content-type');
+    if (response.ok && contentType && !/^image\//i.test(contentType.trim())) {
+        return `not an image (${contentType})`;
+    }
+    return null;
+}
+
+/**
+ * Read the email address from an email image
+ * @param {Buffer} imageBuffer - Image file
+ * @param {Object} [options] - Options
+ * @param {Object|boolean} [options.preprocess] - Image preprocessing options (see image-preprocess.js), false to skip
+ * @returns {Promise<Object|null>} { email, confidence, lowConfidenceChars, alternatives } or null:
+ *   confidence is Tesseract's mean confidence (0-1), the rest come from analyzeEmailReading
+ */
+async function recognizeEmailImage(imageBuffer, { preprocess = {} } = {}) {
+    // Clean up the small anti-aliased image first (see image-preprocess.js)
+    const { buffer } = preprocessImage(imageBuffer, preprocess);
+
+    // Use shared worker
+    const worker = await getWorker();
+    workerUsageCount++;
 
-        // Wrap recognize in a Promise with timeout
-        const recognizeWithTimeout = () => {
-            return Promise.race([
-                worker.recognize(Buffer.from(imageBuffer)),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('OCR timeout')), 15000)
-                )
-            ]);
-        };
+    // Wrap recognize in a Promise with timeout
+    const recognizeWithTimeout = () => {
+        return Promise.race([
+            worker.recognize(buffer),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('OCR timeout')), 15000)
+            )
+        ]);
+    };
 
-        const { data: { text } } = await recognizeWithTimeout();
+    const { data } = await recognizeWithTimeout();
+    const { text, confidence } = data;
 
-        // Check if the image contains N/A or similar indicators
-        if (isNotAvailable(text)) {
-            return null;
+    // Check if the image contains N/A or similar indicators
+    if (isNotAvailable(text)) {
+        return null;
+    }
+
+    // Clean the OCR text
+    const cleanedText = cleanOCRText(text);
+
+    // Try to extract email
+    const emailPattern = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+    const match = cleanedText.match(emailPattern);
+
+    if (match) {
+        const email = match[0];
+        if (isValidEmail(email)) {
+            // Per-character confidences, when Tesseract's symbols line up with the cleaned text
+            const characters = readCharacters(data);
+            const aligned = characters.length === cleanedText.length
+                ? characters.slice(match.index, match.index + email.length)
+                : [];
+            return {
+                email,
+                confidence: Number.isFinite(confidence) ? Math.round(confidence) / 100 : null,
+                ...analyzeEmailReading(email, aligned)
+            };
         }
+    }
 
-        // Clean the OCR text
-        const cleanedText = cleanOCRText(text);
+    return null;
+}
 
-        // Try to extract email
-        const emailPattern = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
-        const match = cleanedText.match(emailPattern);
+/**
+ * Characters of the recognized text with Tesseract's symbol confidences
+ * Follows cleanOCRText: whitespace dropped, lower case, "|" read as "l"
+ * @param {Object} data - Tesseract result data
+ * @returns {Object[]} [{ char, confidence (0-1), choices: [{ text, confidence }] }]
+ */
+function readCharacters(data) {
+    const symbols = Array.isArray(data.symbols)
+        ? data.symbols
+        : (data.blocks || []).flatMap(block => block.paragraphs.flatMap(paragraph =>
+            paragraph.lines.flatMap(line => line.words.flatMap(word => word.symbols))));
 
-        if (match) {
-            const email = match[0].toLowerCase().trim();
-            if (isValidEmail(email)) {
-                return email;
-            }
+    const characters = [];
+    for (const symbol of symbols) {
+        const confidence = Number.isFinite(symbol.confidence) ? symbol.confidence / 100 : null;
+        const choices = (symbol.choices || [])
+            .filter(choice => choice.text && choice.text.trim() && choice.text !== symbol.text)
+            .map(choice => ({
+                text: cleanOCRText(choice.text),
+                confidence: Number.isFinite(choice.confidence) ? choice.confidence / 100 : null
+            }));
+        for (const char of cleanOCRText(symbol.text || '')) {
+            characters.push({ char, confidence, choices });
         }
+    }
+    return characters;
+}
 
-        return null;
+/**
+ * Flag uncertain characters of an OCR-read email and rank alternative readings
+ * Alternatives swap look-alike characters (l/1/i, rn/m, 0/o, vv/w) and take
+ * Tesseract's other choices for a character, in the part before the "@" (the
+ * domain is checked by the email pattern and repeats across profiles). Each is scored by how likely the
+ * first reading is wrong there: 1 - the character's confidence (0.5 when unknown),
+ * or the confidence of Tesseract's other choice.
+ * @param {string} email - Email as read
+ * @param {Object[]} [characters] - Per-character readings aligned with the email
+ *                                  (see readCharacters); empty when unknown
+ * @returns {Object} { lowConfidenceChars: [{ index, char, confidence }], alternatives: [{ email, score }] }
+ */
+function analyzeEmailReading(email, characters = []) {
+    const confidenceAt = index => (characters[index] && Number.isFinite(characters[index].confidence)
+        ? characters[index].confidence
+        : null);
 
-    } catch (error) {
-        return null;
+    const lowConfidenceChars = [];
+    for (let index = 0; index < email.length; index++) {
+        const confidence = confidenceAt(index);
+        if (confidence !== null && confidence < LOW_CHARACTER_CONFIDENCE) {
+            lowConfidenceChars.push({ index, char: email[index], confidence: Math.round(confidence * 100) / 100 });
+        }
+    }
+
+    // Best score per alternative address
+    const scores = new Map();
+    const addAlternative = (index, length, replacement, score) => {
+        const alternative = email.slice(0, index) + replacement + email.slice(index + length);
+        if (alternative === email || !isValidEmail(alternative)) return;
+        scores.set(alternative, Math.max(scores.get(alternative) || 0, Math.round(score * 100) / 100));
+    };
+
+    const localPartLength = email.indexOf('@');
+    for (let index = 0; index < localPartLength; index++) {
+        for (const [first, second] of CONFUSABLE_READINGS) {
+            for (const [from, to] of [[first, second], [second, first]]) {
+                if (!email.startsWith(from, index) || index + from.length > localPartLength) continue;
+                const spanConfidences = [...from].map((_, offset) => confidenceAt(index + offset)).filter(value => value !== null);
+                const confidence = spanConfidences.length ? Math.min(...spanConfidences) : 0.5;
+                addAlternative(index, from.length, to, 1 - confidence);
+            }
+        }
+
+        for (const choice of (characters[index] && characters[index].choices) || []) {
+            if (choice.confidence !== null) addAlternative(index, 1, choice.text, choice.confidence);
+        }
     }
+
+    const alternatives = [...scores]
+        .map(([alternative, score]) => ({ email: alternative, score }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_ALTERNATIVES);
+
+    return { lowConfidenceChars, alternatives };
 }
 
 /**
@@ -179,6 +347,10 @@ function isValidEmail(email) {
 
 module.exports = {
     performOCR,
+    checkImageResponse,
+    recognizeEmailImage,
+    analyzeEmailReading,
+    readCharacters,
     terminateWorker,
     isValidEmail,
     cleanOCRText,
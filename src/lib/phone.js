@@ -0,0 +1,115 @@
+/**
+ * Phone and fax normalization
+ * Profiles store phone numbers as typed ("314/454-7940", "(617) 525-2279 x1234",
+ * "+44 20 7946 0000"). This parses them into E.164 ("+13144547940") with the
+ * extension kept separately, and flags numbers that can't be real.
+ */
+
+const DEFAULT_COUNTRY_CODE = '1'; // Profiles RNS installations are North American
+
+// Values that mean "no number"
+const PLACEHOLDER_TEXT = /^(?:n\/?a|none|tbd|tba|unknown|not available|-+|\.+)$/i;
+
+// Extension at the end: "x1234", "ext. 1234", "extension 1234", "#1234"
+const EXTENSION = /\s*(?:x|ext\.?|extension|#)\s*(\d{1,6})\s*$/i;
+
+/**
+ * Parse a phone or fax number
+ * @param {string|number} value - Phone number as stored in the profile
+ * @param {Object} [options] - Options
+ * @param {string} [options.defaultCountryCode] - Country code for numbers without one
+ * @returns {Object|null} { e164, extension, raw, valid, issue }, or null when there is no number
+ *
+ * Example: "314/454-7940 x12" -> { e164: "+13144547940", extension: "12", raw: "314/454-7940 x12", valid: true, issue: null }
+ * Invalid numbers keep e164 empty and name the problem in `issue`:
+ * placeholder, no digits, missing area code, too short, too long, invalid area code, invalid exchange
+ */
+function parsePhoneNumber(value, { defaultCountryCode = DEFAULT_COUNTRY_CODE } = {}) {
+    const raw = value === null || value === undefined ? '' : String(value).trim();
+    if (!raw) return null;
+
+    const result = { e164: '', extension: '', raw, valid: false, issue: null };
+
+    if (PLACEHOLDER_TEXT.test(raw)) {
+        return { ...result, issue: 'placeholder' };
+    }
+
+    let main = raw;
+    const extension = main.match(EXTENSION);
+    if (extension) {
+        result.extension = extension[1];
+        main = main.slice(0, extension.index);
+    }
+
+    // "+44 ..." or the US dialing prefix "011 44 ..."
+    const international = /^\s*(?:\+|011\b)/.test(main);
+    let digits = main.replace(/\D/g, '');
+    if (international && !main.trim().startsWith('+')) {
+        digits = digits.slice(3);
+    }
+
+    if (!digits) {
+        return { ...result, issue: 'no digits' };
+    }
+
+    // International numbers: country code plus number, 8-15 digits in total
+    if (international) {
+        if (digits.length < 8) return { ...result, issue: 'too short' };
+        if (digits.length > 15) return { ...result, issue: 'too long' };
+        if (digits.startsWith('1')) {
+            return checkNanp(digits.slice(1), result);
+        }
+        return { ...result, e164: `+${digits}`, valid: true };
+    }
+
+    if (defaultCountryCode !== '1') {
+        const national = digits.replace(/^0/, '');
+        if (national.length < 6) return { ...result, issue: 'too short' };
+        if (defaultCountryCode.length + national.length > 15) return { ...result, issue: 'too long' };
+        return { ...result, e164: `+${defaultCountryCode}${national}`, valid: true };
+    }
+
+    // North American numbers: 10 digits, optionally with the leading 1
+    if (digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.slice(1);
+    }
+    if (digits.length === 7) return { ...result, issue: 'missing area code' };
+    if (digits.length < 10) return { ...result, issue: 'too short' };
+    if (digits.length > 10) return { ...result, issue: 'too long' };
+
+    return checkNanp(digits, result);
+}
+
+/**
+ * Validate a 10-digit North American number
+ * @param {string} digits - Area code, exchange and line number
+ * @param {Object} result - Result to complete
+ * @returns {Object} Completed result
+ */
+function checkNanp(digits, result) {
+    if (digits.length !== 10) {
+        return { ...result, issue: digits.length < 10 ? 'too short' : 'too long' };
+    }
+
+    const areaCode = digits.slice(0, 3);
+    const exchange = digits.slice(3, 6);
+    const line = digits.slice(6);
+
+    // Filler such as 000-000-0000, 123-456-7890 or the fictional 555-01XX range
+    if (/^(\d)\1{9}$/.test(digits) || digits === '1234567890' || (exchange === '555' && line.startsWith('01'))) {
+        return { ...result, issue: 'placeholder' };
+    }
+    if (!/^[2-9]/.test(areaCode) || /^\d11$/.test(areaCode)) {
+        return { ...result, issue: 'invalid area code' };
+    }
+    if (!/^[2-9]/.test(exchange)) {
+        return { ...result, issue: 'invalid exchange' };
+    }
+
+    return { ...result, e164: `+1${digits}`, valid: true };
+}
+
+module.exports = {
+    parsePhoneNumber,
+    DEFAULT_COUNTRY_CODE
+};
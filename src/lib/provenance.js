@@ -0,0 +1,91 @@
+/**
+ * Field-level provenance of enriched records
+ * A record merges the search listing, the page's g.preLoad data and the email
+ * found by the discovery chain (see email-discovery.js). The provenance map says
+ * which of them each output field came from, with the OCR confidence for OCR-read values.
+ */
+
+// Where a value can come from
+const SOURCES = {
+    LISTING: 'listing', // Search API listing item
+    PRELOAD: 'preLoad', // g.preLoad data embedded in the profile page
+    MAILTO: 'mailto', // mailto link on the profile page
+    DATA_ATTRIBUTE: 'dataAttribute', // data-email style attribute on the profile page
+    TEXT: 'text', // Address in the page text
+    OBFUSCATED: 'obfuscated', // "name at partners dot org" in the page text
+    OCR: 'ocr', // Email image read by OCR
+    SEARCH: 'search', // The run's own search queries
+    SITE: 'site' // Site settings of the run
+};
+
+class Provenance {
+    constructor() {
+        this.fields = {};
+    }
+
+    /**
+     * Use the first candidate with a value and record its source
+     * Empty strings, null and undefined count as no value; arrays and objects always count
+     * @param {string} field - Output field name
+     * @param {...Array} candidates - [source, value, details] in priority order;
+     *                                details (e.g. { confidence }) are added to the entry
+     * @returns {*} Chosen value (the last candidate's value when none has one)
+     */
+    pick(field, ...candidates) {
+        for (const [source, value, details] of candidates) {
+            if (hasValue(value)) {
+                this.fields[field] = { source, ...details };
+                return value;
+            }
+        }
+
+        this.fields[field] = { source: null };
+        return candidates.length > 0 ? candidates[candidates.length - 1][1] : undefined;
+    }
+
+    /**
+     * Record a value that comes from a single source
+     * @param {string} field - Output field name
+     * @param {string} source - Source (see SOURCES)
+     * @param {*} value - Value
+     * @returns {*} The value
+     */
+    from(field, source, value) {
+        return this.pick(field, [source, value]);
+    }
+
+    /**
+     * Record a value computed from other output fields (e.g. location from address)
+     * The entry takes the source of the first input field
+     * @param {string} field - Output field name
+     * @param {string|string[]} inputs - Output fields the value was computed from
+     * @param {*} value - Computed value
+     * @returns {*} The value
+     */
+    derive(field, inputs, value) {
+        const derivedFrom = Array.isArray(inputs) ? inputs : [inputs];
+        const origin = this.fields[derivedFrom[0]] || { source: null };
+        this.fields[field] = { ...origin, derivedFrom };
+        return value;
+    }
+
+    /**
+     * @returns {Object} Field name -> { source, confidence?, derivedFrom? }
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.fields));
+    }
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} True unless empty string, null or undefined
+ */
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+module.exports = {
+    Provenance,
+    SOURCES
+};
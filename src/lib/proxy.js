@@ -0,0 +1,69 @@
+/**
+ * Proxy support for plain HTTP traffic (search API, facet discovery, email images)
+ * The browser gets its proxy from the crawler; these helpers route the fetch
+ * calls through the same proxy configuration.
+ *
+ * Stickiness comes from proxy sessions: the search API always uses one session,
+ * and email images are fetched through the proxy URL of the browser session
+ * that loaded the profile page, so both requests leave from the same IP.
+ */
+
+const { ProxyAgent } = require('undici');
+
+const API_PROXY_SESSION = 'search_api'; // Session id for all search API requests
+
+// One agent per proxy URL, reused so connections to the proxy stay open
+const dispatchers = new Map();
+
+/**
+ * Get the proxy URL for a session
+ * @param {Object|null} proxyConfiguration - Apify/Crawlee proxy configuration
+ * @param {string} sessionId - Session id (same id, same proxy)
+ * @returns {Promise<string|null>} Proxy URL or null when no proxy is configured
+ */
+async function getSessionProxyUrl(proxyConfiguration, sessionId) {
+    if (!proxyConfiguration) return null;
+    return (await proxyConfiguration.newUrl(sessionId)) || null;
+}
+
+/**
+ * Get the fetch dispatcher that tunnels through a proxy
+ * @param {string|null} proxyUrl - Proxy URL
+ * @returns {Object|undefined} undici dispatcher, or undefined for a direct connection
+ */
+function getProxyDispatcher(proxyUrl) {
+    if (!proxyUrl) return undefined;
+
+    if (!dispatchers.has(proxyUrl)) {
+        dispatchers.set(proxyUrl, new ProxyAgent(proxyUrl));
+    }
+    return dispatchers.get(proxyUrl);
+}
+
+/**
+ * Add the proxy dispatcher to fetch options
+ * @param {Object} options - fetch options
+ * @param {string|null} proxyUrl - Proxy URL
+ * @returns {Object} fetch options, unchanged when no proxy is used
+ */
+function withProxy(options, proxyUrl) {
+    const dispatcher = getProxyDispatcher(proxyUrl);
+    return dispatcher ? { ...options, dispatcher } : options;
+}
+
+/**
+ * Close all proxy connections (call once at the end of the run)
+ */
+async function closeProxyDispatchers() {
+    const agents = [...dispatchers.values()];
+    dispatchers.clear();
+    await Promise.all(agents.map(agent => agent.close().catch(() => {})));
+}
+
+module.exports = {
+    getSessionProxyUrl,
+    getProxyDispatcher,
+    withProxy,
+    closeProxyDispatchers,
+    API_PROXY_SESSION
+};
@@ -0,0 +1,191 @@
+/**
+ * Adaptive rate limiter shared by the search API, the browser, plain HTTP profile
+ * fetches and OCR image fetches
+ *
+ * Each traffic type has its own lane with its own pacing. All lanes talk to the
+ * same server, so a 429/503 on any lane pauses every lane (for `Retry-After`
+ * when the server sends it). The lane that saw the error, a 403 or a block page
+ * also slows down, and speeds back up in small steps once responses are healthy.
+ */
+
+// Pacing per lane: gap between one request finishing and the next starting
+const DEFAULT_LANES = {
+    api: { minDelay: 50, maxDelay: 30000, jitter: 0 },
+    browser: { minDelay: 4000, maxDelay: 120000, jitter: 4000, breakEvery: 200, breakDelay: 30000 },
+    http: { minDelay: 1000, maxDelay: 120000, jitter: 1000, breakEvery: 500, breakDelay: 30000 },
+    ocr: { minDelay: 0, maxDelay: 30000, jitter: 0 }
+};
+
+const RATE_LIMIT_STATUSES = [429, 503]; // Server asks us to back off
+const BLOCKED_STATUSES = [403];         // Server refuses us, treated like a block page
+const DEFAULT_PAUSE = 30000;            // Pause when a 429/503 has no Retry-After
+const MAX_PAUSE = 600000;               // Never pause longer than 10 minutes
+const SLOW_DOWN_FACTOR = 2;
+const SLOW_DOWN_MIN_STEP = 1000;        // Slowing down adds at least 1s to the gap
+const SPEED_UP_FACTOR = 0.75;
+const SPEED_UP_AFTER = 10;              // Healthy responses in a row before speeding up
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number|null} value - Seconds or HTTP date
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Milliseconds to wait, or null when absent/invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Object} [options.lanes] - Lane settings, merged over DEFAULT_LANES
+     * @param {Function} [options.now] - Clock (injectable for tests)
+     * @param {Function} [options.sleep] - Sleep function (injectable for tests)
+     * @param {Function} [options.random] - Random source for jitter (injectable for tests)
+     */
+    constructor({ lanes = {}, now = Date.now, sleep = null, random = Math.random } = {}) {
+        this.now = now;
+        this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.random = random;
+        this.pausedUntil = 0;
+        this.lanes = {};
+
+        for (const name of new Set([...Object.keys(DEFAULT_LANES), ...Object.keys(lanes)])) {
+            const settings = { jitter: 0, breakEvery: 0, breakDelay: 0, ...DEFAULT_LANES[name], ...lanes[name] };
+            this.lanes[name] = {
+                ...settings,
+                delay: settings.minDelay,
+                nextAt: 0,
+                requests: 0,
+                healthyStreak: 0
+            };
+        }
+    }
+
+    /**
+     * Wait until the lane may send its next request
+     * @param {string} laneName - Lane name (api, browser, http, ocr)
+     * @returns {Promise<number>} Milliseconds waited
+     */
+    async wait(laneName) {
+        const lane = this._lane(laneName);
+        lane.requests++;
+
+        let waitMs = Math.max(0, lane.nextAt - this.now(), this.pausedUntil - this.now());
+
+        // Longer cool-down every `breakEvery` requests
+        if (lane.breakEvery > 0 && lane.requests > 1 && (lane.requests - 1) % lane.breakEvery === 0) {
+            console.log(`⏳ ${lane.breakEvery} ${laneName} requests since last break, waiting ${lane.breakDelay / 1000}s...`);
+            waitMs = Math.max(waitMs, lane.breakDelay);
+        }
+
+        if (waitMs > 0) {
+            await this.sleep(waitMs);
+        }
+        return waitMs;
+    }
+
+    /**
+     * Report an HTTP response
+     * @param {string} laneName - Lane name
+     * @param {number} status - HTTP status
+     * @param {string|number|null} [retryAfter] - Retry-After header value
+     */
+    onResponse(laneName, status, retryAfter = null) {
+        if (RATE_LIMIT_STATUSES.includes(status)) {
+            const requested = parseRetryAfter(retryAfter, this.now());
+            const pause = Math.min(MAX_PAUSE, requested !== null ? requested : DEFAULT_PAUSE);
+            this.pausedUntil = Math.max(this.pausedUntil, this.now() + pause);
+            console.log(`⏸️  ${status} on ${laneName}, pausing all requests for ${Math.round(pause / 1000)}s${requested !== null ? ' (Retry-After)' : ''}`);
+            this._slowDown(laneName);
+        } else if (BLOCKED_STATUSES.includes(status)) {
+            this.onBlocked(laneName);
+        } else if (status >= 200 && status < 400) {
+            this.onSuccess(laneName);
+        } else {
+            this._schedule(this._lane(laneName));
+        }
+    }
+
+    /**
+     * Report a healthy response; enough of them in a row speeds the lane up again
+     * @param {string} laneName - Lane name
+     */
+    onSuccess(laneName) {
+        const lane = this._lane(laneName);
+        lane.healthyStreak++;
+
+        if (lane.healthyStreak >= SPEED_UP_AFTER && lane.delay > lane.minDelay) {
+            lane.delay = Math.max(lane.minDelay, Math.round(lane.delay * SPEED_UP_FACTOR));
+            lane.healthyStreak = 0;
+            console.log(`🐇 Responses healthy, ${laneName} gap down to ${(lane.delay / 1000).toFixed(1)}s`);
+        }
+        this._schedule(lane);
+    }
+
+    /**
+     * Report a block page (or 403) seen on the lane
+     * @param {string} laneName - Lane name
+     */
+    onBlocked(laneName) {
+        console.log(`🚧 Block page on ${laneName}, slowing down`);
+        this._slowDown(laneName);
+    }
+
+    /**
+     * Report a network error (timeout, connection reset)
+     * @param {string} laneName - Lane name
+     */
+    onError(laneName) {
+        this._slowDown(laneName);
+    }
+
+    /**
+     * Current gap of a lane
+     * @param {string} laneName - Lane name
+     * @returns {number} Milliseconds between requests (before jitter)
+     */
+    getDelay(laneName) {
+        return this._lane(laneName).delay;
+    }
+
+    _slowDown(laneName) {
+        const lane = this._lane(laneName);
+        const slower = Math.max(lane.delay * SLOW_DOWN_FACTOR, lane.delay + SLOW_DOWN_MIN_STEP);
+        lane.delay = Math.min(lane.maxDelay, Math.round(slower));
+        lane.healthyStreak = 0;
+        console.log(`🐢 ${laneName} gap up to ${(lane.delay / 1000).toFixed(1)}s`);
+        this._schedule(lane);
+    }
+
+    _schedule(lane) {
+        const jitter = lane.jitter > 0 ? Math.floor(this.random() * lane.jitter) : 0;
+        lane.nextAt = this.now() + lane.delay + jitter;
+    }
+
+    _lane(laneName) {
+        const lane = this.lanes[laneName];
+        if (!lane) {
+            throw new Error(`Unknown rate limiter lane "${laneName}"`);
+        }
+        return lane;
+    }
+}
+
+// Shared instance used by api.js, ocr.js and the crawler
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+    RateLimiter,
+    rateLimiter,
+    parseRetryAfter,
+    DEFAULT_LANES
+};
@@ -0,0 +1,103 @@
+/**
+ * Site profiles for Profiles RNS installations
+ * The same Profiles software (SearchSvc API, g.preLoad profile pages) runs at
+ * several universities. A site profile holds the endpoint paths and payload
+ * quirks of one installation; everything else is shared.
+ */
+
+const DEFAULT_BASE_URL = 'https://connects.catalyst.harvard.edu/profiles';
+
+// Settings every installation starts from, unless its site profile overrides them
+const BASE_SETTINGS = {
+    searchPath: '/Search/SearchSvc.aspx?SearchType=person',
+    profilePath: '/display/Person',
+    searchFormPath: '/search/',
+    searchType: 'people',       // SearchSvc `SearchType` payload value
+    payloadExtras: {},          // Extra fields some installations require in the payload
+    unsupportedFields: [],      // Payload fields an installation rejects, dropped before sending
+    emailImageSelectors: [      // `img[attribute*="value"]` form, matched against the page HTML in Node
+        'img[src*="EmailHandler"]',
+        'img[src*="ShowEmail"]',
+        'img[alt*="email" i]'
+    ],
+    facetsKey: null             // Key of the facet table in the shared store (derived when null)
+};
+
+// Known installations, matched by host when no site profile is chosen
+const SITE_PROFILES = {
+    harvard: {
+        name: 'Harvard Catalyst',
+        host: 'connects.catalyst.harvard.edu',
+        facetsKey: 'FACETS'
+    },
+    generic: {
+        name: 'Generic Profiles RNS',
+        host: null
+    }
+};
+
+/**
+ * Resolve the site an input points at
+ * @param {Object} [options] - Options
+ * @param {string} [options.baseUrl] - Base URL of the Profiles installation (up to and including `/profiles`)
+ * @param {string} [options.siteProfile] - Name of a site profile (see SITE_PROFILES), detected from the host when empty or 'auto'
+ * @param {Object} [options.siteOverrides] - Settings overriding the site profile (paths, payload quirks)
+ * @returns {Object} Resolved site: { id, profile, name, baseUrl, searchEndpoint, profileBase, searchFormUrl, ... }
+ */
+function resolveSite({ baseUrl = DEFAULT_BASE_URL, siteProfile = 'auto', siteOverrides = {} } = {}) {
+    const normalizedBase = normalizeBaseUrl(baseUrl || DEFAULT_BASE_URL);
+    const host = new URL(normalizedBase).host;
+
+    const requested = siteProfile === 'auto' ? '' : siteProfile;
+    const profileName = requested || Object.keys(SITE_PROFILES).find(name => SITE_PROFILES[name].host === host) || 'generic';
+    if (!SITE_PROFILES[profileName]) {
+        throw new Error(`Unknown site profile "${siteProfile}" (known: ${Object.keys(SITE_PROFILES).join(', ')})`);
+    }
+
+    const settings = { ...BASE_SETTINGS, ...SITE_PROFILES[profileName], ...(siteOverrides || {}) };
+
+    return {
+        id: host,
+        profile: profileName,
+        name: settings.name,
+        baseUrl: normalizedBase,
+        searchEndpoint: `${normalizedBase}${settings.searchPath}`,
+        profileBase: `${normalizedBase}${settings.profilePath}`,
+        searchFormUrl: `${normalizedBase}${settings.searchFormPath}`,
+        searchType: settings.searchType,
+        payloadExtras: settings.payloadExtras,
+        unsupportedFields: settings.unsupportedFields,
+        emailImageSelectors: settings.emailImageSelectors,
+        facetsKey: settings.facetsKey || `FACETS_${host.replace(/[^a-zA-Z0-9]/g, '_')}`
+    };
+}
+
+/**
+ * Validate a base URL and strip trailing slashes
+ * @param {string} baseUrl - User-supplied base URL
+ * @returns {string} Normalized base URL
+ */
+function normalizeBaseUrl(baseUrl) {
+    let url;
+    try {
+        url = new URL(String(baseUrl).trim());
+    } catch (error) {
+        throw new Error(`Invalid base URL "${baseUrl}"`);
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Base URL must use http or https: "${baseUrl}"`);
+    }
+
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+const DEFAULT_SITE = resolveSite();
+
+module.exports = {
+    resolveSite,
+    normalizeBaseUrl,
+    SITE_PROFILES,
+    DEFAULT_SITE,
+    DEFAULT_BASE_URL
+};
@@ -9,10 +9,29 @@
  */
 
 const { Actor: DefaultActor } = require('apify');
+const { DEFAULT_BASE_URL } = require('./sites.js');
 
 const STATE_KEY = 'SCRAPING_STATE';
 const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
 
+// Search parameters that must match for a saved session to be resumed,
+// with the default each one takes when absent from older saved states
+const RESUME_PARAM_DEFAULTS = {
+    searchKeywords: '',
+    firstName: '',
+    lastName: '',
+    department: '',
+    institution: '',
+    facultyType: '',
+    otherOptions: [],
+    keywordExact: false,
+    departmentExcept: false,
+    institutionExcept: false,
+    sort: 'relevance',
+    baseUrl: DEFAULT_BASE_URL,
+    queries: []
+};
+
 class StateManager {
     constructor(Actor = null) {
         this.Actor = Actor || DefaultActor;
@@ -65,13 +84,20 @@ class StateManager {
         if (!savedState || !savedState.searchParams) return false;
 
         const saved = savedState.searchParams;
-        return (
-            saved.searchKeywords === currentParams.searchKeywords &&
-            saved.department === currentParams.department &&
-            saved.institution === currentParams.institution
+        return Object.keys(RESUME_PARAM_DEFAULTS).every(key =>
+            this._normalizeParam(key, saved[key]) === this._normalizeParam(key, currentParams[key])
         );
     }
 
+    /**
+     * Normalize a search parameter for comparison
+     * Missing values (states saved before a parameter existed) compare equal to defaults
+     */
+    _normalizeParam(key, value) {
+        const normalized = value === undefined || value === null ? RESUME_PARAM_DEFAULTS[key] : value;
+        return JSON.stringify(normalized);
+    }
+
     /**
      * Get processed IDs as Set (for filtering)
      */
@@ -199,6 +225,7 @@ class StateManager {
             progressPercentage: this._getProgressPercentage(),
             elapsedSeconds: Math.round(elapsed),
             ratePerMinute: rate.toFixed(1),
+            startedAt: this.state.startedAt,
             isResumed: this.state.isResumed
         };
     }
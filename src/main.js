@@ -1,28 +1,51 @@
 /**
  * Harvard Catalyst Profiles Scraper
- * Two-stage scraper: API for listings + Browser for detail enrichment
+ * Two-stage scraper: API for listings + Browser (or plain HTTP) for detail enrichment
  *
  * OPTIMIZATION v2.0:
- * - Batch processing to prevent memory overflow
- * - Longer delays to avoid anti-bot detection
+ * - Streaming pipeline: listing pages are enqueued for enrichment as they arrive
+ * - Shared adaptive rate limiter (429/503, Retry-After, block pages) to avoid anti-bot detection
  * - Periodic browser restart for memory cleanup
+ * - Optional browserless mode: g.preLoad parsed from the HTML, browser only as fallback
  * - Checkpoint resume support
  */
 
 const { Actor } = require('apify');
-const { PlaywrightCrawler, Configuration } = require('crawlee');
-const { searchProfiles } = require('./lib/api.js');
-const { extractProfileDetails } = require('./lib/extractor.js');
+const { PlaywrightCrawler, HttpCrawler, Configuration } = require('crawlee');
+const { searchQueries, normalizeQuery, describeQuery } = require('./lib/api.js');
+const {
+    extractProfileDetails,
+    parseProfileHtml,
+    extractPublications,
+    extractConcepts,
+    extractNetworkLinks,
+    extractGrants,
+    extractAwards,
+    extractEducation
+} = require('./lib/extractor.js');
 const { performOCR, terminateWorker } = require('./lib/ocr.js');
 const { StateManager } = require('./lib/state-manager.js');
+const { discoverFacets, saveFacets, loadFacets, validateFilters, FACETS_STORE, FACETS_KEY } = require('./lib/facets.js');
+const { resolveSite, DEFAULT_BASE_URL } = require('./lib/sites.js');
+const { closeProxyDispatchers } = require('./lib/proxy.js');
+const { rateLimiter } = require('./lib/rate-limiter.js');
+const { NetworkGraph, saveNetwork, loadNetwork, NETWORK_KEY, NETWORK_GRAPHML_KEY } = require('./lib/network.js');
+const { BrowserFallback, getFallbackReason, getPageCookieHeader, BROWSER_LAUNCH_OPTIONS } = require('./lib/browser-fallback.js');
+const { parseAddress } = require('./lib/address.js');
+const { parseDisplayName } = require('./lib/name.js');
+const { DiagnosticsRecorder } = require('./lib/drift.js');
+const { Provenance, SOURCES } = require('./lib/provenance.js');
+const { discoverEmail, normalizeEmailMethods } = require('./lib/email-discovery.js');
 
 // Configuration constants
-const BATCH_SIZE = 200; // Process profiles in batches
-const DELAY_BETWEEN_REQUESTS_MIN = 4000; // 4 seconds minimum
-const DELAY_BETWEEN_REQUESTS_MAX = 8000; // 8 seconds maximum
-const DELAY_BETWEEN_BATCHES = 30000; // 30 seconds between batches
+const QUEUE_POLL_INTERVAL = 5000; // Check every 5s whether the crawler drained the queue
+const EXIT_CODE_INCOMPLETE_LISTING = 2; // Listing pages still missing after retries
 const BROWSER_RESTART_INTERVAL = 50; // Restart browser every 50 profiles
 const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
+const MAX_REQUEST_RETRIES = 2; // Profile page attempts after the first
+
+// Browser for profiles the HTTP fetch mode can't read from HTML (launched on first use)
+const browserFallback = new BrowserFallback({ retireBrowserAfterPageCount: BROWSER_RESTART_INTERVAL });
 
 (async () => {
     try {
@@ -31,14 +54,128 @@ const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
         const input = await Actor.getInput() || {};
         const {
             searchKeywords = '',
+            firstName = '',
+            lastName = '',
             department = '',
             institution = '',
-            maxItems = 50
+            facultyType = '',
+            otherOptions = [],
+            keywordExact = false,
+            departmentExcept = false,
+            institutionExcept = false,
+            sort = 'relevance',
+            queries: inputQueries = [],
+            maxItems = 50,
+            mode = 'scrape',
+            partitionLargeSearches = true,
+            partitionThreshold = 10000,
+            includeRawListing = false,
+            baseUrl = DEFAULT_BASE_URL,
+            siteProfile = 'auto',
+            siteOverrides = {},
+            proxyConfiguration: proxyInput = null,
+            maxPublications = 20,
+            includeGrants = true,
+            includeAwards = true,
+            includeEducation = true,
+            fetchMode = 'browser',
+            saveDiagnostics = true,
+            recordTraces = false,
+            emailMethods: emailMethodsInput = [],
+            ocrPreprocessing = {},
+            emailReviewConfidence = 0.8
         } = input;
 
+        // Profiles RNS installation to scrape
+        const site = resolveSite({ baseUrl, siteProfile, siteOverrides });
+
+        // Email discovery methods, in the order they are tried
+        const { methods: emailMethods, unknown: unknownEmailMethods } = normalizeEmailMethods(emailMethodsInput);
+        if (unknownEmailMethods.length > 0) {
+            console.log(`⚠️  Ignoring unknown email discovery methods: ${unknownEmailMethods.join(', ')}`);
+        }
+        const ocrEnabled = emailMethods.includes('ocr');
+
+        // One proxy configuration for browser, search API and email image traffic
+        const proxyConfiguration = proxyInput ? await Actor.createProxyConfiguration(proxyInput) : undefined;
+        if (proxyConfiguration) {
+            console.log('🛡️  Using proxy for browser, search API and email image requests');
+        }
+
+        // ========== Facet discovery mode: save the lookup table and stop ==========
+        if (mode === 'discoverFacets') {
+            console.log('🧭 Discovering valid institution, department and faculty type values...');
+            const facets = await discoverFacets(site, proxyConfiguration);
+            await saveFacets(facets, site);
+            await closeProxyDispatchers();
+            // Also keep a copy in this run's default store for easy download
+            await Actor.setValue(FACETS_KEY, facets);
+            console.log(`✅ Saved ${facets.institutions.length} institutions, ${facets.departments.length} departments, ${facets.facultyTypes.length} faculty types`);
+            console.log(`   Key-value store: "${FACETS_STORE}", key: ${site.facetsKey}`);
+            await Actor.exit();
+            return;
+        }
+
+        // Top-level search fields apply to the single search, or act as defaults for every batch query
+        const runDefaults = {
+            searchKeywords,
+            firstName,
+            lastName,
+            department,
+            institution,
+            facultyType,
+            otherOptions,
+            keywordExact,
+            departmentExcept,
+            institutionExcept,
+            sort
+        };
+        const isBatch = Array.isArray(inputQueries) && inputQueries.length > 0;
+        const queries = (isBatch ? inputQueries : [{}]).map(query => normalizeQuery(query, runDefaults));
+
         console.log('🔍 Harvard Catalyst Profiles Scraper started (Optimized v2.0)');
-        console.log(`📋 Search: Keywords="${searchKeywords}", Department="${department}", Institution="${institution}"`);
-        console.log(`📊 Target: ${maxItems} profiles`);
+        console.log(`🌐 Site: ${site.name} (${site.baseUrl})`);
+        if (isBatch) {
+            console.log(`📋 Batch search: ${queries.length} queries`);
+            queries.forEach((query, index) => console.log(`   ${index + 1}. ${describeQuery(query)}`));
+        } else {
+            console.log(`📋 Search: Keywords="${searchKeywords}"${keywordExact ? ' (exact)' : ''}, Department="${department}"${departmentExcept ? ' (except)' : ''}, Institution="${institution}"${institutionExcept ? ' (except)' : ''}`);
+            if (firstName || lastName || facultyType || otherOptions.length > 0) {
+                console.log(`📋 Filters: Name="${`${firstName} ${lastName}`.trim()}", FacultyType="${facultyType}", Options=[${otherOptions.join(', ')}]`);
+            }
+            console.log(`📋 Sort: ${sort}`);
+        }
+        console.log(`📊 Target: ${maxItems} profiles${isBatch ? ' per query' : ''}`);
+        console.log(`📥 Profile pages: ${fetchMode === 'http' ? 'plain HTTP, browser only as fallback' : 'browser'}`);
+
+        // Facet lookup table, discovered on first use when never saved
+        let facets;
+        const getFacets = async () => {
+            if (facets !== undefined) return facets;
+            facets = await loadFacets(site);
+            if (!facets) {
+                try {
+                    facets = await discoverFacets(site, proxyConfiguration);
+                    await saveFacets(facets, site);
+                } catch (error) {
+                    console.log(`⚠️  Facet table unavailable: ${error.message}`);
+                    facets = null;
+                }
+            }
+            return facets;
+        };
+
+        // Check free-text filters against the facet lookup table
+        if (queries.some(query => query.department || query.institution || query.facultyType)) {
+            if (await getFacets()) {
+                for (const query of queries) {
+                    for (const { field, value, suggestions } of validateFilters(query, facets)) {
+                        const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.map(s => `"${s}"`).join(', ')}?` : '';
+                        console.log(`⚠️  Unknown ${field} "${value}" (${describeQuery(query)}) - search may return no results.${hint}`);
+                    }
+                }
+            }
+        }
 
         // Ensure dataset is ready
         const dataset = await Actor.openDataset();
@@ -47,90 +184,337 @@ const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
 
         // Initialize state manager for progress tracking
         const stateManager = new StateManager();
-        const searchParams = { searchKeywords, department, institution };
-        const isResumed = await stateManager.initialize(searchParams, maxItems);
+        const searchParams = { ...runDefaults, baseUrl: site.baseUrl, queries: isBatch ? queries : [] };
+        const totalRequested = queries.reduce((sum, query) => sum + (query.maxItems || maxItems), 0);
+        const isResumed = await stateManager.initialize(searchParams, totalRequested);
 
-        // ========== STAGE 1: API-based listing extraction ==========
-        console.log('\n📋 Searching for researcher profiles...');
+        // Co-author/similar-people network, continued from the saved copy on resume
+        const network = isResumed ? await loadNetwork() : new NetworkGraph();
 
-        let profiles = [];
-        try {
-            // Check if we have cached search results
-            const cachedProfiles = await Actor.getValue('SEARCH_DUMP');
-            if (cachedProfiles && cachedProfiles.length > 0 && isResumed) {
-                profiles = cachedProfiles;
-                console.log(`♻️  Using cached search results: ${profiles.length} profiles`);
+        // Cross-query listing index: records read their `queries` from here when saved,
+        // so matches found by later queries are included while the profile is still queued
+        const listingIndex = new Map();
+        const getQueries = (profile) => {
+            const indexed = listingIndex.get(profile.personId);
+            return indexed ? indexed.queries : profile.queries;
+        };
+
+        let totalProcessed = 0;
+        let totalErrors = 0;
+        let emailsForReview = 0; // OCR-read emails flagged for manual review
+
+        // Page-structure drift and snapshots of profiles that fail to parse
+        const diagnostics = new DiagnosticsRecorder({ enabled: saveDiagnostics, recordTraces });
+
+        // Default request queue survives migrations, so queued profiles are kept on resume
+        const requestQueue = await Actor.openRequestQueue();
+
+        // ========== STAGE 2: Detail enrichment (runs while listing streams in) ==========
+
+        // Email by the configured discovery chain: addresses found in the page, else
+        // OCR of the email image through the proxy and cookies of the session that loaded the page.
+        // Returns { address, method, confidence, lowConfidenceChars, alternatives, candidates } (see email-discovery.js)
+        // plus imageRefused: why the site refused the email image request, if it did (see checkImageResponse)
+        const NO_EMAIL = { address: '', method: null, confidence: null, lowConfidenceChars: [], alternatives: [], candidates: [], imageRefused: null };
+        const readEmail = async (result, { proxyUrl = null, cookie = '' } = {}) => {
+            const imageFetch = {};
+            const email = await discoverEmail(result.EmailCandidates, {
+                methods: emailMethods,
+                emailImageUrl: result.EmailImageUrl,
+                ocr: async (imageUrl) => {
+                    try {
+                        return await performOCR(imageUrl, {
+                            proxyUrl,
+                            headers: cookie ? { Cookie: cookie } : {},
+                            preprocess: ocrPreprocessing,
+                            imageFetch
+                        });
+                    } catch (ocrError) {
+                        // Silent OCR failure
+                        return null;
+                    }
+                }
+            });
+            if (email.method === 'ocr') {
+                console.log(`   ✉️  Email: ${email.address}`);
+            }
+            return { ...email, imageRefused: imageFetch.refused || null };
+        };
+        const readPageEmail = async (page, result, proxyUrl) => readEmail(result, {
+            proxyUrl,
+            cookie: result.EmailImageUrl && ocrEnabled ? await getPageCookieHeader(page, result.EmailImageUrl) : ''
+        });
+
+        // Build, save and count the enriched record of one profile
+        // (`email` is the output of readEmail)
+        const saveProfile = async (profile, result, email) => {
+            diagnostics.noteDrift(profile.personId, result.Drift);
+            const networkLinks = extractNetworkLinks(result.Modules, { baseUrl: site.baseUrl });
+
+            // Which source each field came from
+            const provenance = new Provenance();
+            const { LISTING, PRELOAD } = SOURCES;
+            // The email's source is its discovery method (the g.preLoad Email for `json`);
+            // OCR-read emails carry the OCR confidence
+            const emailSource = email.method === 'json' ? PRELOAD : email.method;
+            const emailDetails = email.method === SOURCES.OCR ? { confidence: email.confidence } : {};
+            // OCR reads below the review confidence, or with uncertain characters, go to manual review
+            const emailNeedsReview = email.method === SOURCES.OCR && (
+                email.confidence === null || email.confidence < emailReviewConfidence || email.lowConfidenceChars.length > 0
+            );
+            if (emailNeedsReview) emailsForReview++;
+
+            const enrichedProfile = {
+                personId: provenance.from('personId', LISTING, profile.personId),
+                profileUrl: provenance.from('profileUrl', LISTING, profile.profileUrl),
+                sourceSite: provenance.pick('sourceSite', [LISTING, profile.sourceSite], [SOURCES.SITE, site.id]),
+                displayName: provenance.pick('displayName', [PRELOAD, result.DisplayName], [LISTING, profile.displayName]),
+                firstName: provenance.from('firstName', PRELOAD, result.FirstName),
+                lastName: provenance.from('lastName', PRELOAD, result.LastName),
+                name: provenance.derive('name', 'displayName', parseDisplayName(result.DisplayName || profile.displayName, {
+                    firstName: result.FirstName,
+                    lastName: result.LastName
+                })),
+                title: provenance.from('title', PRELOAD, result.Title),
+                institution: provenance.pick('institution', [PRELOAD, result.Institution], [LISTING, profile.institutionName]),
+                department: provenance.pick('department', [PRELOAD, result.Department], [LISTING, profile.departmentName]),
+                facultyRank: provenance.from('facultyRank', LISTING, profile.facultyRank),
+                affiliations: provenance.from('affiliations', PRELOAD, result.Affiliations.map(affiliation => ({
+                    title: affiliation.Title,
+                    institution: affiliation.Institution,
+                    department: affiliation.Department,
+                    division: affiliation.Division,
+                    facultyRank: affiliation.FacultyRank,
+                    primary: affiliation.Primary
+                }))),
+                address: provenance.from('address', PRELOAD, result.Address),
+                location: provenance.derive('location', 'address', parseAddress(result.AddressLines)),
+                phone: provenance.from('phone', PRELOAD, result.Phone),
+                fax: provenance.from('fax', PRELOAD, result.Fax),
+                email: provenance.pick('email', [emailSource, email.address, emailDetails]),
+                emailMethod: email.method,
+                emailCandidates: email.candidates,
+                emailOcr: email.method === SOURCES.OCR ? {
+                    confidence: email.confidence,
+                    lowConfidenceChars: email.lowConfidenceChars,
+                    alternatives: email.alternatives
+                } : null,
+                emailNeedsReview,
+                publications: provenance.from('publications', PRELOAD, extractPublications(result.Modules, {
+                    maxPublications,
+                    firstName: result.FirstName,
+                    lastName: result.LastName
+                })),
+                concepts: provenance.from('concepts', PRELOAD, extractConcepts(result.Modules, { baseUrl: site.baseUrl })),
+                coauthors: provenance.from('coauthors', PRELOAD, networkLinks.coauthors),
+                similarPeople: provenance.from('similarPeople', PRELOAD, networkLinks.similarPeople),
+                // Optional sections are left out of the record when switched off
+                grants: includeGrants ? provenance.from('grants', PRELOAD, extractGrants(result.Modules)) : undefined,
+                awards: includeAwards ? provenance.from('awards', PRELOAD, extractAwards(result.Modules)) : undefined,
+                education: includeEducation ? provenance.from('education', PRELOAD, extractEducation(result.Modules)) : undefined,
+                modules: provenance.from('modules', PRELOAD, result.Modules),
+                collectedAt: new Date().toISOString(),
+                queries: provenance.from('queries', SOURCES.SEARCH, getQueries(profile)),
+                listingExtras: provenance.from('listingExtras', LISTING, profile.listingExtras || {}),
+                rawListing: profile.rawListing
+            };
+            enrichedProfile.provenance = provenance.toJSON();
+
+            // Save to dataset
+            await Actor.pushData(enrichedProfile);
+            console.log(`   ✅ Saved`);
+
+            network.addProfile({
+                personId: enrichedProfile.personId,
+                name: enrichedProfile.displayName,
+                institution: enrichedProfile.institution,
+                department: enrichedProfile.department,
+                profileUrl: enrichedProfile.profileUrl
+            }, networkLinks);
+
+            // Mark as processed
+            stateManager.markProcessed(profile.personId);
+            totalProcessed++;
+
+            // Periodic checkpoint
+            if (totalProcessed % CHECKPOINT_INTERVAL === 0) {
+                await stateManager.saveCheckpoint();
+                await saveNetwork(network);
+            }
+        };
+
+        // Profile pages that still can't be parsed on their last attempt: count their
+        // drift and save one diagnostics snapshot (`page` for browser pages, else `html`)
+        const recordParseFailure = async (request, result, { page = null, html = null } = {}) => {
+            if (request.retryCount < MAX_REQUEST_RETRIES) return;
+            const { personId } = request.userData.profile;
+            diagnostics.noteDrift(personId, result.Drift);
+            await diagnostics.save({ personId, url: request.url, error: result.error, page, html, drift: result.Drift });
+        };
+
+        // Let the crawler retry, and save the listing data once retries run out
+        const handleProfileError = async (request, error, lane) => {
+            const { profile } = request.userData;
+            console.error(`   ❌ Error: ${error.message}`);
+            totalErrors++;
+
+            // Block pages slow the lane down until responses are healthy again
+            if (/Blocked or Empty Page/.test(error.message)) {
+                rateLimiter.onBlocked(lane);
+            }
+
+            // Save partial data on error
+            if (request.retryCount >= MAX_REQUEST_RETRIES) {
+                const partialData = {
+                    personId: profile.personId,
+                    profileUrl: profile.profileUrl,
+                    sourceSite: profile.sourceSite || site.id,
+                    displayName: profile.displayName,
+                    institution: profile.institutionName,
+                    department: profile.departmentName,
+                    facultyRank: profile.facultyRank,
+                    error: error.message,
+                    isPartial: true,
+                    collectedAt: new Date().toISOString(),
+                    queries: getQueries(profile),
+                    listingExtras: profile.listingExtras || {},
+                    rawListing: profile.rawListing
+                };
+                await Actor.pushData(partialData);
+                stateManager.markProcessed(profile.personId);
+                totalProcessed++;
+                console.log(`   ⚠️  Saved partial data`);
             } else {
-                profiles = await searchProfiles({
-                    keyword: searchKeywords,
-                    department,
-                    institution,
-                    maxItems
-                });
-                // Save search results for resume
-                await Actor.setValue('SEARCH_DUMP', profiles);
-                console.log(`💾 Saved ${profiles.length} profiles to cache`);
+                throw error; // Let crawler retry
+            }
+        };
+
+        // Navigation failures and timeouts never reach handleProfileError, so the crawler
+        // reports them to its lane (an error after a response came from reading the page)
+        const crawlerLane = fetchMode === 'http' ? 'http' : 'browser';
+        const reportCrawlerError = ({ response }, error) => {
+            if (!response || /timed out|Timeout/.test(error.message)) {
+                rateLimiter.onError(crawlerLane);
             }
+        };
+
+        const failedRequestHandler = async (context, error) => {
+            reportCrawlerError(context, error);
+            const { profile } = context.request.userData;
+            console.error(`⚠️  Failed after retries: ${profile.displayName}`);
+
+            // Save failure record
+            const failedData = {
+                personId: profile.personId,
+                profileUrl: profile.profileUrl,
+                sourceSite: profile.sourceSite || site.id,
+                displayName: profile.displayName,
+                error: error.message,
+                isPartial: true,
+                collectedAt: new Date().toISOString(),
+                queries: getQueries(profile),
+                listingExtras: profile.listingExtras || {},
+                rawListing: profile.rawListing
+            };
+            await Actor.pushData(failedData);
+            stateManager.markProcessed(profile.personId);
+            totalProcessed++;
+            totalErrors++;
+        };
+
+        // Common settings of both crawlers
+        const crawlerOptions = {
+            requestQueue,
+            proxyConfiguration,
+            keepAlive: true, // Keep waiting for new requests while the listing is still streaming
+            maxConcurrency: 1, // Single request at a time for stability
+            maxRequestRetries: MAX_REQUEST_RETRIES, // Reduced retries
+            errorHandler: reportCrawlerError, // Runs before each retry
+            failedRequestHandler
+        };
+
+        const crawler = fetchMode === 'http'
+            // Plain HTTP: parse g.preLoad from the HTML, open the browser only when that is not enough
+            ? new HttpCrawler({
+                ...crawlerOptions,
+                requestHandlerTimeoutSecs: 240, // Room for a browser fallback
+                navigationTimeoutSecs: 60,
 
-            console.log(`✅ Found ${profiles.length} researchers matching your criteria`);
-        } catch (error) {
-            console.error(`❌ Search failed: ${error.message}`);
-            await Actor.exit({ exitCode: 1 });
-            return;
-        }
+                preNavigationHooks: [
+                    async ({ log }, gotOptions) => {
+                        // Shared adaptive pacing (`http` lane), includes the periodic cool-down
+                        const waited = await rateLimiter.wait('http');
+                        if (waited > 0) {
+                            log.info(`💤 Waited ${(waited / 1000).toFixed(1)}s`);
+                        }
+                        gotOptions.headers = { ...gotOptions.headers, 'Accept-Language': 'en-US,en;q=0.9' };
+                    }
+                ],
 
-        // Filter out already processed profiles
-        const processedIds = stateManager.getProcessedIds();
-        const remainingProfiles = profiles.filter(p => !processedIds.has(p.personId));
-        console.log(`📝 Remaining profiles to process: ${remainingProfiles.length}`);
+                postNavigationHooks: [
+                    async ({ response }) => {
+                        if (response) {
+                            rateLimiter.onResponse('http', response.statusCode, response.headers['retry-after']);
+                        }
+                    }
+                ],
 
-        if (remainingProfiles.length === 0) {
-            console.log('✅ All profiles already processed!');
-            await Actor.exit();
-            return;
-        }
+                async requestHandler({ request, body, session, proxyInfo }) {
+                    const { profile } = request.userData;
+                    console.log(`📄 [${totalProcessed + 1}] ${profile.displayName}`);
 
-        // ========== STAGE 2: Browser-based detail enrichment (Batch Processing) ==========
-        console.log(`\n📝 Starting batch processing...`);
-        console.log(`   Batch size: ${BATCH_SIZE}`);
-        console.log(`   Total batches: ${Math.ceil(remainingProfiles.length / BATCH_SIZE)}`);
+                    // Double-check if already processed
+                    if (stateManager.isProcessed(profile.personId)) {
+                        console.log(`⏭️  Skipping - already processed`);
+                        return;
+                    }
 
-        let totalProcessed = 0;
-        let totalErrors = 0;
-        let profilesInCurrentBatch = 0;
+                    const proxyUrl = proxyInfo && proxyInfo.url;
+                    let lane = 'http';
 
-        // Process in batches
-        for (let batchIndex = 0; batchIndex < Math.ceil(remainingProfiles.length / BATCH_SIZE); batchIndex++) {
-            const batchStart = batchIndex * BATCH_SIZE;
-            const batchEnd = Math.min(batchStart + BATCH_SIZE, remainingProfiles.length);
-            const batchProfiles = remainingProfiles.slice(batchStart, batchEnd);
-            profilesInCurrentBatch = 0;
+                    try {
+                        const html = body.toString();
+                        let result = parseProfileHtml(html, { site, pageUrl: request.loadedUrl || request.url });
+                        let email = result.success
+                            ? await readEmail(result, { proxyUrl, cookie: result.EmailImageUrl && session ? session.getCookieString(result.EmailImageUrl) : '' })
+                            : NO_EMAIL;
+
+                        const fallbackReason = getFallbackReason(result, email);
+
+                        if (fallbackReason) {
+                            console.log(`   🌐 Opening in browser: ${fallbackReason}`);
+                            lane = 'browser';
+                            const fallbackOptions = { proxyUrl, beforeNavigation: page => diagnostics.startTrace(page) };
+                            ({ result, email } = await browserFallback.withPage(request.url, fallbackOptions, async (page) => {
+                                const pageResult = await extractProfileDetails(page, site);
+                                if (!pageResult.success) {
+                                    await recordParseFailure(request, pageResult, { page });
+                                }
+                                await diagnostics.discardTrace(page);
+                                return {
+                                    result: pageResult,
+                                    email: pageResult.success ? await readPageEmail(page, pageResult, proxyUrl) : NO_EMAIL
+                                };
+                            }));
+                        } else if (!result.success) {
+                            await recordParseFailure(request, result, { html });
+                        }
 
-            console.log(`\n🔄 Processing batch ${batchIndex + 1}/${Math.ceil(remainingProfiles.length / BATCH_SIZE)}`);
-            console.log(`   Profiles ${batchStart + 1} to ${batchEnd} of ${remainingProfiles.length}`);
+                        if (!result.success) {
+                            throw new Error(result.error || 'Extraction failed');
+                        }
 
-            // Create fresh crawler for each batch to prevent memory buildup
-            const crawler = new PlaywrightCrawler({
-                maxConcurrency: 1, // Single request at a time for stability
-                launchContext: {
-                    launchOptions: {
-                        headless: true,
-                        args: [
-                            '--disable-dev-shm-usage',
-                            '--no-sandbox',
-                            '--disable-setuid-sandbox',
-                            '--disable-gpu',
-                            '--disable-extensions',
-                            '--disable-background-networking',
-                            '--disable-default-apps',
-                            '--disable-sync',
-                            '--disable-translate',
-                            '--metrics-recording-only',
-                            '--mute-audio',
-                            '--no-first-run',
-                            '--safebrowsing-disable-auto-update'
-                        ]
+                        await saveProfile(profile, result, email);
+                    } catch (error) {
+                        await handleProfileError(request, error, lane);
                     }
+                }
+            })
+            // Browser: every profile is a full page load
+            : new PlaywrightCrawler({
+                ...crawlerOptions,
+                launchContext: {
+                    launchOptions: BROWSER_LAUNCH_OPTIONS
                 },
                 browserPoolOptions: {
                     useFingerprints: true,
@@ -147,24 +531,34 @@ const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
                 },
                 requestHandlerTimeoutSecs: 120,
                 navigationTimeoutSecs: 90,
-                maxRequestRetries: 2, // Reduced retries
 
                 preNavigationHooks: [
-                    async ({ page, log }) => {
-                        // Random delay between requests (4-8 seconds)
-                        const delay = Math.floor(Math.random() * (DELAY_BETWEEN_REQUESTS_MAX - DELAY_BETWEEN_REQUESTS_MIN)) + DELAY_BETWEEN_REQUESTS_MIN;
-                        log.info(`💤 Waiting ${(delay / 1000).toFixed(1)}s...`);
-                        await new Promise(resolve => setTimeout(resolve, delay));
+                    async ({ log, page }) => {
+                        // Shared adaptive pacing (`browser` lane), includes the periodic cool-down
+                        const waited = await rateLimiter.wait('browser');
+                        if (waited > 0) {
+                            log.info(`💤 Waited ${(waited / 1000).toFixed(1)}s`);
+                        }
+                        await diagnostics.startTrace(page);
                     }
                 ],
 
-                async requestHandler({ request, page }) {
+                postNavigationHooks: [
+                    async ({ response }) => {
+                        if (response) {
+                            rateLimiter.onResponse('browser', response.status(), response.headers()['retry-after']);
+                        }
+                    }
+                ],
+
+                async requestHandler({ request, page, proxyInfo }) {
                     const { profile } = request.userData;
                     console.log(`📄 [${totalProcessed + 1}] ${profile.displayName}`);
 
                     // Double-check if already processed
                     if (stateManager.isProcessed(profile.personId)) {
                         console.log(`⏭️  Skipping - already processed`);
+                        await diagnostics.discardTrace(page);
                         return;
                     }
 
@@ -175,140 +569,105 @@ const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
                         });
 
                         // Extract profile details
-                        const result = await extractProfileDetails(page);
+                        const result = await extractProfileDetails(page, site);
 
                         if (!result.success) {
+                            await recordParseFailure(request, result, { page });
                             throw new Error(result.error || 'Extraction failed');
                         }
 
                         // Extract email if image present
-                        let extractedEmail = result.Email;
-                        if (!extractedEmail && result.EmailImageUrl) {
-                            try {
-                                extractedEmail = await performOCR(result.EmailImageUrl);
-                                if (extractedEmail) {
-                                    console.log(`   ✉️  Email: ${extractedEmail}`);
-                                }
-                            } catch (ocrError) {
-                                // Silent OCR failure
-                            }
-                        }
-
-                        // Build enriched profile
-                        const enrichedProfile = {
-                            personId: profile.personId,
-                            profileUrl: profile.profileUrl,
-                            displayName: result.DisplayName || profile.displayName,
-                            firstName: result.FirstName,
-                            lastName: result.LastName,
-                            title: result.Title,
-                            institution: result.Institution || profile.institutionName,
-                            department: result.Department || profile.departmentName,
-                            facultyRank: profile.facultyRank,
-                            address: result.Address,
-                            phone: result.Phone,
-                            fax: result.Fax,
-                            email: extractedEmail || '',
-                            collectedAt: new Date().toISOString(),
-                            query: { searchKeywords, department, institution }
-                        };
-
-                        // Save to dataset
-                        await Actor.pushData(enrichedProfile);
-                        console.log(`   ✅ Saved`);
-
-                        // Mark as processed
-                        stateManager.markProcessed(profile.personId);
-                        totalProcessed++;
-                        profilesInCurrentBatch++;
-
-                        // Periodic checkpoint
-                        if (totalProcessed % CHECKPOINT_INTERVAL === 0) {
-                            await stateManager.saveCheckpoint();
-                        }
+                        const email = await readPageEmail(page, result, proxyInfo && proxyInfo.url);
 
+                        await saveProfile(profile, result, email);
                     } catch (error) {
-                        console.error(`   ❌ Error: ${error.message}`);
-                        totalErrors++;
-
-                        // Save partial data on error
-                        if (request.retryCount >= 2) {
-                            const partialData = {
-                                personId: profile.personId,
-                                profileUrl: profile.profileUrl,
-                                displayName: profile.displayName,
-                                institution: profile.institutionName,
-                                department: profile.departmentName,
-                                facultyRank: profile.facultyRank,
-                                error: error.message,
-                                isPartial: true,
-                                collectedAt: new Date().toISOString(),
-                                query: { searchKeywords, department, institution }
-                            };
-                            await Actor.pushData(partialData);
-                            stateManager.markProcessed(profile.personId);
-                            totalProcessed++;
-                            profilesInCurrentBatch++;
-                            console.log(`   ⚠️  Saved partial data`);
-                        } else {
-                            throw error; // Let crawler retry
-                        }
+                        await handleProfileError(request, error, 'browser');
+                    } finally {
+                        await diagnostics.discardTrace(page);
                     }
-                },
-
-                async failedRequestHandler({ request }, error) {
-                    const { profile } = request.userData;
-                    console.error(`⚠️  Failed after retries: ${profile.displayName}`);
-
-                    // Save failure record
-                    const failedData = {
-                        personId: profile.personId,
-                        profileUrl: profile.profileUrl,
-                        displayName: profile.displayName,
-                        error: error.message,
-                        isPartial: true,
-                        collectedAt: new Date().toISOString()
-                    };
-                    await Actor.pushData(failedData);
-                    stateManager.markProcessed(profile.personId);
-                    totalProcessed++;
-                    totalErrors++;
                 }
             });
 
-            // Add batch profiles to queue
-            const requests = batchProfiles.map(profile => ({
-                url: profile.profileUrl,
-                userData: { profile }
-            }));
-            await crawler.addRequests(requests);
-
-            // Run crawler for this batch
-            await crawler.run();
-
-            // Save checkpoint after each batch
-            await stateManager.saveCheckpoint();
+        console.log('\n📝 Starting detail enrichment...');
+        // The crawler runs while the listing streams in; a failed run (e.g. the browser
+        // won't launch) ends the listing and the queue poll below instead of going unnoticed
+        let crawlerSettled = false;
+        let crawlerError = null;
+        const crawlerRun = crawler.run()
+            .catch((error) => {
+                crawlerError = error;
+            })
+            .finally(() => {
+                crawlerSettled = true;
+            });
 
-            // Memory cleanup between batches
-            console.log(`\n🧹 Batch ${batchIndex + 1} complete. Cleaning up...`);
-            console.log(`   Processed in batch: ${profilesInCurrentBatch}`);
-            console.log(`   Total processed: ${totalProcessed}`);
+        // ========== STAGE 1: API-based listing extraction (streamed into the crawler) ==========
+        console.log('\n📋 Searching for researcher profiles...');
 
-            // Force garbage collection
-            if (global.gc) {
-                global.gc();
-                console.log('   GC triggered');
+        // Searches larger than one Offset walk can reach are split into facet slices
+        let partition = null;
+        if (partitionLargeSearches && queries.some(query => (query.maxItems || maxItems) > partitionThreshold)) {
+            if (await getFacets()) {
+                partition = { facets, threshold: partitionThreshold };
+            } else {
+                console.log('⚠️  Large search partitioning disabled: no facet table');
             }
+        }
 
-            // Delay between batches (except last batch)
-            if (batchIndex < Math.ceil(remainingProfiles.length / BATCH_SIZE) - 1) {
-                console.log(`   ⏳ Waiting ${DELAY_BETWEEN_BATCHES / 1000}s before next batch...`);
-                await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_BATCHES));
+        let totalFound = 0;
+        let totalQueued = 0;
+        let searchFailed = false;
+        const searchReports = [];
+        try {
+            for await (const listingPage of searchQueries(queries, { maxItems, index: listingIndex, partition, reports: searchReports, includeRawListing, site, proxyConfiguration })) {
+                if (crawlerSettled) break;
+                totalFound += listingPage.length;
+
+                // Skip profiles processed before a resume
+                const requests = listingPage
+                    .filter(profile => !stateManager.isProcessed(profile.personId))
+                    .map(profile => ({
+                        url: profile.profileUrl,
+                        uniqueKey: String(profile.personId),
+                        userData: { profile }
+                    }));
+
+                if (requests.length > 0) {
+                    await crawler.addRequests(requests);
+                    totalQueued += requests.length;
+                }
             }
+
+            console.log(`✅ Found ${totalFound} researchers matching your criteria (${totalQueued} queued${isResumed ? ', rest already processed' : ''})`);
+        } catch (error) {
+            // Keep enriching whatever was already queued
+            console.error(`❌ Search failed: ${error.message}`);
+            searchFailed = true;
         }
 
-        // Cleanup OCR worker
+        // Listing is done: let the crawler drain the queue, then stop it
+        while (!crawlerSettled && !await requestQueue.isFinished()) {
+            await new Promise(resolve => setTimeout(resolve, QUEUE_POLL_INTERVAL));
+        }
+        if (!crawlerSettled) crawler.stop('Listing finished and request queue drained');
+        await crawlerRun;
+
+        if (crawlerError) {
+            // Keep what was enriched so far for the next run to resume from
+            await stateManager.saveCheckpoint();
+            throw new Error(`Crawler failed: ${crawlerError.message}`);
+        }
+
+        // Save final checkpoint and network export
+        await stateManager.saveCheckpoint();
+        await saveNetwork(network);
+        const { nodes, edges } = network.toJSON();
+        console.log(`🕸️  Network: ${nodes.length} people, ${edges.length} links (key-value store: ${NETWORK_KEY}, ${NETWORK_GRAPHML_KEY})`);
+
+        // Cleanup OCR worker, fallback browser and proxy connections
         await terminateWorker();
+        await browserFallback.close();
+        await closeProxyDispatchers();
 
         // Final summary
         const finalDataset = await Actor.openDataset();
@@ -319,7 +678,10 @@ const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
         console.log(`✅ SCRAPING COMPLETED`);
         console.log(`${'═'.repeat(50)}`);
         console.log(`📊 Results:`);
-        console.log(`   - Total profiles found: ${profiles.length}`);
+        console.log(`   - Total profiles found: ${totalFound}`);
+        for (const report of searchReports.filter(r => r.coverage !== null)) {
+            console.log(`   - Coverage for ${report.query}: ${report.collected}/${report.expected} (${report.coverage}%)${report.partitioned ? `, ${report.slices.length} slices` : ''}${report.slices.some(slice => slice.error) ? ` (${report.slices.filter(slice => slice.error).length} failed)` : ''}`);
+        }
         console.log(`   - Processed this run: ${totalProcessed}`);
         console.log(`   - Errors: ${totalErrors}`);
         console.log(`   - Dataset items: ${finalInfo.itemCount}`);
@@ -327,6 +689,49 @@ const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
         console.log(`   - Processing rate: ${stats.ratePerMinute} profiles/min`);
         console.log(`${'═'.repeat(50)}`);
 
+        // Run report: listing completeness plus every page and slice that could not be fetched
+        const missingPages = searchReports.flatMap(report =>
+            (report.missingPages || []).map(page => ({ query: report.query, ...page }))
+        );
+        const failedSlices = searchReports.flatMap(report =>
+            (report.slices || []).filter(slice => slice.error).map(slice => ({ query: report.query, ...slice }))
+        );
+        await Actor.setValue('RUN_REPORT', {
+            sourceSite: site.id,
+            startedAt: stats.startedAt,
+            finishedAt: new Date().toISOString(),
+            listingComplete: !searchFailed && missingPages.length === 0 && failedSlices.length === 0,
+            searchFailed,
+            totalFound,
+            processedThisRun: totalProcessed,
+            errors: totalErrors,
+            missingPages,
+            failedSlices,
+            searches: searchReports,
+            emailsForReview,
+            diagnostics: diagnostics.summary()
+        });
+
+        // Keep state for resume when the listing did not finish
+        if (searchFailed) {
+            console.error('❌ Listing did not complete. State kept so the next run can resume.');
+            await Actor.exit({ exitCode: 1 });
+            return;
+        }
+
+        // Profiles on missing listing pages and failed slices were never scraped
+        if (missingPages.length > 0 || failedSlices.length > 0) {
+            const missingProfiles = missingPages.reduce((sum, page) => sum + page.pageSize, 0);
+            const gaps = [
+                missingPages.length > 0 ? `${missingPages.length} pages (up to ${missingProfiles} profiles)` : null,
+                failedSlices.length > 0 ? `${failedSlices.length} search slices` : null
+            ].filter(Boolean).join(' and ');
+            const message = `Incomplete listing: ${gaps} could not be fetched, see RUN_REPORT`;
+            console.error(`❌ ${message}`);
+            await Actor.exit({ exitCode: EXIT_CODE_INCOMPLETE_LISTING, statusMessage: message });
+            return;
+        }
+
         // Clear state on successful completion
         await stateManager.finalize();
 
@@ -338,6 +743,8 @@ const CHECKPOINT_INTERVAL = 25; // Save state every 25 profiles
 
         // Cleanup
         await terminateWorker();
+        await browserFallback.close();
+        await closeProxyDispatchers();
 
         // Report dataset status
         try {
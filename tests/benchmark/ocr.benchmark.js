@@ -0,0 +1,102 @@
+/**
+ * OCR accuracy benchmark for email image preprocessing
+ * Reads every sample image with and without preprocessing and reports how
+ * many addresses each variant reads exactly.
+ *
+ * Usage: node tests/benchmark/ocr.benchmark.js [samples-dir]
+ *
+ * The samples directory holds email images and an `expected.json` mapping
+ * each image file name to the address it shows:
+ *   { "colditz.png": "gcolditz@example.edu", ... }
+ * Email images of profiles whose address is also in the profile data or a
+ * mailto link (see `emailCandidates` in the output) make good samples.
+ *
+ * Without a directory the synthetic samples in tests/fixtures/ocr are read:
+ * addresses full of l/1/I and rn/m, rendered at 11-13px in DejaVu Sans and
+ * Serif with anti-aliasing, dark gray on white or on a transparent background.
+ *
+ * Needs the Tesseract language data (downloaded on first use, or read from
+ * eng.traineddata in the working directory).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { recognizeEmailImage, terminateWorker } = require('../../src/lib/ocr.js');
+const { editDistance } = require('../../src/lib/edit-distance.js');
+
+const DEFAULT_SAMPLES_DIR = path.join(__dirname, '..', 'fixtures', 'ocr');
+
+// Preprocessing variants to compare (see image-preprocess.js)
+const VARIANTS = [
+    { name: 'original image', preprocess: false },
+    { name: 'default preprocessing (grayscale + upscale x3)', preprocess: {} },
+    { name: 'Otsu binarization', preprocess: { threshold: 'otsu' } },
+    { name: 'Otsu binarization + upscale x4', preprocess: { threshold: 'otsu', scale: 4 } }
+];
+
+/**
+ * Read every sample with one variant
+ * @param {Object[]} samples - [{ file, buffer, expected }]
+ * @param {Object} variant - { name, preprocess }
+ * @returns {Promise<Object>} { name, exact, characterErrorRate, meanConfidence, misreads }
+ */
+async function runVariant(samples, variant) {
+    let exact = 0;
+    let errors = 0;
+    let characters = 0;
+    const confidences = [];
+    const misreads = [];
+
+    for (const sample of samples) {
+        const read = await recognizeEmailImage(sample.buffer, { preprocess: variant.preprocess }).catch(() => null);
+        const email = read ? read.email : '';
+        if (read && Number.isFinite(read.confidence)) confidences.push(read.confidence);
+
+        errors += editDistance(email, sample.expected);
+        characters += sample.expected.length;
+        if (email === sample.expected) {
+            exact++;
+        } else {
+            misreads.push(`${sample.file}: "${email}" (expected "${sample.expected}")`);
+        }
+    }
+
+    return {
+        name: variant.name,
+        exact,
+        characterErrorRate: characters ? errors / characters : 0,
+        meanConfidence: confidences.length ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length : null,
+        misreads
+    };
+}
+
+async function main() {
+    const samplesDir = process.argv[2] || DEFAULT_SAMPLES_DIR;
+
+    const expected = JSON.parse(fs.readFileSync(path.join(samplesDir, 'expected.json'), 'utf8'));
+    const samples = Object.entries(expected).map(([file, email]) => ({
+        file,
+        buffer: fs.readFileSync(path.join(samplesDir, file)),
+        expected: String(email).trim().toLowerCase()
+    }));
+    console.log(`🧪 OCR benchmark: ${samples.length} sample images\n`);
+
+    const results = [];
+    for (const variant of VARIANTS) {
+        results.push(await runVariant(samples, variant));
+    }
+    await terminateWorker();
+
+    for (const result of results) {
+        const accuracy = samples.length ? (100 * result.exact / samples.length).toFixed(1) : '0.0';
+        const confidence = result.meanConfidence === null ? 'n/a' : result.meanConfidence.toFixed(2);
+        console.log(`📊 ${result.name}`);
+        console.log(`   Exact: ${result.exact}/${samples.length} (${accuracy}%)  Character error rate: ${(100 * result.characterErrorRate).toFixed(1)}%  Mean confidence: ${confidence}`);
+        result.misreads.forEach(misread => console.log(`   ❌ ${misread}`));
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Benchmark error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,2 @@
+var g = g || {};
+g.preLoad = '[{"DisplayModule":"Person.Label","ModuleData":[{"PersonID":12345,"FirstName":"Graham","LastName":"Colditz","DisplayName":"Graham Andrew Colditz, Dr.P.H., M.B.,B.S., M.D.","AddressLine1":"Channing Laboratory","AddressLine2":"181 Longwood Ave","AddressLine3":"","AddressLine4":"Boston MA 02115","Phone":"617/525-2279","Fax":"617/525-2008","Email":"","Affiliation":[{"Title":"Adjunct Professor of Epidemiology","InstitutionName":"Harvard T.H. Chan School of Public Health","DepartmentName":"Epidemiology","IsPrimary":false},{"Title":"Professor of Medicine","InstitutionName":"Brigham and Women\'s Hospital","DepartmentName":"Medicine","DivisionName":"Channing Division of Network Medicine","FacultyRank":"Professor","IsPrimary":true}]}]}]';
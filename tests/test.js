@@ -51,10 +51,70 @@ async function main() {
             path: 'tests/unit/api.test.js',
             name: 'API Module Unit Tests'
         },
+        {
+            path: 'tests/unit/extractor.test.js',
+            name: 'Extractor Module Unit Tests'
+        },
         {
             path: 'tests/unit/ocr.test.js',
             name: 'OCR Module Unit Tests'
         },
+        {
+            path: 'tests/unit/image-preprocess.test.js',
+            name: 'Image Preprocessing Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/facets.test.js',
+            name: 'Facets Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/edit-distance.test.js',
+            name: 'Edit Distance Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/address.test.js',
+            name: 'Address Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/phone.test.js',
+            name: 'Phone Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/name.test.js',
+            name: 'Name Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/drift.test.js',
+            name: 'Drift Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/browser-fallback.test.js',
+            name: 'Browser Fallback Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/email-discovery.test.js',
+            name: 'Email Discovery Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/provenance.test.js',
+            name: 'Provenance Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/sites.test.js',
+            name: 'Sites Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/proxy.test.js',
+            name: 'Proxy Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/rate-limiter.test.js',
+            name: 'Rate Limiter Module Unit Tests'
+        },
+        {
+            path: 'tests/unit/network.test.js',
+            name: 'Network Module Unit Tests'
+        },
         {
             path: 'tests/unit/state-manager.test.js',
             name: 'State Manager Unit Tests'
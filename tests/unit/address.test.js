@@ -0,0 +1,163 @@
+/**
+ * Unit tests for address module (src/lib/address.js)
+ * Tests address component parsing, campus recognition and ZIP code enrichment
+ */
+
+const assert = require('assert');
+const { parseAddress, findCampuses, lookupZipPrefix } = require('../../src/lib/address.js');
+
+/**
+ * Test Suite: parseAddress components
+ */
+function testParseAddress() {
+    console.log('\n📋 Testing parseAddress...');
+
+    // Test 1: Typical four-line address with an empty line
+    const channing = parseAddress(['Channing Laboratory', '181 Longwood Ave', '', 'Boston MA 02115']);
+    assert.strictEqual(channing.street, '181 Longwood Ave', 'Should find the street');
+    assert.strictEqual(channing.building, 'Channing Laboratory', 'Should keep the building');
+    assert.strictEqual(channing.city, 'Boston', 'Should find the city');
+    assert.strictEqual(channing.state, 'MA', 'Should find the state');
+    assert.strictEqual(channing.zip, '02115', 'Should find the ZIP code');
+    console.log('  ✅ Four-line address split');
+
+    // Test 2: Commas inside lines, city and state on separate lines, unit, country and ZIP+4
+    const bwh = parseAddress(['Dept of Medicine, BWH', '75 Francis St., 3rd Floor', 'Boston', 'MA 02115-6110', 'USA']);
+    assert.deepStrictEqual(
+        [bwh.building, bwh.street, bwh.unit, bwh.city, bwh.state, bwh.zip],
+        ['Dept of Medicine, BWH', '75 Francis St.', '3rd Floor', 'Boston', 'MA', '02115'],
+        'Should split comma-separated parts'
+    );
+    console.log('  ✅ Mixed line layout split');
+
+    // Test 3: Full and abbreviated state names, PO boxes
+    const newYork = parseAddress(['630 West 168th Street', 'New York, New York 10032']);
+    assert.deepStrictEqual([newYork.city, newYork.state], ['New York', 'NY'], 'Should match full state names');
+    assert.strictEqual(parseAddress(['677 Huntington Avenue', 'Boston, Mass. 02115']).state, 'MA', 'Should match "Mass."');
+    assert.strictEqual(parseAddress('PO Box 123, Springfield, IL 62701').street, 'PO Box 123', 'Should keep PO boxes as street');
+    console.log('  ✅ State names and PO boxes handled');
+
+    // Test 4: No state: city before the ZIP code, state from the ZIP table; lowercase words are not states
+    const noState = parseAddress(['Neuroscience Institute', 'Cambridge 02139']);
+    assert.deepStrictEqual([noState.building, noState.city, noState.state], ['Neuroscience Institute', 'Cambridge', 'MA'], 'State from ZIP table');
+    assert.strictEqual(parseAddress(['Longwood campus in 02115']).state, 'MA', '"in" is not Indiana');
+    console.log('  ✅ Missing state filled from the ZIP code');
+
+    // Test 5: City, state and ZIP code each on their own line
+    const ownLines = parseAddress(['Suite 100, 2 Main St', 'Cambridge', 'MA', '02139']);
+    assert.deepStrictEqual(
+        [ownLines.unit, ownLines.street, ownLines.building, ownLines.city, ownLines.state, ownLines.zip],
+        ['Suite 100', '2 Main St', '', 'Cambridge', 'MA', '02139'],
+        'State line is not the city'
+    );
+    const cityState = parseAddress(['Broad Institute', 'Cambridge MA', '02142']);
+    assert.deepStrictEqual([cityState.building, cityState.city, cityState.state], ['Broad Institute', 'Cambridge', 'MA'], 'City and state line above the ZIP code');
+    const washington = parseAddress(['Washington', '02115']);
+    assert.deepStrictEqual([washington.city, washington.state], ['Washington', 'MA'], 'State name that does not fit the ZIP code is the city');
+    console.log('  ✅ ZIP code on its own line handled');
+
+    // Test 6: No address
+    assert.deepStrictEqual(parseAddress([]), {
+        street: '', building: '', unit: '', city: '', state: '', zip: '',
+        campuses: [], latitude: null, longitude: null, geoPrecision: null
+    }, 'Empty address should give empty components');
+    assert.strictEqual(parseAddress(['Room 2B']).unit, 'Room 2B', 'Unit without street');
+    console.log('  ✅ Missing parts handled');
+
+    console.log('✅ All parseAddress tests passed!');
+}
+
+/**
+ * Test Suite: Campus recognition
+ */
+function testFindCampuses() {
+    console.log('\n📋 Testing findCampuses...');
+
+    // Test 1: Acronyms and full names
+    assert.deepStrictEqual(findCampuses('MGH, 55 Fruit Street'), ['Massachusetts General Hospital'], 'Should match MGH');
+    assert.deepStrictEqual(
+        findCampuses("Brigham and Women's Hospital, 75 Francis St, Longwood Avenue"),
+        ["Brigham and Women's Hospital", 'Longwood Medical Area'],
+        'Should match several names'
+    );
+    assert.deepStrictEqual(findCampuses('Dana Farber Cancer Institute'), ['Dana-Farber Cancer Institute'], 'Should normalize spelling');
+    console.log('  ✅ Campus names recognized');
+
+    // Test 2: Look-alikes elsewhere are not matched
+    assert.deepStrictEqual(findCampuses('Children\'s Hospital of Philadelphia'), [], 'Other children\'s hospitals');
+    assert.deepStrictEqual(findCampuses('1 Main St, McLean, VA 22101'), [], 'McLean, Virginia');
+    assert.deepStrictEqual(findCampuses('Longwood, FL 32750'), [], 'Longwood, Florida');
+    assert.deepStrictEqual(findCampuses('Mgh Road'), [], 'Acronyms only match in upper case');
+    console.log('  ✅ Look-alikes ignored');
+
+    console.log('✅ All findCampuses tests passed!');
+}
+
+/**
+ * Test Suite: ZIP code enrichment
+ */
+function testZipEnrichment() {
+    console.log('\n📋 Testing ZIP code enrichment...');
+
+    // Test 1: Known ZIP code gives coordinates, parsed city wins over the table
+    const known = parseAddress(['1 Example Rd', 'Boston MA 02215']);
+    assert.strictEqual(known.geoPrecision, 'zip', 'Should geocode known ZIP codes');
+    assert(Math.abs(known.latitude - 42.35) < 0.05 && Math.abs(known.longitude + 71.10) < 0.05, 'Coordinates should be near the Fenway');
+    assert.strictEqual(parseAddress(['Cambridge MA 02142']).city, 'Cambridge', 'Parsed city kept');
+    console.log('  ✅ Known ZIP codes geocoded');
+
+    // Test 2: ZIP codes outside Massachusetts are geocoded too
+    const newYork = parseAddress(['1275 York Ave', '10065']);
+    assert.deepStrictEqual([newYork.city, newYork.state, newYork.geoPrecision], ['New York', 'NY', 'zip'], 'City and state from the table');
+    assert(Math.abs(newYork.latitude - 40.77) < 0.05 && Math.abs(newYork.longitude + 73.96) < 0.05, 'Coordinates should be on the Upper East Side');
+    console.log('  ✅ ZIP codes nationwide geocoded');
+
+    // Test 3: Unknown ZIP code gives the state only
+    const unknown = parseAddress(['1 Example Rd', '10000']);
+    assert.deepStrictEqual([unknown.state, unknown.latitude, unknown.geoPrecision], ['NY', null, null], 'State from prefix');
+    console.log('  ✅ Unknown ZIP codes get their state');
+
+    // Test 4: Prefix table
+    assert.strictEqual(lookupZipPrefix('02115'), 'MA', '021 is Massachusetts');
+    assert.strictEqual(lookupZipPrefix('94305'), 'CA', '943 is California');
+    assert.strictEqual(lookupZipPrefix('20892'), 'MD', '208 is Maryland');
+    assert.strictEqual(lookupZipPrefix('00100'), '', 'Unassigned prefix');
+    console.log('  ✅ ZIP prefixes mapped to states');
+
+    console.log('✅ All ZIP code enrichment tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Address Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testParseAddress();
+        testFindCampuses();
+        testZipEnrichment();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All address module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testParseAddress,
+    testFindCampuses,
+    testZipEnrichment
+};
@@ -5,6 +5,14 @@
 
 const assert = require('assert');
 const path = require('path');
+const {
+    buildSearchPayload,
+    normalizeQuery,
+    mergeQueryResults,
+    mapListingItem,
+    searchProfiles,
+    MAX_CONSECUTIVE_RETRY_FAILURES
+} = require('../../src/lib/api.js');
 
 // Import the sanitizeInput function (we'll need to export it from api.js)
 // For now, we'll test it through a local implementation
@@ -216,6 +224,349 @@ function testPayloadStructure() {
     console.log('✅ All payload structure tests passed!');
 }
 
+/**
+ * Test Suite: buildSearchPayload
+ */
+function testBuildSearchPayload() {
+    console.log('\n📋 Testing buildSearchPayload...');
+
+    // Test 1: Defaults match the legacy fixed payload
+    assert.deepStrictEqual(
+        buildSearchPayload({ keyword: 'cancer' }, 100, 1),
+        {
+            Keyword: 'cancer',
+            LastName: '',
+            FirstName: '',
+            InstitutionName: '',
+            DepartmentName: '',
+            FacultyTypeName: '',
+            OtherOptionsName: [],
+            KeywordExact: false,
+            DepartmentExcept: false,
+            InstitutionExcept: false,
+            Sort: 'relevance',
+            SearchType: 'people',
+            Count: 100,
+            Offset: 1
+        },
+        'Defaults should match the legacy payload'
+    );
+    console.log('  ✅ Default payload correct');
+
+    // Test 2: Advanced parameters are passed through
+    const payload = buildSearchPayload({
+        keyword: 'genomics',
+        firstName: 'Graham',
+        lastName: 'Colditz',
+        department: 'Epidemiology',
+        institution: 'Harvard Medical School',
+        facultyType: 'Full Professor',
+        otherOptions: ['option1'],
+        keywordExact: true,
+        departmentExcept: true,
+        institutionExcept: true,
+        sort: 'name'
+    }, 50, 101);
+    assert.strictEqual(payload.FirstName, 'Graham', 'FirstName should be set');
+    assert.strictEqual(payload.LastName, 'Colditz', 'LastName should be set');
+    assert.strictEqual(payload.FacultyTypeName, 'Full Professor', 'FacultyTypeName should be set');
+    assert.deepStrictEqual(payload.OtherOptionsName, ['option1'], 'OtherOptionsName should be set');
+    assert.strictEqual(payload.KeywordExact, true, 'KeywordExact should be set');
+    assert.strictEqual(payload.DepartmentExcept, true, 'DepartmentExcept should be set');
+    assert.strictEqual(payload.InstitutionExcept, true, 'InstitutionExcept should be set');
+    assert.strictEqual(payload.Sort, 'name', 'Sort should be set');
+    assert.strictEqual(payload.Count, 50, 'Count should be page size');
+    assert.strictEqual(payload.Offset, 101, 'Offset should be passed through');
+    console.log('  ✅ Advanced parameters passed through');
+
+    // Test 3: Inputs are sanitized
+    const unsafe = buildSearchPayload({ lastName: "O'Brien<script>", otherOptions: ['<>', 'ok;'] }, 10, 1);
+    assert.strictEqual(unsafe.LastName, 'OBrienscript', 'LastName should be sanitized');
+    assert.deepStrictEqual(unsafe.OtherOptionsName, ['ok'], 'Empty options should be dropped');
+    console.log('  ✅ Inputs sanitized');
+
+    // Test 4: Unknown sort and non-boolean flags fall back to defaults
+    const fallback = buildSearchPayload({ sort: 'random', keywordExact: 'yes' }, 10, 1);
+    assert.strictEqual(fallback.Sort, 'relevance', 'Unknown sort should fall back to relevance');
+    assert.strictEqual(fallback.KeywordExact, false, 'Non-boolean flag should be false');
+    console.log('  ✅ Invalid values fall back to defaults');
+
+    console.log('✅ All buildSearchPayload tests passed!');
+}
+
+/**
+ * Test Suite: Batch Queries
+ */
+function testBatchQueries() {
+    console.log('\n📋 Testing Batch Queries...');
+
+    // Test 1: Unset fields inherit run-level defaults
+    const query = normalizeQuery(
+        { label: 'Oncology', searchKeywords: 'cancer', maxItems: 200 },
+        { institution: 'Harvard Medical School', searchKeywords: 'ignored' }
+    );
+    assert.strictEqual(query.searchKeywords, 'cancer', 'Query field should win over default');
+    assert.strictEqual(query.institution, 'Harvard Medical School', 'Unset field should inherit default');
+    assert.strictEqual(query.sort, 'relevance', 'Unset field without default should use built-in default');
+    assert.deepStrictEqual(query.otherOptions, [], 'Array defaults should be present');
+    assert.strictEqual(query.label, 'Oncology', 'Label should be kept');
+    assert.strictEqual(query.maxItems, 200, 'Per-query maxItems should be kept');
+    console.log('  ✅ Query defaults inherited');
+
+    // Test 2: Invalid per-query maxItems is dropped
+    assert.strictEqual(normalizeQuery({ maxItems: 0 }).maxItems, undefined, 'Zero maxItems should be dropped');
+    assert.strictEqual(normalizeQuery({ maxItems: '10' }).maxItems, undefined, 'Non-integer maxItems should be dropped');
+    console.log('  ✅ Invalid per-query maxItems dropped');
+
+    // Test 3: Profiles are deduped across queries with full attribution
+    const byPersonId = new Map();
+    const oncology = normalizeQuery({ label: 'Oncology', searchKeywords: 'cancer', maxItems: 5 });
+    const cardiology = normalizeQuery({ label: 'Cardiology', searchKeywords: 'heart' });
+
+    const firstAdded = mergeQueryResults(byPersonId, [
+        { personId: 1, displayName: 'A' },
+        { personId: 2, displayName: 'B' }
+    ], oncology);
+    const secondAdded = mergeQueryResults(byPersonId, [
+        { personId: 2, displayName: 'B' },
+        { personId: 3, displayName: 'C' }
+    ], cardiology);
+
+    assert.strictEqual(firstAdded.length, 2, 'First query should add 2 profiles');
+    assert.deepStrictEqual(secondAdded.map(p => p.personId), [3], 'Second query should add only the new profile');
+    assert.strictEqual(secondAdded[0], byPersonId.get(3), 'Added profiles should be the indexed objects');
+    assert.strictEqual(byPersonId.size, 3, 'Should have 3 unique profiles');
+    assert.deepStrictEqual(
+        byPersonId.get(2).queries.map(q => q.label),
+        ['Oncology', 'Cardiology'],
+        'Shared profile should list both queries'
+    );
+    assert.strictEqual(byPersonId.get(1).queries[0].maxItems, undefined, 'Attribution should not carry maxItems');
+    console.log('  ✅ Cross-query dedupe and attribution correct');
+
+    console.log('✅ All batch query tests passed!');
+}
+
+/**
+ * Create a fake SearchSvc that serves people per institution/department
+ * and can only page through `pageLimit` results of any one search
+ */
+function createFakeSearchService(people, pageLimit) {
+    return async (url, options) => {
+        const payload = JSON.parse(options.body);
+        const matches = people.filter(person =>
+            (!payload.InstitutionName || person.InstitutionName === payload.InstitutionName) &&
+            (!payload.DepartmentName || person.DepartmentName === payload.DepartmentName)
+        );
+        const reachable = matches.slice(0, pageLimit);
+        const page = reachable.slice(payload.Offset - 1, payload.Offset - 1 + payload.Count);
+
+        return {
+            ok: true,
+            status: 200,
+            headers: new Headers(),
+            json: async () => ({ Count: matches.length, People: page })
+        };
+    };
+}
+
+/**
+ * Test Suite: Partitioned Search
+ */
+async function testPartitionedSearch() {
+    console.log('\n📋 Testing Partitioned Search...');
+
+    const people = [];
+    for (let i = 1; i <= 150; i++) people.push({ PersonID: i, InstitutionName: 'HMS', DepartmentName: i <= 90 ? 'Genetics' : 'Medicine' });
+    for (let i = 151; i <= 200; i++) people.push({ PersonID: i, InstitutionName: 'MGH', DepartmentName: 'Medicine' });
+
+    const originalFetch = global.fetch;
+    const originalLog = console.log;
+    const originalError = console.error;
+    global.fetch = createFakeSearchService(people, 100);
+    console.log = () => {};
+
+    try {
+        const partition = {
+            threshold: 100,
+            facets: { institutions: ['HMS', 'MGH'], departments: ['Genetics', 'Medicine'], facultyTypes: [] }
+        };
+
+        // Test 1: Oversized search is split and fully covered
+        const report = {};
+        const ids = [];
+        for await (const page of searchProfiles({ maxItems: 1000 }, { partition, report })) {
+            ids.push(...page.map(p => p.personId));
+        }
+        console.log = originalLog;
+
+        assert.strictEqual(report.partitioned, true, 'Should partition oversized search');
+        assert.strictEqual(report.totalAvailable, 200, 'Should report the first Count');
+        assert.strictEqual(new Set(ids).size, 200, 'Should collect every profile once');
+        assert.strictEqual(ids.length, 200, 'Should merge slices without duplicates');
+        assert.strictEqual(report.coverage, 100, 'Coverage should be 100%');
+        assert.deepStrictEqual(
+            report.slices.map(slice => slice.filters),
+            [
+                { institution: 'HMS', department: 'Genetics' },
+                { institution: 'HMS', department: 'Medicine' },
+                { institution: 'MGH' }
+            ],
+            'Should split HMS again by department'
+        );
+        console.log('  ✅ Oversized search split and merged');
+
+        // Test 2: Without partitioning the walk comes up short and coverage shows it
+        console.log = () => {};
+        const shortReport = {};
+        let shortCount = 0;
+        for await (const page of searchProfiles({ maxItems: 1000 }, { report: shortReport })) {
+            shortCount += page.length;
+        }
+        console.log = originalLog;
+
+        assert.strictEqual(shortCount, 100, 'Unpartitioned walk should stop at the page limit');
+        assert.strictEqual(shortReport.coverage, 50, 'Coverage should reveal the shortfall');
+        console.log('  ✅ Coverage reported for unpartitioned search');
+
+        // Test 3: A slice whose count request fails is skipped, the others still walked
+        const serve = createFakeSearchService(people, 100);
+        global.fetch = async (url, options) => {
+            const payload = JSON.parse(options.body);
+            if (payload.InstitutionName === 'MGH' && payload.Count === 1) {
+                return { ok: false, status: 500, statusText: 'Internal Server Error', headers: new Headers() };
+            }
+            return serve(url, options);
+        };
+        console.log = () => {};
+        console.error = () => {};
+        const failedReport = {};
+        const failedIds = [];
+        const options = { partition, report: failedReport, requestRetryDelays: [0, 0, 0] };
+        for await (const page of searchProfiles({ maxItems: 1000 }, options)) {
+            failedIds.push(...page.map(p => p.personId));
+        }
+        console.log = originalLog;
+        console.error = originalError;
+
+        assert.strictEqual(failedIds.length, 150, 'Should collect the other slices');
+        assert.strictEqual(failedReport.totalAvailable, 200, 'Should keep the first Count');
+        assert.strictEqual(failedReport.coverage, 75, 'Coverage should show the failed slice');
+        const failedSlice = failedReport.slices.find(slice => slice.error);
+        assert.deepStrictEqual(failedSlice.filters, { institution: 'MGH' }, 'Failed slice listed');
+        assert.strictEqual(failedSlice.totalAvailable, null, 'Failed slice has no count');
+        assert(/500/.test(failedSlice.error), 'Failed slice keeps the error');
+        console.log('  ✅ Failed slice skipped and reported');
+    } finally {
+        global.fetch = originalFetch;
+        console.log = originalLog;
+        console.error = originalError;
+    }
+
+    console.log('✅ All partitioned search tests passed!');
+}
+
+/**
+ * Create a fake SearchSvc whose pages at some offsets fail with a 500
+ * `failures` maps an offset to how many requests for it fail (Infinity: always);
+ * `calls` counts the requests per offset
+ */
+function createFlakySearchService(people, failures, calls) {
+    const serve = createFakeSearchService(people, Infinity);
+    return async (url, options) => {
+        const { Offset } = JSON.parse(options.body);
+        calls[Offset] = (calls[Offset] || 0) + 1;
+        if (calls[Offset] <= (failures[Offset] || 0)) {
+            return { ok: false, status: 500, statusText: 'Internal Server Error', headers: new Headers() };
+        }
+        return serve(url, options);
+    };
+}
+
+/**
+ * Run one search against a flaky fake service without backoff delays
+ */
+async function runFlakySearch(peopleCount, failures) {
+    const people = [];
+    for (let i = 1; i <= peopleCount; i++) people.push({ PersonID: i, InstitutionName: 'HMS' });
+
+    const calls = {};
+    const report = {};
+    const ids = [];
+    const originalFetch = global.fetch;
+    const originalLog = console.log;
+    const originalError = console.error;
+    global.fetch = createFlakySearchService(people, failures, calls);
+    console.log = () => {};
+    console.error = () => {};
+
+    try {
+        const options = { report, retryDelays: [0, 0, 0], requestRetryDelays: [0, 0, 0] };
+        for await (const page of searchProfiles({ maxItems: 100000 }, options)) {
+            ids.push(...page.map(profile => profile.personId));
+        }
+    } finally {
+        global.fetch = originalFetch;
+        console.log = originalLog;
+        console.error = originalError;
+    }
+    return { ids, report, calls };
+}
+
+/**
+ * Test Suite: Skipped Listing Pages
+ */
+async function testSkippedPageRetries() {
+    console.log('\n📋 Testing Skipped Listing Pages...');
+
+    // Each request is tried 5 times before its page counts as skipped
+    const ATTEMPTS_PER_REQUEST = 5;
+
+    // Test 1: Page that fails during the walk is recovered by the retry pass
+    const recovered = await runFlakySearch(250, { 101: ATTEMPTS_PER_REQUEST });
+    assert.strictEqual(recovered.ids.length, 250, 'Should collect every profile');
+    assert.strictEqual(new Set(recovered.ids).size, 250, 'Should not duplicate profiles');
+    assert.strictEqual(recovered.report.skippedPages, 1, 'Should record the skipped page');
+    assert.deepStrictEqual(recovered.report.missingPages, [], 'Nothing missing after the retry');
+    assert.strictEqual(recovered.calls[101], ATTEMPTS_PER_REQUEST + 1, 'Recovered on the first retry');
+    console.log('  ✅ Skipped page recovered');
+
+    // Test 2: Page that keeps failing is reported as missing
+    const missing = await runFlakySearch(250, { 101: Infinity });
+    assert.strictEqual(missing.ids.length, 150, 'Should keep the pages that loaded');
+    assert.strictEqual(missing.report.missingPages.length, 1, 'One page missing');
+    assert.deepStrictEqual(
+        { offset: missing.report.missingPages[0].offset, pageSize: missing.report.missingPages[0].pageSize, attempts: missing.report.missingPages[0].attempts },
+        { offset: 101, pageSize: 100, attempts: 4 },
+        'Walk attempt plus three retries'
+    );
+    assert(/500/.test(missing.report.missingPages[0].error), 'Should keep the last error');
+    assert.strictEqual(missing.calls[101], ATTEMPTS_PER_REQUEST * 4, 'Every retry tried');
+    console.log('  ✅ Missing page reported');
+
+    // Test 3: Retry pass gives up after too many pages in a row fail again
+    const failing = {};
+    const failingOffsets = [];
+    for (let page = 1; page <= MAX_CONSECUTIVE_RETRY_FAILURES + 1; page++) {
+        failing[page * 100 + 1] = Infinity;
+        failingOffsets.push(page * 100 + 1);
+    }
+    const cutoff = await runFlakySearch((MAX_CONSECUTIVE_RETRY_FAILURES + 2) * 100, failing);
+    assert.strictEqual(cutoff.report.missingPages.length, failingOffsets.length, 'Every failing page reported');
+    const retried = failingOffsets.slice(0, MAX_CONSECUTIVE_RETRY_FAILURES);
+    const notRetried = failingOffsets.slice(MAX_CONSECUTIVE_RETRY_FAILURES);
+    assert(retried.every(offset => cutoff.calls[offset] === ATTEMPTS_PER_REQUEST * 4), 'Pages before the cutoff retried');
+    assert(notRetried.every(offset => cutoff.calls[offset] === ATTEMPTS_PER_REQUEST), 'Pages after the cutoff not retried');
+    assert.deepStrictEqual(
+        cutoff.report.missingPages.filter(page => page.attempts === 1).map(page => page.offset),
+        notRetried,
+        'Pages after the cutoff keep their single attempt'
+    );
+    console.log('  ✅ Retry pass stops after consecutive failures');
+
+    console.log('✅ All skipped listing page tests passed!');
+}
+
 /**
  * Test Suite: Response Parsing
  */
@@ -263,6 +614,48 @@ function testResponseParsing() {
     console.log('✅ All response parsing tests passed!');
 }
 
+/**
+ * Test Suite: Listing Item Mapping
+ */
+function testListingItemMapping() {
+    console.log('\n📋 Testing Listing Item Mapping...');
+
+    const item = {
+        PersonID: 29549,
+        NodeID: 1234567,
+        DisplayName: 'Graham Andrew Colditz, Dr.P.H., M.B.,B.S., M.D.',
+        InstitutionName: 'Harvard T.H. Chan School of Public Health',
+        DepartmentName: 'Epidemiology',
+        FacultyRank: 'Full Professor',
+        Weight: 0.87,
+        SearchPhrase: 'cancer',
+        PhotoURL: '',
+        Concepts: [{ Name: 'Breast Neoplasms' }]
+    };
+
+    // Test 1: Core fields mapped as before
+    const profile = mapListingItem(item);
+    assert.strictEqual(profile.personId, 29549, 'Should map PersonID');
+    assert.strictEqual(profile.institutionName, 'Harvard T.H. Chan School of Public Health', 'Should map InstitutionName');
+    assert(profile.profileUrl.endsWith('/29549'), 'Should build profile URL');
+    console.log('  ✅ Core fields mapped');
+
+    // Test 2: Extra scalar fields kept with friendly names
+    assert.deepStrictEqual(
+        profile.listingExtras,
+        { nodeId: 1234567, matchWeight: 0.87, searchPhrase: 'cancer' },
+        'Should keep non-empty scalar extras only'
+    );
+    console.log('  ✅ Listing extras mapped');
+
+    // Test 3: Raw item only when requested
+    assert.strictEqual(profile.rawListing, undefined, 'Raw listing should be off by default');
+    assert.strictEqual(mapListingItem(item, { includeRawListing: true }).rawListing, item, 'Should keep raw item when requested');
+    console.log('  ✅ Raw listing kept on request');
+
+    console.log('✅ All listing item mapping tests passed!');
+}
+
 /**
  * Main test runner
  */
@@ -275,7 +668,12 @@ async function runTests() {
         testURLConstruction();
         testPaginationLogic();
         testPayloadStructure();
+        testBuildSearchPayload();
+        testBatchQueries();
+        await testPartitionedSearch();
+        await testSkippedPageRetries();
         testResponseParsing();
+        testListingItemMapping();
 
         console.log('\n' + '='.repeat(50));
         console.log('✅ All API module tests passed successfully!');
@@ -299,5 +697,10 @@ module.exports = {
     testURLConstruction,
     testPaginationLogic,
     testPayloadStructure,
-    testResponseParsing
+    testBuildSearchPayload,
+    testBatchQueries,
+    testPartitionedSearch,
+    testSkippedPageRetries,
+    testResponseParsing,
+    testListingItemMapping
 };
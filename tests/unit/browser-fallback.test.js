@@ -0,0 +1,114 @@
+/**
+ * Unit tests for browser fallback module (src/lib/browser-fallback.js)
+ * Tests when a profile fetched over plain HTTP is opened in the browser
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { getFallbackReason } = require('../../src/lib/browser-fallback.js');
+const { parseProfileHtml } = require('../../src/lib/extractor.js');
+const { performOCR } = require('../../src/lib/ocr.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'profiles');
+const PAGE_URL = 'https://connects.catalyst.harvard.edu/profiles/display/Person/12345';
+
+// readEmail result without an address
+const NO_EMAIL = { address: '', method: null, confidence: null, lowConfidenceChars: [], alternatives: [], candidates: [], imageRefused: null };
+
+/**
+ * Parse a profile page fixture
+ */
+function parseFixture(file) {
+    return parseProfileHtml(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'), { pageUrl: PAGE_URL });
+}
+
+/**
+ * Fetch an email image through performOCR against a fake server response
+ * @returns {Promise<Object>} { reading, imageFetch }
+ */
+async function fetchEmailImage(imageUrl, fakeResponse) {
+    const originalFetch = global.fetch;
+    global.fetch = async () => fakeResponse;
+    const imageFetch = {};
+    try {
+        const reading = await performOCR(imageUrl, { imageFetch });
+        return { reading, imageFetch };
+    } finally {
+        global.fetch = originalFetch;
+    }
+}
+
+/**
+ * Test Suite: Fallback decision
+ */
+async function testGetFallbackReason() {
+    console.log('\n📋 Testing fallback decision...');
+
+    // Test 1: Page without g.preLoad
+    const noPreLoad = parseFixture('no-preload.html');
+    assert.strictEqual(noPreLoad.success, false, 'Should not parse');
+    assert.strictEqual(noPreLoad.preLoadMissing, true, 'Should flag the missing script');
+    assert.strictEqual(getFallbackReason(noPreLoad, NO_EMAIL), 'no g.preLoad script in the HTML', 'Opened in the browser');
+    assert.strictEqual(getFallbackReason(parseFixture('blocked.html'), NO_EMAIL), null, 'Block page is not retried in the browser');
+    console.log('  ✅ Missing g.preLoad falls back');
+
+    // Test 2: Email image refused to the plain HTTP session
+    const profile = parseFixture('harvard-full.html');
+    assert.strictEqual(profile.success, true, 'Should parse');
+    assert(profile.EmailImageUrl, 'Should have an email image');
+    const refused = await fetchEmailImage(profile.EmailImageUrl, new Response('<html><title>Login</title></html>', {
+        status: 403,
+        headers: { 'content-type': 'text/html' }
+    }));
+    assert.strictEqual(refused.reading, null, 'Nothing read');
+    assert.deepStrictEqual(refused.imageFetch, { status: 403, refused: 'HTTP 403' }, 'Refusal recorded');
+    assert.strictEqual(
+        getFallbackReason(profile, { ...NO_EMAIL, imageRefused: refused.imageFetch.refused }),
+        'email image refused outside the browser (HTTP 403)',
+        'Opened in the browser'
+    );
+    console.log('  ✅ Refused email image falls back');
+
+    // Test 3: No fallback when the image was served, missing or unread, or the email was found
+    const missing = await fetchEmailImage(profile.EmailImageUrl, new Response('Not found', { status: 404 }));
+    assert.deepStrictEqual(missing.imageFetch, { status: 404, refused: null }, 'Missing image is not a refusal');
+    assert.strictEqual(getFallbackReason(profile, NO_EMAIL), null, 'Unread image stays on HTTP');
+    const found = { ...NO_EMAIL, address: 'jdoe@hms.harvard.edu', method: 'ocr', imageRefused: null };
+    assert.strictEqual(getFallbackReason(profile, found), null, 'Email found');
+    assert.strictEqual(getFallbackReason(parseFixture('legacy-mailto.html'), { ...found, method: 'mailto' }), null, 'Email found in the page');
+    console.log('  ✅ Other profiles stay on HTTP');
+
+    console.log('✅ All fallback decision tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Browser Fallback Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        await testGetFallbackReason();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All browser fallback module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testGetFallbackReason
+};
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for drift module (src/lib/drift.js)
+ * Tests g.preLoad structure checks and diagnostic snapshots
+ */
+
+const assert = require('assert');
+const { checkPreLoadStructure, driftSignature, DiagnosticsRecorder } = require('../../src/lib/drift.js');
+
+// g.preLoad as the extractor expects it
+const PRELOAD = [
+    {
+        DisplayModule: 'Person.Label',
+        ModuleData: [{
+            PersonID: 1,
+            FirstName: 'Ada',
+            LastName: 'Byron',
+            DisplayName: 'Ada Byron, PhD',
+            AddressLine1: '1 Example St',
+            Phone: '617/432-1000',
+            Affiliation: [
+                { Title: 'Professor', InstitutionName: 'Example University', DepartmentName: 'Mathematics', IsPrimary: true },
+                { Title: 'Lecturer', InstitutionName: 'Example Hospital' }
+            ]
+        }]
+    },
+    { DisplayModule: 'Person.Overview', ModuleData: [{ Overview: 'Analytical engines' }] },
+    { DisplayModule: 'Person.Authorship', ModuleData: [] }
+];
+
+/**
+ * Copy of PRELOAD with the person record changed
+ * @param {Function} change - (person) => void
+ * @returns {Array} Changed g.preLoad
+ */
+function withPerson(change) {
+    const preLoad = JSON.parse(JSON.stringify(PRELOAD));
+    change(preLoad[0].ModuleData[0]);
+    return preLoad;
+}
+
+/**
+ * Test Suite: checkPreLoadStructure
+ */
+function testCheckPreLoadStructure() {
+    console.log('\n📋 Testing checkPreLoadStructure...');
+
+    // Test 1: Expected structure
+    assert.deepStrictEqual(checkPreLoadStructure(PRELOAD), {
+        drifted: false, missingKeys: [], newKeys: [], newModules: []
+    }, 'Expected structure should not drift');
+    console.log('  ✅ Expected structure accepted');
+
+    // Test 2: Renamed keys show up as missing and new
+    const renamed = checkPreLoadStructure(withPerson(person => {
+        person.GivenName = person.FirstName;
+        delete person.FirstName;
+    }));
+    assert.strictEqual(renamed.drifted, true, 'Should drift');
+    assert.deepStrictEqual(renamed.missingKeys, ['Person.Label.FirstName'], 'Missing key');
+    assert.deepStrictEqual(renamed.newKeys, ['Person.Label.GivenName'], 'New key');
+    console.log('  ✅ Renamed keys reported');
+
+    // Test 3: Added keys alone are not drift
+    const added = checkPreLoadStructure(withPerson(person => {
+        person.ORCID = '0000-0002-1825-0097';
+        person.Affiliation[0].Location = 'Boston';
+    }));
+    assert.strictEqual(added.drifted, false, 'Should not drift');
+    assert.deepStrictEqual(added.newKeys, ['Person.Label.ORCID', 'Person.Label.Affiliation[].Location'], 'New keys still listed');
+    console.log('  ✅ Added keys noted without drift');
+
+    // Test 4: Affiliation changes reported once, alternatives accepted
+    const affiliations = checkPreLoadStructure(withPerson(person => {
+        person.Affiliation = person.Affiliation.map(({ InstitutionName, ...entry }) => ({ ...entry, Org: InstitutionName }));
+    }));
+    assert.deepStrictEqual(affiliations.missingKeys, ['Person.Label.Affiliation[].InstitutionName|Institution'], 'Reported once');
+    assert.deepStrictEqual(affiliations.newKeys, ['Person.Label.Affiliation[].Org'], 'New affiliation key');
+    assert.strictEqual(checkPreLoadStructure(withPerson(person => {
+        person.Affiliation = [{ Title: 'Professor', Institution: 'Example University' }];
+    })).drifted, false, 'Older key names are fine');
+    console.log('  ✅ Affiliation entries checked');
+
+    // Test 5: New modules and module wrapper changes
+    const modules = checkPreLoadStructure([...PRELOAD, { DisplayModule: 'Person.Patents', ModuleData: [] }, { Data: [] }]);
+    assert.deepStrictEqual(modules.newModules, ['Person.Patents'], 'New module');
+    assert.strictEqual(checkPreLoadStructure([...PRELOAD, { DisplayModule: 'Person.Patents', ModuleData: [] }]).drifted, false, 'New module alone is not drift');
+    assert.deepStrictEqual(modules.missingKeys, ['modules[4].DisplayModule|Module|ModuleName', 'modules[4].ModuleData'], 'Missing wrapper keys');
+    assert.deepStrictEqual(modules.newKeys, ['modules[4].Data'], 'New wrapper key');
+    console.log('  ✅ Modules checked');
+
+    // Test 6: Unusable g.preLoad
+    assert.deepStrictEqual(checkPreLoadStructure({}).missingKeys, ['g.preLoad[]'], 'Not an array');
+    assert.deepStrictEqual(checkPreLoadStructure([{ DisplayModule: 'Person.Label', ModuleData: [] }]).missingKeys, ['Person.Label.ModuleData[]'], 'No person record');
+    console.log('  ✅ Unusable g.preLoad reported');
+
+    // Test 7: Signature
+    assert.strictEqual(driftSignature(renamed), '-Person.Label.FirstName', 'Signature');
+    console.log('  ✅ Drift signature built');
+
+    console.log('✅ All checkPreLoadStructure tests passed!');
+}
+
+/**
+ * Test Suite: DiagnosticsRecorder
+ */
+async function testDiagnosticsRecorder() {
+    console.log('\n📋 Testing DiagnosticsRecorder...');
+
+    const store = {};
+    const mockActor = {
+        setValue: async (key, value, options) => { store[key] = { value, options }; }
+    };
+    const drift = checkPreLoadStructure(withPerson(person => { delete person.DisplayName; }));
+
+    // Test 1: HTML-only snapshot (HTTP fetch mode)
+    const recorder = new DiagnosticsRecorder({ Actor: mockActor, maxSnapshots: 2 });
+    const prefix = await recorder.save({ personId: 12, url: 'https://example.edu/display/12', error: 'No ModuleData found', html: '<html></html>', drift });
+    assert.strictEqual(prefix, 'DIAGNOSTICS-12', 'Key prefix');
+    assert.strictEqual(store['DIAGNOSTICS-12-html'].value, '<html></html>', 'HTML saved');
+    assert(store['DIAGNOSTICS-12-html'].options.contentType.startsWith('text/html'), 'HTML content type');
+    assert.deepStrictEqual(store['DIAGNOSTICS-12-report'].value.saved, ['html'], 'Report lists saved parts');
+    assert.deepStrictEqual(store['DIAGNOSTICS-12-report'].value.drift.missingKeys, ['Person.Label.DisplayName'], 'Report has drift');
+    console.log('  ✅ HTML snapshot saved');
+
+    // Test 2: Browser page snapshot with screenshot and rendered HTML
+    const page = {
+        content: async () => '<html><body>rendered</body></html>',
+        screenshot: async () => Buffer.from('png'),
+        title: async () => 'Maintenance'
+    };
+    await recorder.save({ personId: 'a/b', url: 'https://example.edu/display/ab', error: 'Blocked', page });
+    assert.strictEqual(store['DIAGNOSTICS-a_b-html'].value, '<html><body>rendered</body></html>', 'Rendered HTML saved');
+    assert.strictEqual(store['DIAGNOSTICS-a_b-screenshot'].options.contentType, 'image/png', 'Screenshot saved');
+    assert.strictEqual(store['DIAGNOSTICS-a_b-report'].value.pageTitle, 'Maintenance', 'Page title in report');
+    assert.strictEqual(store['DIAGNOSTICS-a_b-trace'], undefined, 'No trace unless recording');
+    console.log('  ✅ Page snapshot saved');
+
+    // Test 3: Limit per run, retries of a saved profile still overwrite
+    assert.strictEqual(await recorder.save({ personId: 13, error: 'x', html: '<p>' }), null, 'Limit reached');
+    assert.strictEqual(await recorder.save({ personId: 12, error: 'retry', html: '<p>retry</p>' }), 'DIAGNOSTICS-12', 'Same profile overwritten');
+    assert.strictEqual(store['DIAGNOSTICS-12-html'].value, '<p>retry</p>', 'Latest attempt kept');
+    assert.strictEqual(recorder.summary().snapshots.length, 2, 'Two snapshots');
+    console.log('  ✅ Snapshot limit applied');
+
+    // Test 4: Switched off
+    const disabled = new DiagnosticsRecorder({ enabled: false, Actor: mockActor });
+    assert.strictEqual(await disabled.save({ personId: 99, error: 'x', html: '<p>' }), null, 'Nothing saved');
+    assert.strictEqual(store['DIAGNOSTICS-99-report'], undefined, 'No report');
+    console.log('  ✅ Disabled recorder saves nothing');
+
+    // Test 5: Drift counted per kind of change, new keys one by one
+    const originalLog = console.log;
+    const logged = [];
+    console.log = (...args) => logged.push(args.join(' '));
+    try {
+        recorder.noteDrift(1, drift);
+        recorder.noteDrift(2, drift);
+        recorder.noteDrift(3, checkPreLoadStructure(PRELOAD));
+        recorder.noteDrift(4, checkPreLoadStructure(withPerson(person => { person.ORCID = 'x'; })));
+        recorder.noteDrift(5, checkPreLoadStructure(withPerson(person => { person.ORCID = 'y'; delete person.DisplayName; })));
+    } finally {
+        console.log = originalLog;
+    }
+    const { drifts, newKeys } = recorder.summary();
+    assert.strictEqual(drifts.length, 1, 'One kind of drift');
+    assert.deepStrictEqual([drifts[0].count, drifts[0].firstPersonId], [3, 1], 'Counted with first profile');
+    assert.deepStrictEqual(newKeys, [{ key: 'Person.Label.ORCID', count: 2, firstPersonId: 4 }], 'New key counted apart');
+    assert.strictEqual(logged.filter(line => line.includes('Page structure changed')).length, 1, 'Drift logged once');
+    assert.strictEqual(logged.filter(line => line.includes('New page key')).length, 1, 'New key logged once');
+    console.log('  ✅ Drift summarized');
+
+    console.log('✅ All DiagnosticsRecorder tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Drift Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testCheckPreLoadStructure();
+        await testDiagnosticsRecorder();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All drift module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testCheckPreLoadStructure,
+    testDiagnosticsRecorder
+};
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for edit distance module (src/lib/edit-distance.js)
+ */
+
+const assert = require('assert');
+const { editDistance } = require('../../src/lib/edit-distance.js');
+
+/**
+ * Test Suite: editDistance
+ */
+function testEditDistance() {
+    console.log('\n📋 Testing editDistance...');
+
+    // Test 1: Single edits
+    assert.strictEqual(editDistance('jdoel@bwh.org', 'jdoe1@bwh.org'), 1, 'One substitution');
+    assert.strictEqual(editDistance('jdoe@bwh.org', 'j.doe@bwh.org'), 1, 'One insertion');
+    console.log('  ✅ Single edits counted');
+
+    // Test 2: Multi-character confusions and empty strings
+    assert.strictEqual(editDistance('rnsmith', 'msmith'), 2, 'rn/m is two edits');
+    assert.strictEqual(editDistance('', 'abc'), 3, 'Empty string');
+    assert.strictEqual(editDistance('same', 'same'), 0, 'Identical strings');
+    console.log('  ✅ Longer differences counted');
+
+    console.log('✅ All editDistance tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Edit Distance Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testEditDistance();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All edit distance module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testEditDistance
+};
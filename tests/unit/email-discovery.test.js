@@ -0,0 +1,177 @@
+/**
+ * Unit tests for email discovery module (src/lib/email-discovery.js)
+ * Tests the page finders, the discovery chain and method configuration
+ */
+
+const assert = require('assert');
+const {
+    findEmailCandidates,
+    discoverEmail,
+    normalizeEmailMethods,
+    findObfuscatedEmails,
+    decodeCloudflareEmail,
+    EMAIL_METHODS
+} = require('../../src/lib/email-discovery.js');
+
+/**
+ * Test Suite: Page finders
+ */
+function testFindEmailCandidates() {
+    console.log('\n📋 Testing page finders...');
+
+    // Test 1: Every method tagged, in method order
+    const html = `
+        <p>Email: <span>JDoe@Partners.org</span></p>
+        <a href="mailto:jdoe%40bwh.harvard.edu?subject=Hello">Contact</a>
+        <span data-user="jane" data-domain="mgh.harvard.edu"></span>`;
+    assert.deepStrictEqual(findEmailCandidates(html, { jsonEmail: ' Jane.Doe@hms.harvard.edu ' }), [
+        { address: 'jane.doe@hms.harvard.edu', method: 'json' },
+        { address: 'jdoe@bwh.harvard.edu', method: 'mailto' },
+        { address: 'jane@mgh.harvard.edu', method: 'dataAttribute' },
+        { address: 'jdoe@partners.org', method: 'text' }
+    ], 'Should tag each address with its method');
+    console.log('  ✅ Candidates found and tagged');
+
+    // Test 2: Data attributes, including Cloudflare email protection
+    assert.strictEqual(decodeCloudflareEmail('42282d2627022a2330342330266c272637'), 'jode@harvard.edu', 'Should decode data-cfemail');
+    assert.strictEqual(decodeCloudflareEmail('not-hex'), '', 'Invalid input gives no address');
+    assert.deepStrictEqual(
+        findEmailCandidates('<a class="__cf_email__" data-cfemail="42282d2627022a2330342330266c272637">[email protected]</a><div data-email="mailto:x.y@dfci.harvard.edu">'),
+        [
+            { address: 'jode@harvard.edu', method: 'dataAttribute' },
+            { address: 'x.y@dfci.harvard.edu', method: 'dataAttribute' }
+        ],
+        'Should read data attributes'
+    );
+    console.log('  ✅ Data attributes read');
+
+    // Test 3: Only text after an Email label counts; assets and footers ignored
+    const page = '<p>Questions? webmaster@example.edu</p><img src="logo@2x.png"><p>E-mail address: jdoe [at] partners [dot] org</p>';
+    assert.deepStrictEqual(findEmailCandidates(page), [{ address: 'jdoe@partners.org', method: 'obfuscated' }], 'Labelled text only');
+    assert.deepStrictEqual(findEmailCandidates(''), [], 'Empty page');
+    console.log('  ✅ Unlabelled addresses ignored');
+
+    // Test 4: Obfuscated forms
+    assert.deepStrictEqual(findObfuscatedEmails('jdoe at partners dot org'), ['jdoe@partners.org'], 'Spelled out');
+    assert.deepStrictEqual(findObfuscatedEmails('j.doe (at) mgh (dot) harvard (dot) edu'), ['j.doe@mgh.harvard.edu'], 'Bracketed');
+    assert.deepStrictEqual(findObfuscatedEmails('jdoe @ bwh . harvard . edu'), ['jdoe@bwh.harvard.edu'], 'Spaced symbols');
+    assert.deepStrictEqual(findObfuscatedEmails('Professor at MGH dot Research'), [], 'Prose is not an address');
+    console.log('  ✅ Obfuscated addresses decoded');
+
+    console.log('✅ All page finder tests passed!');
+}
+
+/**
+ * Test Suite: Discovery chain
+ */
+async function testDiscoverEmail() {
+    console.log('\n📋 Testing discovery chain...');
+
+    const candidates = [
+        { address: 'jdoe@bwh.harvard.edu', method: 'mailto' },
+        { address: 'jdoe@partners.org', method: 'text' }
+    ];
+    let ocrCalls = 0;
+    const ocr = async () => {
+        ocrCalls++;
+        return { email: 'JDoe@MGH.harvard.edu', confidence: 0.82 };
+    };
+
+    // Test 1: First method in order wins, OCR not reached
+    const found = await discoverEmail(candidates, { emailImageUrl: 'https://example.edu/email.ashx', ocr });
+    assert.strictEqual(found.address, 'jdoe@bwh.harvard.edu', 'mailto before text');
+    assert.strictEqual(found.method, 'mailto', 'Method recorded');
+    assert.strictEqual(found.confidence, null, 'No confidence for page methods');
+    assert.deepStrictEqual(found.alternatives, [], 'No alternatives for page methods');
+    assert.deepStrictEqual(found.candidates, candidates, 'Every candidate listed');
+    assert.strictEqual(ocrCalls, 0, 'OCR should not run');
+    console.log('  ✅ First method in order chosen');
+
+    // Test 2: Configured order is followed
+    const reordered = await discoverEmail(candidates, { methods: ['ocr', 'text'], emailImageUrl: 'https://example.edu/email.ashx', ocr });
+    assert.deepStrictEqual(
+        { address: reordered.address, method: reordered.method, confidence: reordered.confidence },
+        { address: 'jdoe@mgh.harvard.edu', method: 'ocr', confidence: 0.82 },
+        'OCR first when configured'
+    );
+    assert.strictEqual(reordered.candidates.length, 3, 'OCR result added to the candidates');
+    assert.strictEqual((await discoverEmail(candidates, { methods: ['text'] })).address, 'jdoe@partners.org', 'Skipped methods ignored');
+    console.log('  ✅ Configured order followed');
+
+    // Test 3: OCR fallback keeps the reading details; nothing found
+    const reading = {
+        email: 'jdoel@partners.org',
+        confidence: 0.55,
+        lowConfidenceChars: [{ index: 4, char: 'l', confidence: 0.41 }],
+        alternatives: [{ email: 'jdoe1@partners.org', score: 0.59 }]
+    };
+    const read = await discoverEmail([], { emailImageUrl: 'https://example.edu/email.ashx', ocr: async () => reading });
+    assert.strictEqual(read.method, 'ocr', 'OCR fallback');
+    assert.deepStrictEqual(read.lowConfidenceChars, reading.lowConfidenceChars, 'Flagged characters kept');
+    assert.deepStrictEqual(read.alternatives, reading.alternatives, 'Alternatives kept');
+    const none = await discoverEmail([], { emailImageUrl: 'https://example.edu/email.ashx', ocr: async () => null });
+    assert.deepStrictEqual(none, { address: '', method: null, confidence: null, lowConfidenceChars: [], alternatives: [], candidates: [] }, 'Nothing found');
+    ocrCalls = 0;
+    await discoverEmail([], { ocr });
+    assert.strictEqual(ocrCalls, 0, 'No image, no OCR');
+    console.log('  ✅ OCR fallback handled');
+
+    console.log('✅ All discovery chain tests passed!');
+}
+
+/**
+ * Test Suite: Method configuration
+ */
+function testNormalizeEmailMethods() {
+    console.log('\n📋 Testing method configuration...');
+
+    // Test 1: Default order when none configured
+    assert.deepStrictEqual(normalizeEmailMethods([]).methods, EMAIL_METHODS, 'Empty list uses the default');
+    assert.deepStrictEqual(normalizeEmailMethods(undefined).methods, EMAIL_METHODS, 'Missing list uses the default');
+    console.log('  ✅ Default order used');
+
+    // Test 2: Case-insensitive names, duplicates and unknown names dropped
+    assert.deepStrictEqual(
+        normalizeEmailMethods(['OCR', ' mailto ', 'dataattribute', 'ocr', 'carrier-pigeon']),
+        { methods: ['ocr', 'mailto', 'dataAttribute'], unknown: ['carrier-pigeon'] },
+        'Should normalize the list'
+    );
+    console.log('  ✅ Method names normalized');
+
+    console.log('✅ All method configuration tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Email Discovery Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testFindEmailCandidates();
+        await testDiscoverEmail();
+        testNormalizeEmailMethods();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All email discovery module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testFindEmailCandidates,
+    testDiscoverEmail,
+    testNormalizeEmailMethods
+};
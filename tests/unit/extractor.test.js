@@ -0,0 +1,499 @@
+/**
+ * Unit tests for extractor module (src/lib/extractor.js)
+ * Tests g.preLoad module mapping and the parsers for each profile section
+ *
+ * Profile pages in tests/fixtures/profiles are checked against their
+ * `.expected.json` golden output. The pages are synthetic: written by hand
+ * after the markup and g.preLoad layout of the live site, not captured from
+ * it. After an intended parser change, rewrite the golden files with
+ * `UPDATE_GOLDEN=1 node tests/unit/extractor.test.js` and review the diff.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { resolveSite } = require('../../src/lib/sites.js');
+const { parseAddress } = require('../../src/lib/address.js');
+const { parseDisplayName } = require('../../src/lib/name.js');
+const {
+    buildProfileDetails,
+    parseProfileHtml,
+    parsePreLoadScript,
+    findEmailImageUrl,
+    parsePreLoadModules,
+    parseAffiliations,
+    extractPublications,
+    extractConcepts,
+    extractNetworkLinks,
+    extractGrants,
+    extractAwards,
+    extractEducation,
+    parseCitation
+} = require('../../src/lib/extractor.js');
+
+const PRELOAD = [
+    {
+        DisplayModule: 'Person.Label',
+        ModuleData: [{
+            FirstName: 'Graham',
+            LastName: 'Colditz',
+            DisplayName: 'Graham Andrew Colditz, Dr.P.H., M.B.,B.S., M.D.',
+            AddressLine1: 'Channing Laboratory',
+            AddressLine2: ' 181 Longwood Ave ',
+            AddressLine3: '',
+            AddressLine4: 'Boston, MA 02115',
+            Phone: '314/454-7940',
+            Fax: '',
+            Email: '',
+            Affiliation: [
+                { Title: 'Adjunct Professor of Epidemiology', InstitutionName: 'Harvard T.H. Chan School of Public Health', DepartmentName: 'Epidemiology' },
+                { Title: 'Professor of Medicine', InstitutionName: 'Brigham and Women\'s Hospital', DepartmentName: 'Medicine', DivisionName: 'Channing' }
+            ]
+        }]
+    },
+    { DisplayModule: 'Person.Overview', ModuleData: [{ Overview: 'Cancer prevention.' }] },
+    { DisplayModule: 'Person.Overview', ModuleData: [{ Overview: 'Second part.' }] },
+    { ModuleData: { Value: 'unnamed' } }
+];
+
+/**
+ * Test Suite: parsePreLoadModules
+ */
+function testParsePreLoadModules() {
+    console.log('\n📋 Testing parsePreLoadModules...');
+
+    const modules = parsePreLoadModules(PRELOAD);
+
+    // Test 1: Every module keyed by name
+    assert.deepStrictEqual(Object.keys(modules), ['Person.Label', 'Person.Overview', 'Module3'], 'Should key modules by name');
+    console.log('  ✅ Modules keyed by name');
+
+    // Test 2: Repeated names appended, single records wrapped
+    assert.strictEqual(modules['Person.Overview'].length, 2, 'Repeated module records should be appended');
+    assert.deepStrictEqual(modules.Module3, [{ Value: 'unnamed' }], 'Single record should be wrapped in an array');
+    console.log('  ✅ Repeated and single-record modules handled');
+
+    // Test 3: Invalid input
+    assert.deepStrictEqual(parsePreLoadModules(null), {}, 'Should return empty map for invalid input');
+    console.log('  ✅ Invalid input handled');
+
+    console.log('✅ All parsePreLoadModules tests passed!');
+}
+
+/**
+ * Test Suite: parseAffiliations
+ */
+function testParseAffiliations() {
+    console.log('\n📋 Testing parseAffiliations...');
+
+    // Test 1: All affiliations kept, first is primary when none is flagged
+    const affiliations = parseAffiliations(PRELOAD[0].ModuleData[0].Affiliation);
+    assert.strictEqual(affiliations.length, 2, 'Should keep every affiliation');
+    assert.deepStrictEqual(affiliations.map(a => a.Primary), [true, false], 'First should be primary');
+    assert.strictEqual(affiliations[1].Division, 'Channing', 'Should map division');
+    console.log('  ✅ Joint appointments kept');
+
+    // Test 2: Source flag wins
+    const flagged = parseAffiliations([
+        { Title: 'A', IsPrimary: false },
+        { Title: 'B', IsPrimary: 'true' }
+    ]);
+    assert.deepStrictEqual(flagged.map(a => a.Primary), [false, true], 'Flagged entry should be primary');
+    console.log('  ✅ Source primary flag respected');
+
+    // Test 3: Missing affiliations
+    assert.deepStrictEqual(parseAffiliations(undefined), [], 'Should return empty array');
+    console.log('  ✅ Missing affiliations handled');
+
+    console.log('✅ All parseAffiliations tests passed!');
+}
+
+/**
+ * Test Suite: buildProfileDetails
+ */
+function testBuildProfileDetails() {
+    console.log('\n📋 Testing buildProfileDetails...');
+
+    // Test 1: Headline fields from the GeneralInfo record and primary affiliation
+    const details = buildProfileDetails(PRELOAD, { emailCandidates: [{ address: 'gcolditz@example.edu', method: 'mailto' }], emailImageUrl: '' });
+    assert.strictEqual(details.success, true, 'Should succeed');
+    assert.strictEqual(details.Title, 'Adjunct Professor of Epidemiology', 'Title from primary affiliation');
+    assert.strictEqual(details.Institution, 'Harvard T.H. Chan School of Public Health', 'Institution from primary affiliation');
+    assert.strictEqual(details.Address, 'Channing Laboratory, 181 Longwood Ave, Boston, MA 02115', 'Should join address lines');
+    assert.strictEqual(details.Phone.e164, '+13144547940', 'Should normalize the phone number');
+    assert.strictEqual(details.Phone.raw, '314/454-7940', 'Should keep the original phone number');
+    assert.strictEqual(details.Email, 'gcolditz@example.edu', 'Should fall back to mailto email');
+    assert.strictEqual(details.EmailMethod, 'mailto', 'Should record how the email was found');
+    assert.strictEqual(details.Affiliations.length, 2, 'Should include all affiliations');
+    assert(details.Modules['Person.Overview'], 'Should include all modules');
+    console.log('  ✅ Profile details built');
+
+    // Test 2: Errors for unusable g.preLoad
+    assert.strictEqual(buildProfileDetails([]).success, false, 'Empty array should fail');
+    assert.strictEqual(buildProfileDetails([{ ModuleData: [] }]).error, 'No ModuleData found in g.preLoad', 'Missing data should fail');
+    assert.deepStrictEqual(
+        buildProfileDetails([{ DisplayModule: 'Person.Label', ModuleData: [] }]).Drift.missingKeys,
+        ['Person.Label.ModuleData[]'],
+        'Failure should report the structure change'
+    );
+    console.log('  ✅ Unusable g.preLoad rejected');
+
+    console.log('✅ All buildProfileDetails tests passed!');
+}
+
+/**
+ * Build a profile page the way the site serves it: g.preLoad as a JS string literal
+ */
+function profileHtml(preLoad, body = '') {
+    const literal = JSON.stringify(preLoad).replace(/'/g, "\\'");
+    return `<html><head><title>Profile</title></head><body>${body}
+<script type="text/javascript">var g = {}; g.preLoad = '${literal}'; g.init();</script>
+</body></html>`;
+}
+
+/**
+ * Test Suite: parseProfileHtml (HTTP fetch mode)
+ */
+function testParseProfileHtml() {
+    console.log('\n📋 Testing parseProfileHtml...');
+
+    const pageUrl = 'https://connects.catalyst.harvard.edu/profiles/display/Person/12345';
+
+    // Test 1: Same details as the browser, escaped quotes restored
+    const html = profileHtml(PRELOAD, '<a href="mailto:gcolditz@example.edu?subject=Hi">Email</a>');
+    assert.deepStrictEqual(
+        parseProfileHtml(html, { pageUrl }),
+        buildProfileDetails(PRELOAD, { emailCandidates: [{ address: 'gcolditz@example.edu', method: 'mailto' }], emailImageUrl: '' }),
+        'Should match buildProfileDetails'
+    );
+    assert.strictEqual(parseProfileHtml(html).Affiliations[1].Institution, 'Brigham and Women\'s Hospital', 'Should unescape quotes');
+    console.log('  ✅ Profile parsed from HTML');
+
+    // Test 2: Email image resolved against the page URL, entities decoded
+    const withImage = profileHtml(PRELOAD, '<img alt="logo" src="/logo.png"><img src="../../Modules/EmailHandler.ashx?msg=a&amp;b=1">');
+    assert.strictEqual(
+        parseProfileHtml(withImage, { pageUrl }).EmailImageUrl,
+        'https://connects.catalyst.harvard.edu/profiles/Modules/EmailHandler.ashx?msg=a&b=1',
+        'Should find the email image'
+    );
+    console.log('  ✅ Email image found');
+
+    // Test 3: Missing script flagged for the browser fallback, block pages detected
+    const missing = parseProfileHtml('<html><head><title>Profile</title></head><body>Loading...</body></html>');
+    assert.strictEqual(missing.success, false, 'Should fail without g.preLoad');
+    assert.strictEqual(missing.preLoadMissing, true, 'Should flag the missing script');
+    assert(/Blocked or Empty Page/.test(parseProfileHtml('<html><head></head><body> </body></html>').error), 'Should detect empty page');
+    console.log('  ✅ Missing script and empty page handled');
+
+    // Test 4: Script parsing edge cases
+    assert.strictEqual(parsePreLoadScript('var x = 1;'), null, 'No g.preLoad');
+    assert.strictEqual(parsePreLoadScript("g.preLoad = '[1, 2"), null, 'Unterminated string');
+    assert.deepStrictEqual(parsePreLoadScript("g.preLoad = '[\"Room 2\\B\"]';").preLoad, ['Room 2B'], 'Should drop invalid escapes');
+    assert(/Failed to parse g.preLoad JSON/.test(parsePreLoadScript("g.preLoad = '{broken';").error), 'Should report bad JSON');
+    console.log('  ✅ Script edge cases handled');
+
+    // Test 5: Selector priority and matching
+    const images = '<img src="/a/ShowEmail.aspx"><img src=\'/a/EmailHandler.ashx\'><IMG SRC="/b.png" ALT="Email address">';
+    assert.strictEqual(findEmailImageUrl(images, ['img[src*="EmailHandler"]', 'img[src*="ShowEmail"]'], pageUrl), 'https://connects.catalyst.harvard.edu/a/EmailHandler.ashx', 'First selector wins');
+    assert.strictEqual(findEmailImageUrl(images, ['img[alt*="email" i]'], pageUrl), 'https://connects.catalyst.harvard.edu/b.png', 'Case-insensitive match');
+    assert.strictEqual(findEmailImageUrl(images, ['img[alt*="email"]', '.email img'], pageUrl), '', 'Case-sensitive and unsupported selectors');
+    console.log('  ✅ Email image selectors matched');
+
+    console.log('✅ All parseProfileHtml tests passed!');
+}
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'profiles');
+
+// URL each fixture page stands for (fixtures not listed have none)
+const FIXTURE_PAGE_URLS = {
+    'blocked.html': 'https://connects.catalyst.harvard.edu/profiles/display/Person/66666',
+    'harvard-full.html': 'https://connects.catalyst.harvard.edu/profiles/display/Person/12345',
+    'legacy-mailto.html': 'https://profiles.example.edu/profiles/display/Person/777',
+    'no-preload.html': 'https://connects.catalyst.harvard.edu/profiles/display/Person/55555'
+};
+
+/**
+ * Parse a profile page fixture the way a run does: details plus every section
+ */
+function parseFixture(source, pageUrl) {
+    const site = resolveSite({ baseUrl: pageUrl ? pageUrl.split('/display/')[0] : undefined });
+
+    const details = parseProfileHtml(source, { site, pageUrl });
+    if (!details.success) {
+        return { details };
+    }
+
+    return {
+        details,
+        name: parseDisplayName(details.DisplayName, { firstName: details.FirstName, lastName: details.LastName }),
+        location: parseAddress(details.AddressLines),
+        publications: extractPublications(details.Modules, { firstName: details.FirstName, lastName: details.LastName }),
+        concepts: extractConcepts(details.Modules, { baseUrl: site.baseUrl }),
+        network: extractNetworkLinks(details.Modules, { baseUrl: site.baseUrl }),
+        grants: extractGrants(details.Modules),
+        awards: extractAwards(details.Modules),
+        education: extractEducation(details.Modules)
+    };
+}
+
+/**
+ * Test Suite: Profile page fixtures against golden output
+ */
+function testProfileFixtures() {
+    console.log('\n📋 Testing profile page fixtures...');
+
+    const files = fs.readdirSync(FIXTURES_DIR).filter(file => /\.(html|js)$/.test(file)).sort();
+    assert(files.length > 0, 'Should have fixtures');
+
+    for (const file of files) {
+        const actual = parseFixture(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'), FIXTURE_PAGE_URLS[file]);
+        const goldenPath = path.join(FIXTURES_DIR, file.replace(/\.\w+$/, '.expected.json'));
+
+        if (process.env.UPDATE_GOLDEN) {
+            fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 4) + '\n');
+            console.log(`  📝 ${path.basename(goldenPath)} written`);
+            continue;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected, `${file} should match ${path.basename(goldenPath)}`);
+        console.log(`  ✅ ${file}`);
+    }
+
+    console.log('✅ All profile page fixture tests passed!');
+}
+
+/**
+ * Test Suite: parseCitation
+ */
+function testParseCitation() {
+    console.log('\n📋 Testing parseCitation...');
+
+    // Test 1: Full citation
+    const parsed = parseCitation('Colditz GA, Rosner B. Risk factors for breast cancer. J Natl Cancer Inst. 2019 Jan 01; 111(1):1-10. PMID: 30123456; DOI: 10.1093/jnci/djy123.');
+    assert.deepStrictEqual(parsed.authors, ['Colditz GA', 'Rosner B'], 'Should parse authors');
+    assert.strictEqual(parsed.title, 'Risk factors for breast cancer', 'Should parse title');
+    assert.strictEqual(parsed.journal, 'J Natl Cancer Inst', 'Should parse journal');
+    assert.strictEqual(parsed.year, 2019, 'Should parse year');
+    assert.strictEqual(parsed.pmid, '30123456', 'Should parse PMID');
+    assert.strictEqual(parsed.doi, '10.1093/jnci/djy123', 'Should parse DOI without trailing period');
+    console.log('  ✅ Full citation parsed');
+
+    // Test 2: Unstructured text kept as title
+    assert.strictEqual(parseCitation('Just a title').title, 'Just a title', 'Should keep text as title');
+    assert.strictEqual(parseCitation('').title, '', 'Empty citation should parse to empty fields');
+    console.log('  ✅ Unstructured citations handled');
+
+    console.log('✅ All parseCitation tests passed!');
+}
+
+/**
+ * Test Suite: extractPublications
+ */
+function testExtractPublications() {
+    console.log('\n📋 Testing extractPublications...');
+
+    const modules = {
+        'Person.AuthorInAuthorship': [
+            { prns_informationResourceReference: 'Smith J, Colditz GA. Older study. Cancer. 2015; 1:2.', bibo_pmid: '111' },
+            { Title: 'Recent study', Authors: 'Colditz GA, Smith J, Lee K', Journal: 'Lancet', Year: '2022', PMID: '222' },
+            { Title: 'Solo essay', Authors: ['Graham A Colditz'], PubDate: '2018-05-01', DOI: '10.1/abc' },
+            { prns_informationResourceReference: 'Smith J, Colditz GA. Older study. Cancer. 2015; 1:2.', bibo_pmid: '111' }
+        ],
+        'Person.Overview': [{ Overview: 'Not a publication' }]
+    };
+    const options = { firstName: 'Graham', lastName: 'Colditz' };
+
+    // Test 1: Structured and citation-only records, deduped, most recent first
+    const publications = extractPublications(modules, options);
+    assert.deepStrictEqual(publications.map(p => p.title), ['Recent study', 'Solo essay', 'Older study'], 'Should sort by year and dedupe');
+    assert.strictEqual(publications[2].journal, 'Cancer', 'Should fill fields from the citation');
+    assert.strictEqual(publications[1].year, 2018, 'Should read year from a date');
+    console.log('  ✅ Publications parsed, deduped and sorted');
+
+    // Test 2: Author position
+    assert.deepStrictEqual([publications[0].authorPosition, publications[0].authorRole], [1, 'first'], 'First author');
+    assert.deepStrictEqual([publications[1].authorPosition, publications[1].authorRole], [1, 'sole'], 'Sole author');
+    assert.deepStrictEqual([publications[2].authorPosition, publications[2].authorRole], [2, 'last'], 'Last author');
+    console.log('  ✅ Author positions found');
+
+    // Test 3: Cap
+    assert.strictEqual(extractPublications(modules, { ...options, maxPublications: 1 }).length, 1, 'Should cap publications');
+    assert.deepStrictEqual(extractPublications(modules, { ...options, maxPublications: 0 }), [], 'Zero keeps none');
+    assert.deepStrictEqual(extractPublications({}, options), [], 'No modules, no publications');
+    console.log('  ✅ Cap applied');
+
+    console.log('✅ All extractPublications tests passed!');
+}
+
+/**
+ * Test Suite: extractConcepts
+ */
+function testExtractConcepts() {
+    console.log('\n📋 Testing extractConcepts...');
+
+    const modules = {
+        'Person.HasResearchArea': [
+            { Name: 'Breast Neoplasms', Weight: 0.5, NumPubs: 40, URL: 'https://connects.catalyst.harvard.edu/profiles/display/Concept/1' },
+            { Name: 'Diet', Weight: '0.9', URL: 'display/Concept/2' },
+            { Name: 'Unweighted' },
+            { Name: 'diet', Weight: 0.2 },
+            { Weight: 1 }
+        ]
+    };
+
+    // Test 1: Ranked by weight, unweighted last, duplicates merged
+    const concepts = extractConcepts(modules, { baseUrl: 'https://connects.catalyst.harvard.edu/profiles' });
+    assert.deepStrictEqual(concepts.map(c => c.name), ['Diet', 'Breast Neoplasms', 'Unweighted'], 'Should rank by weight');
+    assert.deepStrictEqual(concepts.map(c => c.rank), [1, 2, 3], 'Should number ranks');
+    assert.strictEqual(concepts[0].weight, 0.9, 'Should keep the higher weight of duplicates');
+    assert.strictEqual(concepts[2].weight, null, 'Missing weight should be null');
+    console.log('  ✅ Concepts ranked');
+
+    // Test 2: Counts and links
+    assert.strictEqual(concepts[1].publications, 40, 'Should keep publication count');
+    assert.strictEqual(concepts[0].url, 'https://connects.catalyst.harvard.edu/profiles/display/Concept/2', 'Should resolve relative links');
+    assert.strictEqual(concepts[2].url, '', 'Missing link should be empty');
+    console.log('  ✅ Counts and links kept');
+
+    // Test 3: No concept modules
+    assert.deepStrictEqual(extractConcepts({ 'Person.Overview': [{}] }), [], 'Should return empty list');
+    console.log('  ✅ Profiles without concepts handled');
+
+    console.log('✅ All extractConcepts tests passed!');
+}
+
+/**
+ * Test Suite: extractNetworkLinks
+ */
+function testExtractNetworkLinks() {
+    console.log('\n📋 Testing extractNetworkLinks...');
+
+    const modules = {
+        'Person.Coauthor.Top5': [
+            { DisplayName: 'Bernard Rosner', URL: '/profiles/display/Person/1234', NumPubs: 57 },
+            { Name: 'Walter Willett', PersonID: 5678 },
+            { Name: 'Bernard Rosner', URL: 'https://connects.catalyst.harvard.edu/profiles/display/Person/1234' },
+            { Name: 'No link' }
+        ],
+        'Person.Similar.Top5': [{ Name: 'Jane Doe', URL: 'display/Person/42', Weight: '0.73' }]
+    };
+
+    const { coauthors, similarPeople } = extractNetworkLinks(modules, { baseUrl: 'https://connects.catalyst.harvard.edu/profiles' });
+
+    // Test 1: Person IDs from fields or links, deduped
+    assert.deepStrictEqual(coauthors.map(c => c.personId), ['1234', '5678'], 'Should read person IDs and dedupe');
+    assert.strictEqual(coauthors[0].weight, 57, 'Should keep shared publication count as weight');
+    assert.strictEqual(coauthors[0].url, 'https://connects.catalyst.harvard.edu/profiles/display/Person/1234', 'Should resolve links');
+    console.log('  ✅ Co-authors parsed');
+
+    // Test 2: Similar people
+    assert.deepStrictEqual(similarPeople, [{
+        personId: '42',
+        name: 'Jane Doe',
+        weight: 0.73,
+        url: 'https://connects.catalyst.harvard.edu/profiles/display/Person/42'
+    }], 'Should parse similar people');
+    console.log('  ✅ Similar people parsed');
+
+    // Test 3: No link modules
+    assert.deepStrictEqual(extractNetworkLinks({}), { coauthors: [], similarPeople: [] }, 'Should return empty lists');
+    console.log('  ✅ Profiles without links handled');
+
+    console.log('✅ All extractNetworkLinks tests passed!');
+}
+
+/**
+ * Test Suite: Grants, awards and education
+ */
+function testProfileSections() {
+    console.log('\n📋 Testing grants, awards and education...');
+
+    const modules = {
+        'Person.ResearchSupport': [
+            { GrantID: 'R01 CA123456', Title: 'Diet and cancer', Sponsor: 'NCI', Role: 'Principal Investigator', StartDate: '2019-07-01T00:00:00', EndDate: '06/30/2024' },
+            { GrantID: 'R01 CA123456', Title: 'Diet and cancer', Sponsor: 'NCI', Role: 'Principal Investigator', StartDate: '2019-07-01T00:00:00', EndDate: '06/30/2024' },
+            { Sponsor: 'No ID or title' }
+        ],
+        'Person.AwardOrHonor': [{ Name: 'Outstanding Investigator', Institution: 'AACR', StartYear: '2010', EndYear: '' }],
+        'Person.EducationAndTraining': [{ School: 'University of Sydney', Degree: 'MBBS', Year: '1979', Location: 'Sydney' }]
+    };
+
+    // Test 1: Grants typed, dates normalized, duplicates and empty entries dropped
+    assert.deepStrictEqual(extractGrants(modules), [{
+        grantId: 'R01 CA123456',
+        title: 'Diet and cancer',
+        sponsor: 'NCI',
+        role: 'Principal Investigator',
+        startDate: '2019-07-01',
+        endDate: '2024-06-30'
+    }], 'Should parse grants');
+    console.log('  ✅ Grants parsed');
+
+    // Test 2: Awards
+    assert.deepStrictEqual(extractAwards(modules), [
+        { name: 'Outstanding Investigator', institution: 'AACR', startYear: 2010, endYear: null }
+    ], 'Should parse awards');
+    console.log('  ✅ Awards parsed');
+
+    // Test 3: Education
+    assert.deepStrictEqual(extractEducation(modules), [
+        { institution: 'University of Sydney', degree: 'MBBS', field: '', location: 'Sydney', year: 1979 }
+    ], 'Should parse education');
+    console.log('  ✅ Education parsed');
+
+    // Test 4: Missing sections
+    assert.deepStrictEqual([extractGrants({}), extractAwards({}), extractEducation({})], [[], [], []], 'Should return empty lists');
+    console.log('  ✅ Missing sections handled');
+
+    console.log('✅ All grants, awards and education tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Extractor Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testParsePreLoadModules();
+        testParseAffiliations();
+        testBuildProfileDetails();
+        testParseProfileHtml();
+        testParseCitation();
+        testExtractPublications();
+        testExtractConcepts();
+        testExtractNetworkLinks();
+        testProfileSections();
+        testProfileFixtures();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All extractor module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testParsePreLoadModules,
+    testParseAffiliations,
+    testBuildProfileDetails,
+    testParseProfileHtml,
+    testParseCitation,
+    testExtractPublications,
+    testExtractConcepts,
+    testExtractNetworkLinks,
+    testProfileSections,
+    testProfileFixtures
+};
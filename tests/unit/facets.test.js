@@ -0,0 +1,175 @@
+/**
+ * Unit tests for facets module (src/lib/facets.js)
+ * Tests search form parsing, suggestions and filter validation
+ */
+
+const assert = require('assert');
+const { parseFacetOptions, suggestFacetValues, validateFilters } = require('../../src/lib/facets.js');
+
+const SEARCH_FORM_HTML = `
+<form>
+    <select id="ctl00_institution" name="institution">
+        <option value="">--Select--</option>
+        <option value="1">Harvard Medical School</option>
+        <option value="2">Brigham and Women&#39;s Hospital</option>
+        <option value="3">Massachusetts General Hospital</option>
+    </select>
+    <select id="ctl00_department">
+        <option value="">All</option>
+        <option value="10">Epidemiology</option>
+        <option value="11">Cell Biology</option>
+        <option value="12">Genetics</option>
+    </select>
+    <select name="facultyType">
+        <option>Full Professor</option>
+        <option>Associate Professor</option>
+    </select>
+    <select id="sort">
+        <option>Relevance</option>
+    </select>
+</form>`;
+
+/**
+ * Test Suite: parseFacetOptions
+ */
+function testParseFacetOptions() {
+    console.log('\n📋 Testing parseFacetOptions...');
+
+    const facets = parseFacetOptions(SEARCH_FORM_HTML);
+
+    // Test 1: Values grouped by facet and sorted
+    assert.deepStrictEqual(
+        facets.institutions,
+        ["Brigham and Women's Hospital", 'Harvard Medical School', 'Massachusetts General Hospital'],
+        'Should parse and sort institutions'
+    );
+    assert.deepStrictEqual(facets.departments, ['Cell Biology', 'Epidemiology', 'Genetics'], 'Should parse departments');
+    assert.deepStrictEqual(facets.facultyTypes, ['Associate Professor', 'Full Professor'], 'Should parse faculty types');
+    console.log('  ✅ Facets parsed and sorted');
+
+    // Test 2: Placeholders and unrelated selects ignored
+    assert(!facets.institutions.includes('--Select--'), 'Should skip placeholder option');
+    assert(!facets.departments.includes('All'), 'Should skip "All" option');
+    assert(!Object.values(facets).flat().includes('Relevance'), 'Should ignore unrelated selects');
+    console.log('  ✅ Placeholders and unrelated selects ignored');
+
+    // Test 3: Empty input
+    assert.deepStrictEqual(
+        parseFacetOptions(''),
+        { institutions: [], departments: [], facultyTypes: [] },
+        'Should return empty facets for empty HTML'
+    );
+    console.log('  ✅ Empty HTML handled');
+
+    console.log('✅ All parseFacetOptions tests passed!');
+}
+
+/**
+ * Test Suite: suggestFacetValues
+ */
+function testSuggestFacetValues() {
+    console.log('\n📋 Testing suggestFacetValues...');
+
+    const institutions = [
+        "Brigham and Women's Hospital",
+        'Harvard Medical School',
+        'Massachusetts General Hospital',
+        'Harvard T.H. Chan School of Public Health'
+    ];
+
+    // Test 1: Misspelling
+    assert.strictEqual(
+        suggestFacetValues('Harvard Medcal Scool', institutions)[0],
+        'Harvard Medical School',
+        'Should suggest closest name for misspelling'
+    );
+    console.log('  ✅ Misspelling suggested');
+
+    // Test 2: Partial name
+    assert.strictEqual(
+        suggestFacetValues('Brigham & Womens', institutions)[0],
+        "Brigham and Women's Hospital",
+        'Should suggest name containing the partial value'
+    );
+    console.log('  ✅ Partial name suggested');
+
+    // Test 3: Nothing close
+    assert.deepStrictEqual(suggestFacetValues('Fake University', institutions), [], 'Should not suggest unrelated names');
+    console.log('  ✅ Unrelated value gets no suggestions');
+
+    // Test 4: Limit
+    assert(suggestFacetValues('Harvard', institutions, 1).length <= 1, 'Should respect limit');
+    console.log('  ✅ Suggestion limit respected');
+
+    console.log('✅ All suggestFacetValues tests passed!');
+}
+
+/**
+ * Test Suite: validateFilters
+ */
+function testValidateFilters() {
+    console.log('\n📋 Testing validateFilters...');
+
+    const facets = parseFacetOptions(SEARCH_FORM_HTML);
+
+    // Test 1: Valid values (case and punctuation insensitive)
+    assert.deepStrictEqual(
+        validateFilters({ institution: 'harvard medical school', department: 'Cell  Biology', facultyType: '' }, facets),
+        [],
+        'Valid values should pass'
+    );
+    console.log('  ✅ Valid values pass');
+
+    // Test 2: Unknown value reported with suggestions
+    const problems = validateFilters({ institution: '', department: 'Epidemology', facultyType: 'Professor' }, facets);
+    assert.strictEqual(problems.length, 2, 'Should report two unknown values');
+    assert.strictEqual(problems[0].field, 'department', 'Should report department');
+    assert.deepStrictEqual(problems[0].suggestions, ['Epidemiology'], 'Should suggest Epidemiology');
+    assert.strictEqual(problems[1].field, 'facultyType', 'Should report faculty type');
+    console.log('  ✅ Unknown values reported with suggestions');
+
+    // Test 3: Empty facet list skips the check
+    assert.deepStrictEqual(
+        validateFilters({ department: 'Anything' }, { institutions: [], departments: [], facultyTypes: [] }),
+        [],
+        'Should skip fields without known values'
+    );
+    console.log('  ✅ Missing facet lists skipped');
+
+    console.log('✅ All validateFilters tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Facets Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testParseFacetOptions();
+        testSuggestFacetValues();
+        testValidateFilters();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All facets module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testParseFacetOptions,
+    testSuggestFacetValues,
+    testValidateFilters
+};
@@ -0,0 +1,215 @@
+/**
+ * Unit tests for image preprocessing module (src/lib/image-preprocess.js)
+ * Tests PNG decoding, the preprocessing steps and option handling
+ */
+
+const assert = require('assert');
+const zlib = require('zlib');
+const {
+    preprocessImage,
+    resolvePreprocessOptions,
+    decodePng,
+    encodePng,
+    otsuThreshold,
+    DEFAULT_PREPROCESS_OPTIONS
+} = require('../../src/lib/image-preprocess.js');
+
+/**
+ * A small email-image-like RGBA picture: transparent background with an
+ * anti-aliased dark bar (text) in the middle
+ */
+function textImage({ width = 12, height = 6, ink = [20, 20, 60], background = null } = {}) {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            const inText = y >= 2 && y <= 3 && x >= 2 && x <= 9;
+            const edge = y >= 2 && y <= 3 && (x === 1 || x === 10);
+            const color = background && !inText ? background : ink;
+            data.set(color, offset);
+            data[offset + 3] = background ? 255 : (inText ? 255 : (edge ? 120 : 0));
+        }
+    }
+    return { width, height, channels: 4, data };
+}
+
+/**
+ * Gray level of a pixel in a decoded grayscale image
+ */
+function pixel(image, x, y) {
+    return image.data[y * image.width + x];
+}
+
+/**
+ * Test Suite: PNG decoding
+ */
+function testDecodePng() {
+    console.log('\n📋 Testing PNG decoding...');
+
+    // Test 1: Round trip through the encoder
+    const source = textImage();
+    const decoded = decodePng(encodePng(source));
+    assert.strictEqual(decoded.width, 12, 'Width');
+    assert.strictEqual(decoded.height, 6, 'Height');
+    assert.deepStrictEqual(Array.from(decoded.data), Array.from(source.data), 'Pixels survive the round trip');
+    console.log('  ✅ RGBA round trip');
+
+    // Test 2: Filtered rows and 1-bit palette images (hand-built PNG)
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(8, 0);
+    header.writeUInt32BE(2, 4);
+    header[8] = 1; // bit depth
+    header[9] = 3; // palette
+    const rows = Buffer.from([
+        0, 0b10100000, // no filter: black, white, black, white, ...
+        2, 0b01000000 // "up" filter: adds the row above
+    ]);
+    const palette = decodePng(pngFile([
+        ['IHDR', header],
+        ['PLTE', Buffer.from([255, 255, 255, 0, 0, 0])],
+        ['tRNS', Buffer.from([0])],
+        ['IDAT', zlib.deflateSync(rows)]
+    ]));
+    assert.strictEqual(palette.channels, 4, 'Palette expanded to RGBA');
+    assert.deepStrictEqual(Array.from(palette.data.slice(0, 8)), [0, 0, 0, 255, 255, 255, 255, 0], 'Index 1 black, index 0 transparent white');
+    assert.deepStrictEqual(Array.from(palette.data.slice(32, 44)), [0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255], 'Up filter applied');
+    console.log('  ✅ Palette and filters decoded');
+
+    // Test 3: Not a PNG, or a PNG this decoder skips
+    assert.strictEqual(decodePng(Buffer.from('GIF89a....')), null, 'GIF is not decoded');
+    const interlaced = Buffer.from(header);
+    interlaced[12] = 1;
+    assert.strictEqual(decodePng(pngFile([['IHDR', interlaced], ['IDAT', zlib.deflateSync(rows)]])), null, 'Interlaced PNG skipped');
+    console.log('  ✅ Unsupported images recognized');
+
+    console.log('✅ All PNG decoding tests passed!');
+}
+
+/**
+ * Build a PNG file from chunks (CRCs are not checked by the decoder)
+ */
+function pngFile(chunks) {
+    const parts = [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])];
+    for (const [type, data] of [...chunks, ['IEND', Buffer.alloc(0)]]) {
+        const chunk = Buffer.alloc(data.length + 12);
+        chunk.writeUInt32BE(data.length, 0);
+        chunk.write(type, 4, 'latin1');
+        data.copy(chunk, 8);
+        parts.push(chunk);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Test Suite: Preprocessing pipeline
+ */
+function testPreprocessImage() {
+    console.log('\n📋 Testing preprocessing pipeline...');
+
+    // Test 1: Default pipeline gives larger, padded, dark-on-white gray text
+    const { buffer, processed } = preprocessImage(encodePng(textImage()));
+    const output = decodePng(buffer);
+    assert.strictEqual(processed, true, 'Should be processed');
+    assert.strictEqual(output.channels, 1, 'Grayscale output');
+    assert.strictEqual(output.width, 12 * 3 + 20, 'Upscaled x3 plus padding');
+    assert.strictEqual(output.height, 6 * 3 + 20, 'Upscaled x3 plus padding');
+    assert(output.data.some(value => value > 0 && value < 255), 'Anti-aliased edges kept');
+    assert.strictEqual(pixel(output, 0, 0), 255, 'White padding');
+    assert(pixel(output, 10 + 6 * 3, 10 + 2 * 3 + 1) < 64, 'Text is dark');
+    assert.strictEqual(pixel(output, 10 + 1, 10 + 1), 255, 'Transparent background is white');
+    console.log('  ✅ Default pipeline applied');
+
+    // Test 2: Otsu binarization on request
+    const binarized = decodePng(preprocessImage(encodePng(textImage()), { threshold: 'otsu' }).buffer);
+    assert(binarized.data.every(value => value === 0 || value === 255), 'Binarized');
+    assert.strictEqual(pixel(binarized, 10 + 6 * 3, 10 + 2 * 3 + 1), 0, 'Text is black');
+    console.log('  ✅ Binarization applied');
+
+    // Test 3: Light text on a dark background inverted
+    const darkBackground = decodePng(preprocessImage(
+        encodePng(textImage({ ink: [250, 250, 250], background: [10, 10, 10] })),
+        { scale: 1, padding: 0 }
+    ).buffer);
+    assert(pixel(darkBackground, 5, 2) < 64, 'Text turned dark');
+    assert(pixel(darkBackground, 0, 0) > 192, 'Background turned light');
+    console.log('  ✅ Dark backgrounds inverted');
+
+    // Test 4: Steps switched off
+    const grayOnly = decodePng(preprocessImage(encodePng(textImage()), { scale: 1, padding: 0 }).buffer);
+    assert.strictEqual(grayOnly.width, 12, 'No upscale');
+    assert.strictEqual(grayOnly.height, 6, 'No padding');
+    const original = encodePng(textImage());
+    assert.strictEqual(preprocessImage(original, { enabled: false }).buffer, original, 'Disabled: original buffer');
+    assert.strictEqual(preprocessImage(original, false).processed, false, 'false disables');
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0]);
+    assert.deepStrictEqual(preprocessImage(jpeg), { buffer: jpeg, processed: false }, 'Non-PNG passed through');
+    console.log('  ✅ Steps configurable');
+
+    // Test 5: Otsu threshold between the two gray levels
+    const threshold = otsuThreshold({ data: Uint8Array.from([30, 30, 30, 32, 200, 200, 210, 210]) });
+    assert(threshold >= 32 && threshold < 200, 'Threshold separates text from background');
+    console.log('  ✅ Otsu threshold found');
+
+    console.log('✅ All preprocessing pipeline tests passed!');
+}
+
+/**
+ * Test Suite: Options
+ */
+function testResolvePreprocessOptions() {
+    console.log('\n📋 Testing preprocessing options...');
+
+    // Test 1: Defaults and partial overrides
+    assert.deepStrictEqual(resolvePreprocessOptions(), DEFAULT_PREPROCESS_OPTIONS, 'Defaults');
+    assert.deepStrictEqual(resolvePreprocessOptions({ scale: 4, threshold: '160' }), { ...DEFAULT_PREPROCESS_OPTIONS, scale: 4, threshold: 160 }, 'Overrides');
+    assert.strictEqual(DEFAULT_PREPROCESS_OPTIONS.threshold, null, 'No binarization by default');
+    assert.strictEqual(resolvePreprocessOptions({ threshold: 'otsu' }).threshold, 'otsu', 'Otsu on request');
+    assert.strictEqual(resolvePreprocessOptions({ threshold: false }).threshold, null, 'false skips binarization');
+    console.log('  ✅ Options merged');
+
+    // Test 2: Invalid values replaced
+    const options = resolvePreprocessOptions({ scale: 0.5, threshold: 300, padding: -1, invert: 'sometimes' });
+    assert.strictEqual(options.scale, 3, 'Scale below 1 ignored');
+    assert.strictEqual(options.threshold, 'otsu', 'Out-of-range threshold ignored');
+    assert.strictEqual(options.padding, 10, 'Negative padding ignored');
+    assert.strictEqual(options.invert, 'auto', 'Unknown invert mode');
+    assert.strictEqual(resolvePreprocessOptions({ scale: 50 }).scale, 8, 'Scale capped');
+    console.log('  ✅ Invalid values replaced');
+
+    console.log('✅ All preprocessing option tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Image Preprocessing Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testDecodePng();
+        testPreprocessImage();
+        testResolvePreprocessOptions();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All image preprocessing module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testDecodePng,
+    testPreprocessImage,
+    testResolvePreprocessOptions
+};
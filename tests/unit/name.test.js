@@ -0,0 +1,114 @@
+/**
+ * Unit tests for name module (src/lib/name.js)
+ * Tests DisplayName splitting, honorifics, suffixes and credential normalization
+ */
+
+const assert = require('assert');
+const { parseDisplayName, normalizeCredential } = require('../../src/lib/name.js');
+
+/**
+ * Test Suite: Name parts
+ */
+function testNameParts() {
+    console.log('\n📋 Testing name parts...');
+
+    // Test 1: Given, middle and family name
+    assert.deepStrictEqual(parseDisplayName('Graham Andrew Colditz, Dr.P.H., M.B.,B.S., M.D.'), {
+        given: 'Graham', middle: 'Andrew', family: 'Colditz', nickname: '',
+        honorifics: [], suffixes: [], credentials: ['DrPH', 'MBBS', 'MD']
+    }, 'Should split the name and degrees');
+    console.log('  ✅ Name split from degrees');
+
+    // Test 2: Multi-word names from the stored FirstName/LastName, particles without hints
+    const maryAnn = parseDisplayName('Mary Ann Lee Garcia Lopez, MPH', { firstName: 'Mary Ann', lastName: 'Garcia Lopez' });
+    assert.deepStrictEqual([maryAnn.given, maryAnn.middle, maryAnn.family], ['Mary Ann', 'Lee', 'Garcia Lopez'], 'Should use hints');
+    assert.strictEqual(parseDisplayName('Ludwig van Beethoven, MD').family, 'van Beethoven', 'Should keep particles');
+    console.log('  ✅ Multi-word names handled');
+
+    // Test 3: Honorifics, suffixes and nicknames
+    const jane = parseDisplayName('Dr. Jane Q. Public III, M.D./Ph.D.');
+    assert.deepStrictEqual([jane.honorifics, jane.suffixes, jane.middle], [['Dr.'], ['III'], 'Q.'], 'Honorific and suffix');
+    assert.deepStrictEqual(parseDisplayName('John Smith, Jr., MD').suffixes, ['Jr.'], 'Suffix after a comma');
+    assert.strictEqual(parseDisplayName('Robert (Bob) Smith').nickname, 'Bob', 'Nickname in parentheses');
+    assert.strictEqual(parseDisplayName('Robert "Bob" Smith').given, 'Robert', 'Nickname in quotes removed from name');
+    console.log('  ✅ Honorifics, suffixes and nicknames separated');
+
+    // Test 4: "Last, First" order, one-word and empty names
+    const reversed = parseDisplayName('Colditz, Graham Andrew');
+    assert.deepStrictEqual([reversed.given, reversed.middle, reversed.family], ['Graham', 'Andrew', 'Colditz'], 'Last, First');
+    assert.strictEqual(parseDisplayName('Cher').family, 'Cher', 'One word is the family name');
+    assert.strictEqual(parseDisplayName('').family, '', 'Empty name');
+    console.log('  ✅ Other name layouts handled');
+
+    console.log('✅ All name part tests passed!');
+}
+
+/**
+ * Test Suite: Credentials
+ */
+function testCredentials() {
+    console.log('\n📋 Testing credentials...');
+
+    const credentials = name => parseDisplayName(name).credentials;
+
+    // Test 1: Commas inside degrees
+    assert.deepStrictEqual(credentials('Jane Doe, M.B.,Ch.B., M.R.C.P.'), ['MBChB', 'MRCP'], 'M.B.,Ch.B.');
+    assert.deepStrictEqual(credentials('Jane Doe, MB, BS'), ['MBBS'], 'MB, BS');
+    assert.deepStrictEqual(credentials('Jane Doe, M.D., B.S.'), ['MD', 'BS'], 'Unrelated degrees are not merged');
+    console.log('  ✅ Comma-inside degrees merged');
+
+    // Test 2: Several degrees in one segment, or without commas
+    assert.deepStrictEqual(credentials('Jane Doe, MD/PhD'), ['MD', 'PhD'], 'Slash');
+    assert.deepStrictEqual(credentials('Jane Doe, MD and PhD'), ['MD', 'PhD'], 'and');
+    assert.deepStrictEqual(credentials('Jane Doe MD PhD'), ['MD', 'PhD'], 'No commas');
+    assert.deepStrictEqual(credentials('Jane Doe, M. D.'), ['MD'], 'Spaces inside');
+    console.log('  ✅ Degree lists split');
+
+    // Test 3: Unknown certifications kept, names that look like degrees are not
+    assert.deepStrictEqual(credentials('Jane Doe, F.A.S.N., FACP, RN'), ['FASN', 'FACP', 'RN'], 'Certifications');
+    assert.deepStrictEqual(credentials('Jane Ma'), [], '"Ma" is a family name');
+    assert.strictEqual(parseDisplayName('Anh Do, D.O.').family, 'Do', '"Do" is a family name');
+    assert.deepStrictEqual(credentials('Jane Doe, MD, M.D.'), ['MD'], 'Duplicates removed');
+    console.log('  ✅ Certifications and look-alikes handled');
+
+    // Test 4: Normalized spelling
+    assert.strictEqual(normalizeCredential('Dr.P.H.'), 'DrPH', 'Dr.P.H.');
+    assert.strictEqual(normalizeCredential('PHD'), 'PhD', 'PHD');
+    assert.strictEqual(normalizeCredential('m.p.h.'), 'MPH', 'm.p.h.');
+    console.log('  ✅ Credentials normalized');
+
+    console.log('✅ All credential tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Name Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testNameParts();
+        testCredentials();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All name module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testNameParts,
+    testCredentials
+};
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for network module (src/lib/network.js)
+ * Tests graph building, JSON/GraphML export and resume
+ */
+
+const assert = require('assert');
+const { NetworkGraph, saveNetwork, loadNetwork, NETWORK_KEY, NETWORK_GRAPHML_KEY } = require('../../src/lib/network.js');
+
+/**
+ * Build a small graph: two scraped profiles that list each other
+ */
+function buildGraph() {
+    const graph = new NetworkGraph();
+    graph.addProfile(
+        { personId: 1, name: 'Ada Smith', institution: 'HMS', department: 'Genetics', profileUrl: 'https://x/display/Person/1' },
+        {
+            coauthors: [{ personId: '2', name: 'Bo Lee', weight: 3, url: 'https://x/display/Person/2' }],
+            similarPeople: [{ personId: '3', name: 'Cy Tan & Co', weight: 0.8, url: '' }]
+        }
+    );
+    graph.addProfile(
+        { personId: 2, name: 'Bo Lee', institution: 'MGH', department: 'Medicine', profileUrl: 'https://x/display/Person/2' },
+        {
+            coauthors: [{ personId: '1', name: 'A. Smith', weight: 5, url: '' }, { personId: '2', name: 'Self', weight: 1, url: '' }],
+            similarPeople: [{ personId: '1', name: 'Ada Smith', weight: null, url: '' }]
+        }
+    );
+    return graph;
+}
+
+/**
+ * Test Suite: Graph building
+ */
+function testGraphBuilding() {
+    console.log('\n📋 Testing graph building...');
+
+    const { nodes, edges } = buildGraph().toJSON();
+
+    // Test 1: Nodes for scraped and linked-only people
+    assert.deepStrictEqual(nodes.map(n => n.id).sort(), ['1', '2', '3'], 'Should have one node per person');
+    const ada = nodes.find(n => n.id === '1');
+    assert.strictEqual(ada.scraped, true, 'Scraped profile should be flagged');
+    assert.strictEqual(ada.name, 'Ada Smith', 'Scraped details should win over link labels');
+    assert.strictEqual(nodes.find(n => n.id === '3').scraped, false, 'Linked-only person should not be flagged');
+    console.log('  ✅ Nodes built');
+
+    // Test 2: One undirected co-author edge per pair, highest weight kept, no self loops
+    const coauthorEdges = edges.filter(e => e.type === 'coauthor');
+    assert.strictEqual(coauthorEdges.length, 1, 'Co-authorship should be one undirected edge');
+    assert.strictEqual(coauthorEdges[0].weight, 5, 'Should keep the higher weight');
+    console.log('  ✅ Co-author edges merged');
+
+    // Test 3: Directed similarity edges
+    const similarEdges = edges.filter(e => e.type === 'similar');
+    assert.deepStrictEqual(
+        similarEdges.map(e => `${e.source}->${e.target}`).sort(),
+        ['1->3', '2->1'],
+        'Similarity edges should point from the profile'
+    );
+    assert(similarEdges.every(e => e.directed), 'Similarity edges should be directed');
+    console.log('  ✅ Similarity edges directed');
+
+    console.log('✅ All graph building tests passed!');
+}
+
+/**
+ * Test Suite: Export and resume
+ */
+async function testExportAndResume() {
+    console.log('\n📋 Testing export and resume...');
+
+    const graph = buildGraph();
+
+    // Test 1: GraphML is well-formed enough and escaped
+    const graphml = graph.toGraphML();
+    assert(graphml.startsWith('<?xml'), 'Should start with XML declaration');
+    assert.strictEqual((graphml.match(/<node /g) || []).length, 3, 'Should export every node');
+    assert.strictEqual((graphml.match(/<edge /g) || []).length, 3, 'Should export every edge');
+    assert(graphml.includes('Cy Tan &amp; Co'), 'Should escape XML characters');
+    assert(graphml.includes('directed="true"'), 'Should mark directed edges');
+    console.log('  ✅ GraphML exported');
+
+    // Test 2: Save and load through the key-value store
+    const store = {};
+    const mockActor = {
+        setValue: async (key, value, options) => { store[key] = { value, options }; },
+        getValue: async (key) => (store[key] ? store[key].value : null)
+    };
+    await saveNetwork(graph, mockActor);
+    assert.strictEqual(store[NETWORK_GRAPHML_KEY].options.contentType, 'application/xml', 'GraphML should be saved as XML');
+
+    const restored = await loadNetwork(mockActor);
+    assert.deepStrictEqual(restored.toJSON(), graph.toJSON(), 'Loaded network should match the saved one');
+    restored.addProfile({ personId: 3, name: 'Cy Tan' }, { coauthors: [{ personId: '2', weight: 1 }] });
+    assert.strictEqual(restored.toJSON().edges.length, 4, 'Resumed network should keep growing');
+    console.log('  ✅ Saved and resumed');
+
+    // Test 3: Nothing saved yet
+    delete store[NETWORK_KEY];
+    assert.strictEqual((await loadNetwork(mockActor)).toJSON().nodes.length, 0, 'Should start empty');
+    console.log('  ✅ Empty network when nothing saved');
+
+    console.log('✅ All export and resume tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Network Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testGraphBuilding();
+        await testExportAndResume();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All network module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testGraphBuilding,
+    testExportAndResume
+};
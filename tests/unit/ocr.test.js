@@ -4,7 +4,7 @@
  */
 
 const assert = require('assert');
-const { cleanOCRText, isValidEmail, isNotAvailable } = require('../../src/lib/ocr.js');
+const { cleanOCRText, isValidEmail, isNotAvailable, analyzeEmailReading, readCharacters, checkImageResponse } = require('../../src/lib/ocr.js');
 
 /**
  * Test Suite: cleanOCRText Function
@@ -365,6 +365,99 @@ function testEmailExtractionIntegration() {
     console.log('✅ Email extraction integration tests passed!');
 }
 
+/**
+ * Test Suite: Confidence flags and alternative readings
+ */
+function testAnalyzeEmailReading() {
+    console.log('\n📋 Testing confidence flags and alternatives...');
+
+    // Per-character readings: every character sure except one
+    const reading = (email, uncertain = {}) => [...email].map((char, index) => ({
+        char,
+        confidence: uncertain[index] ?? 0.95,
+        choices: []
+    }));
+
+    // Test 1: Uncertain characters flagged, their swaps ranked first
+    const characters = reading('jdoel@partners.org', { 4: 0.41 });
+    characters[4].choices = [{ text: 'i', confidence: 0.2 }];
+    const analysis = analyzeEmailReading('jdoel@partners.org', characters);
+    assert.deepStrictEqual(analysis.lowConfidenceChars, [{ index: 4, char: 'l', confidence: 0.41 }], 'Should flag the uncertain l');
+    assert.deepStrictEqual(analysis.alternatives.slice(0, 2), [
+        { email: 'jdoe1@partners.org', score: 0.59 },
+        { email: 'jdoei@partners.org', score: 0.59 }
+    ], 'Swaps of the uncertain character first');
+    assert.deepStrictEqual(analysis.alternatives[2], { email: 'jd0el@partners.org', score: 0.05 }, 'Confident characters rank low');
+    console.log('  ✅ Uncertain characters flagged and ranked');
+
+    // Test 2: Multi-character swaps, local part only
+    const rn = analyzeEmailReading('rnsmith@bwh.harvard.edu', reading('rnsmith@bwh.harvard.edu', { 0: 0.5, 1: 0.3 }));
+    assert.deepStrictEqual(rn.alternatives[0], { email: 'msmith@bwh.harvard.edu', score: 0.7 }, 'rn read as m');
+    assert(rn.alternatives.every(alternative => alternative.email.endsWith('@bwh.harvard.edu')), 'Domain unchanged');
+    assert(analyzeEmailReading('jdoe@example.edu', reading('jdoe@example.edu')).alternatives.length <= 5, 'Alternatives capped');
+    console.log('  ✅ Multi-character swaps found');
+
+    // Test 3: Unknown character confidences
+    const unknown = analyzeEmailReading('al@mgh.harvard.edu');
+    assert.deepStrictEqual(unknown.lowConfidenceChars, [], 'Nothing flagged without confidences');
+    assert.deepStrictEqual(unknown.alternatives.map(alternative => alternative.score), [0.5, 0.5], 'Neutral scores');
+    console.log('  ✅ Missing confidences handled');
+
+    // Test 4: Tesseract symbols turned into characters
+    const symbols = readCharacters({
+        symbols: [
+            { text: 'J', confidence: 91, choices: [{ text: 'J', confidence: 91 }] },
+            { text: '|', confidence: 48, choices: [{ text: '|', confidence: 48 }, { text: '1', confidence: 30 }] }
+        ]
+    });
+    assert.deepStrictEqual(symbols, [
+        { char: 'j', confidence: 0.91, choices: [] },
+        { char: 'l', confidence: 0.48, choices: [{ text: '1', confidence: 0.3 }] }
+    ], 'Cleaned like the text, choices kept');
+    const nested = readCharacters({ blocks: [{ paragraphs: [{ lines: [{ words: [{ symbols: [{ text: 'a', confidence: 80 }] }] }] }] }] });
+    assert.deepStrictEqual(nested, [{ char: 'a', confidence: 0.8, choices: [] }], 'Symbols found in blocks');
+    console.log('  ✅ Symbols read');
+
+    console.log('✅ All confidence flag and alternative tests passed!');
+}
+
+/**
+ * Test Suite: Refused email image requests
+ */
+function testCheckImageResponse() {
+    console.log('\n📋 Testing refused email image requests...');
+
+    const imageUrl = 'https://connects.catalyst.harvard.edu/profiles/EmailHandler.ashx?msg=1';
+    const response = ({ status = 200, contentType = 'image/png', redirected = false, url = imageUrl } = {}) => ({
+        status,
+        ok: status >= 200 && status < 300,
+        redirected,
+        url,
+        headers: new Headers(contentType ? { 'content-type': contentType } : {})
+    });
+
+    // Test 1: Image served
+    assert.strictEqual(checkImageResponse(response()), null, 'PNG image');
+    assert.strictEqual(checkImageResponse(response({ contentType: null })), null, 'No content type');
+    console.log('  ✅ Served images accepted');
+
+    // Test 2: Refusals
+    assert.strictEqual(checkImageResponse(response({ status: 403, contentType: 'text/html' })), 'HTTP 403', 'Forbidden');
+    assert.strictEqual(checkImageResponse(response({ status: 401 })), 'HTTP 401', 'Unauthorized');
+    assert.strictEqual(checkImageResponse(response({ contentType: 'text/html; charset=utf-8' })), 'not an image (text/html; charset=utf-8)', 'Page instead of the image');
+    const loginUrl = 'https://connects.catalyst.harvard.edu/Login/Default.aspx?ReturnUrl=%2fprofiles';
+    assert.strictEqual(checkImageResponse(response({ redirected: true, url: loginUrl })), `redirected to ${loginUrl}`, 'Login redirect');
+    console.log('  ✅ Refusals recognized');
+
+    // Test 3: Missing images and server errors are not refusals
+    assert.strictEqual(checkImageResponse(response({ status: 404, contentType: 'text/html' })), null, 'Not found');
+    assert.strictEqual(checkImageResponse(response({ status: 500, contentType: 'text/html' })), null, 'Server error');
+    assert.strictEqual(checkImageResponse(response({ redirected: true, url: 'https://cdn.example.edu/email/1.png' })), null, 'Redirect to the image');
+    console.log('  ✅ Other failures not treated as refusals');
+
+    console.log('✅ All refused email image tests passed!');
+}
+
 /**
  * Main test runner
  */
@@ -377,6 +470,8 @@ async function runTests() {
         testIsValidEmail();
         testIsNotAvailable();
         testEmailExtractionIntegration();
+        testAnalyzeEmailReading();
+        testCheckImageResponse();
 
         console.log('\n' + '='.repeat(50));
         console.log('✅ All OCR module tests passed successfully!');
@@ -399,5 +494,7 @@ module.exports = {
     testCleanOCRText,
     testIsValidEmail,
     testIsNotAvailable,
-    testEmailExtractionIntegration
+    testEmailExtractionIntegration,
+    testAnalyzeEmailReading,
+    testCheckImageResponse
 };
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for phone module (src/lib/phone.js)
+ * Tests E.164 normalization, extensions and invalid number detection
+ */
+
+const assert = require('assert');
+const { parsePhoneNumber } = require('../../src/lib/phone.js');
+
+/**
+ * Test Suite: E.164 normalization
+ */
+function testNormalization() {
+    console.log('\n📋 Testing E.164 normalization...');
+
+    // Test 1: Common US formats
+    for (const value of ['314/454-7940', '(314) 454-7940', '314.454.7940', '1-314-454-7940', '+1 314 454 7940', 3144547940]) {
+        const phone = parsePhoneNumber(value);
+        assert.strictEqual(phone.e164, '+13144547940', `Should normalize ${value}`);
+        assert.strictEqual(phone.valid, true, `${value} should be valid`);
+    }
+    console.log('  ✅ US formats normalized');
+
+    // Test 2: Original value kept in raw
+    assert.deepStrictEqual(parsePhoneNumber(' 617/432-1000 '), {
+        e164: '+16174321000', extension: '', raw: '617/432-1000', valid: true, issue: null
+    }, 'Should keep the original (trimmed) value');
+    console.log('  ✅ Original value kept');
+
+    // Test 3: International numbers
+    assert.strictEqual(parsePhoneNumber('+44 20 7946 0321').e164, '+442079460321', 'Should keep the country code');
+    assert.strictEqual(parsePhoneNumber('011 41 44 634 1111').e164, '+41446341111', 'Should drop the 011 prefix');
+    assert.strictEqual(parsePhoneNumber('044 634 1111', { defaultCountryCode: '41' }).e164, '+41446341111', 'Should use the default country code');
+    console.log('  ✅ International numbers normalized');
+
+    // Test 4: No number
+    assert.strictEqual(parsePhoneNumber(''), null, 'Empty string');
+    assert.strictEqual(parsePhoneNumber(null), null, 'null');
+    assert.strictEqual(parsePhoneNumber(undefined), null, 'undefined');
+    console.log('  ✅ Missing numbers give null');
+
+    console.log('✅ All E.164 normalization tests passed!');
+}
+
+/**
+ * Test Suite: Extensions
+ */
+function testExtensions() {
+    console.log('\n📋 Testing extensions...');
+
+    // Test 1: Extension spellings
+    for (const value of ['617-432-1000 x1234', '617-432-1000x1234', '(617) 432-1000 ext. 1234', '617.432.1000 Extension 1234', '617-432-1000 #1234']) {
+        const phone = parsePhoneNumber(value);
+        assert.deepStrictEqual([phone.e164, phone.extension], ['+16174321000', '1234'], `Should split ${value}`);
+    }
+    console.log('  ✅ Extensions split off');
+
+    // Test 2: Extension on an invalid number is still kept
+    const short = parsePhoneNumber('432-1000 x55');
+    assert.deepStrictEqual([short.valid, short.extension, short.issue], [false, '55', 'missing area code'], 'Extension kept');
+    console.log('  ✅ Extension kept on invalid numbers');
+
+    console.log('✅ All extension tests passed!');
+}
+
+/**
+ * Test Suite: Invalid and placeholder numbers
+ */
+function testInvalidNumbers() {
+    console.log('\n📋 Testing invalid numbers...');
+
+    const issue = value => {
+        const phone = parsePhoneNumber(value);
+        assert.strictEqual(phone.valid, false, `${value} should be invalid`);
+        assert.strictEqual(phone.e164, '', `${value} should have no E.164 form`);
+        return phone.issue;
+    };
+
+    // Test 1: Placeholders
+    assert.strictEqual(issue('N/A'), 'placeholder', 'N/A');
+    assert.strictEqual(issue('TBD'), 'placeholder', 'TBD');
+    assert.strictEqual(issue('000-000-0000'), 'placeholder', 'All zeros');
+    assert.strictEqual(issue('123-456-7890'), 'placeholder', 'Sequential digits');
+    assert.strictEqual(issue('(617) 555-0123'), 'placeholder', 'Fictional 555-01XX');
+    assert.strictEqual(parsePhoneNumber('617-555-1234').valid, true, 'Other 555 numbers are real');
+    console.log('  ✅ Placeholders flagged');
+
+    // Test 2: Wrong length
+    assert.strictEqual(issue('432-1000'), 'missing area code', 'Seven digits');
+    assert.strictEqual(issue('617-432-10'), 'too short', 'Nine digits');
+    assert.strictEqual(issue('617-432-10000'), 'too long', 'Eleven digits');
+    assert.strictEqual(issue('+44 20'), 'too short', 'Short international number');
+    console.log('  ✅ Wrong lengths flagged');
+
+    // Test 3: North American numbering rules
+    assert.strictEqual(issue('(017) 432-1000'), 'invalid area code', 'Area code starting with 0');
+    assert.strictEqual(issue('(411) 432-1000'), 'invalid area code', 'N11 service code');
+    assert.strictEqual(issue('(617) 132-1000'), 'invalid exchange', 'Exchange starting with 1');
+    assert.strictEqual(issue('see website'), 'no digits', 'No digits');
+    console.log('  ✅ Numbering rules checked');
+
+    console.log('✅ All invalid number tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Phone Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testNormalization();
+        testExtensions();
+        testInvalidNumbers();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All phone module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testNormalization,
+    testExtensions,
+    testInvalidNumbers
+};
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for provenance module (src/lib/provenance.js)
+ * Tests source selection and the provenance map
+ */
+
+const assert = require('assert');
+const { Provenance, SOURCES } = require('../../src/lib/provenance.js');
+
+/**
+ * Test Suite: Source selection
+ */
+function testPick() {
+    console.log('\n📋 Testing source selection...');
+
+    // Test 1: First candidate with a value wins
+    const provenance = new Provenance();
+    assert.strictEqual(
+        provenance.pick('institution', [SOURCES.PRELOAD, ''], [SOURCES.LISTING, 'Harvard Medical School']),
+        'Harvard Medical School',
+        'Should fall back to the listing'
+    );
+    assert.strictEqual(provenance.pick('department', [SOURCES.PRELOAD, 'Medicine'], [SOURCES.LISTING, 'Surgery']), 'Medicine', 'preLoad first');
+    assert.deepStrictEqual(provenance.toJSON(), {
+        institution: { source: 'listing' },
+        department: { source: 'preLoad' }
+    }, 'Should record the winning sources');
+    console.log('  ✅ First source with a value chosen');
+
+    // Test 2: No value anywhere keeps the last value and a null source
+    assert.strictEqual(provenance.pick('title', [SOURCES.PRELOAD, ''], [SOURCES.LISTING, undefined]), undefined, 'Last value returned');
+    assert.deepStrictEqual(provenance.toJSON().title, { source: null }, 'No source');
+    console.log('  ✅ Missing values recorded');
+
+    // Test 3: Empty arrays and objects still come from their source
+    assert.deepStrictEqual(provenance.from('publications', SOURCES.PRELOAD, []), [], 'Array returned');
+    assert.deepStrictEqual(provenance.toJSON().publications, { source: 'preLoad' }, 'Empty array has a source');
+    console.log('  ✅ Empty lists attributed');
+
+    console.log('✅ All source selection tests passed!');
+}
+
+/**
+ * Test Suite: Details and derived fields
+ */
+function testDetailsAndDerived() {
+    console.log('\n📋 Testing details and derived fields...');
+
+    // Test 1: OCR confidence kept with the email
+    const provenance = new Provenance();
+    provenance.pick('email', [SOURCES.OCR, 'jdoe@example.edu', { confidence: 0.87 }]);
+    assert.deepStrictEqual(provenance.toJSON().email, { source: 'ocr', confidence: 0.87 }, 'Confidence kept');
+    console.log('  ✅ OCR confidence recorded');
+
+    // Test 2: Derived fields take the source of their input
+    provenance.from('address', SOURCES.PRELOAD, '181 Longwood Ave, Boston, MA 02115');
+    const location = provenance.derive('location', 'address', { city: 'Boston' });
+    assert.deepStrictEqual(location, { city: 'Boston' }, 'Value returned');
+    assert.deepStrictEqual(provenance.toJSON().location, { source: 'preLoad', derivedFrom: ['address'] }, 'Derived entry');
+    provenance.derive('name', ['displayName'], {});
+    assert.deepStrictEqual(provenance.toJSON().name, { source: null, derivedFrom: ['displayName'] }, 'Unknown input');
+    console.log('  ✅ Derived fields attributed');
+
+    // Test 3: The map is a copy
+    const map = provenance.toJSON();
+    map.email.source = 'changed';
+    delete map.address;
+    assert(provenance.toJSON().address, 'Map changes should not affect the recorder');
+    assert.strictEqual(provenance.toJSON().email.source, 'ocr', 'Entries are copies too');
+    console.log('  ✅ Map copied on export');
+
+    console.log('✅ All details and derived field tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Provenance Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testPick();
+        testDetailsAndDerived();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All provenance module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testPick,
+    testDetailsAndDerived
+};
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for rate limiter module (src/lib/rate-limiter.js)
+ * Tests pacing, 429/Retry-After pauses, block slow-downs and speed-up
+ */
+
+const assert = require('assert');
+const { RateLimiter, parseRetryAfter } = require('../../src/lib/rate-limiter.js');
+
+/**
+ * Create a limiter on a fake clock; sleeping advances the clock
+ */
+function createLimiter(lanes) {
+    const clock = { time: 1000000, slept: [] };
+    const limiter = new RateLimiter({
+        lanes,
+        now: () => clock.time,
+        sleep: async (ms) => {
+            clock.slept.push(ms);
+            clock.time += ms;
+        },
+        random: () => 0
+    });
+    return { limiter, clock };
+}
+
+/**
+ * Test Suite: parseRetryAfter
+ */
+function testParseRetryAfter() {
+    console.log('\n📋 Testing parseRetryAfter...');
+
+    // Test 1: Seconds
+    assert.strictEqual(parseRetryAfter('120'), 120000, 'Should parse seconds');
+    assert.strictEqual(parseRetryAfter(0), 0, 'Should accept zero');
+    console.log('  ✅ Seconds parsed');
+
+    // Test 2: HTTP date
+    const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now), 30000, 'Should parse HTTP date');
+    assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT', now), 0, 'Past date means no wait');
+    console.log('  ✅ HTTP date parsed');
+
+    // Test 3: Missing or invalid
+    assert.strictEqual(parseRetryAfter(null), null, 'Missing header should be null');
+    assert.strictEqual(parseRetryAfter('soon'), null, 'Invalid header should be null');
+    console.log('  ✅ Missing and invalid values handled');
+
+    console.log('✅ All parseRetryAfter tests passed!');
+}
+
+/**
+ * Test Suite: Pacing
+ */
+async function testPacing() {
+    console.log('\n📋 Testing pacing...');
+
+    const { limiter, clock } = createLimiter({ api: { minDelay: 100 }, browser: { minDelay: 4000, jitter: 0, breakEvery: 3, breakDelay: 30000 } });
+
+    // Test 1: First request goes straight away, the next waits for the gap
+    assert.strictEqual(await limiter.wait('api'), 0, 'First request should not wait');
+    limiter.onResponse('api', 200);
+    assert.strictEqual(await limiter.wait('api'), 100, 'Next request should wait for the gap');
+    console.log('  ✅ Gap kept between requests');
+
+    // Test 2: Lanes are paced independently
+    assert.strictEqual(await limiter.wait('browser'), 0, 'Other lane should not wait');
+    console.log('  ✅ Lanes independent');
+
+    // Test 3: Cool-down every breakEvery requests
+    limiter.onSuccess('browser');
+    await limiter.wait('browser');
+    limiter.onSuccess('browser');
+    await limiter.wait('browser');
+    limiter.onSuccess('browser');
+    assert.strictEqual(await limiter.wait('browser'), 30000, 'Fourth request should take the long break');
+    console.log('  ✅ Periodic cool-down');
+
+    // Test 4: Unknown lane rejected
+    await assert.rejects(() => limiter.wait('nope'), /Unknown rate limiter lane/, 'Should reject unknown lane');
+    assert(clock.slept.length > 0, 'Should have slept');
+    console.log('  ✅ Unknown lane rejected');
+
+    console.log('✅ All pacing tests passed!');
+}
+
+/**
+ * Test Suite: Adaptive behavior
+ */
+async function testAdaptive() {
+    console.log('\n📋 Testing adaptive behavior...');
+
+    const originalLog = console.log;
+    console.log = () => {};
+
+    try {
+        const { limiter } = createLimiter({ api: { minDelay: 100, maxDelay: 10000 }, browser: { minDelay: 4000, jitter: 0, maxDelay: 60000 } });
+
+        // Test 1: 429 with Retry-After pauses every lane and slows the lane down
+        await limiter.wait('api');
+        limiter.onResponse('api', 429, '60');
+        assert.strictEqual(await limiter.wait('browser'), 60000, 'Other lanes should pause for Retry-After');
+        assert.strictEqual(limiter.getDelay('api'), 1100, 'Lane should slow down by at least 1s');
+
+        // Test 2: 503 without Retry-After uses the default pause
+        limiter.onResponse('api', 503);
+        assert.strictEqual(await limiter.wait('api'), 30000, 'Should pause 30s without Retry-After');
+        assert.strictEqual(limiter.getDelay('api'), 2200, 'Lane should double its gap');
+
+        // Test 3: Block pages and 403 slow the lane, capped at maxDelay
+        limiter.onBlocked('browser');
+        assert.strictEqual(limiter.getDelay('browser'), 8000, 'Block page should slow the browser');
+        for (let i = 0; i < 10; i++) limiter.onResponse('browser', 403);
+        assert.strictEqual(limiter.getDelay('browser'), 60000, 'Should cap at maxDelay');
+
+        // Test 4: Healthy responses speed up gradually, never below minDelay
+        for (let i = 0; i < 9; i++) limiter.onResponse('api', 200);
+        assert.strictEqual(limiter.getDelay('api'), 2200, 'Should not speed up before the streak completes');
+        limiter.onResponse('api', 200);
+        assert.strictEqual(limiter.getDelay('api'), 1650, 'Should speed up by one step');
+        for (let i = 0; i < 200; i++) limiter.onSuccess('api');
+        assert.strictEqual(limiter.getDelay('api'), 100, 'Should settle at minDelay');
+
+        // Test 5: A slow-down resets the healthy streak
+        limiter.onError('api');
+        for (let i = 0; i < 9; i++) limiter.onSuccess('api');
+        assert.strictEqual(limiter.getDelay('api'), 1100, 'Streak should restart after an error');
+    } finally {
+        console.log = originalLog;
+    }
+
+    console.log('  ✅ 429/503 pauses, block slow-downs and gradual speed-up');
+    console.log('✅ All adaptive behavior tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Rate Limiter Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testParseRetryAfter();
+        await testPacing();
+        await testAdaptive();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All rate limiter module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testParseRetryAfter,
+    testPacing,
+    testAdaptive
+};
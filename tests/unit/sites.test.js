@@ -0,0 +1,136 @@
+/**
+ * Unit tests for sites module (src/lib/sites.js)
+ * Tests site resolution, base URL validation and per-site payload quirks
+ */
+
+const assert = require('assert');
+const { resolveSite, normalizeBaseUrl, DEFAULT_BASE_URL } = require('../../src/lib/sites.js');
+const { buildSearchPayload, mapListingItem } = require('../../src/lib/api.js');
+
+/**
+ * Test Suite: resolveSite
+ */
+function testResolveSite() {
+    console.log('\n📋 Testing resolveSite...');
+
+    // Test 1: Default site keeps the original Harvard Catalyst endpoints
+    const harvard = resolveSite();
+    assert.strictEqual(harvard.profile, 'harvard', 'Default should be the Harvard profile');
+    assert.strictEqual(harvard.id, 'connects.catalyst.harvard.edu', 'Site id should be the host');
+    assert.strictEqual(
+        harvard.searchEndpoint,
+        'https://connects.catalyst.harvard.edu/profiles/Search/SearchSvc.aspx?SearchType=person',
+        'Search endpoint should match the original'
+    );
+    assert.strictEqual(
+        harvard.profileBase,
+        'https://connects.catalyst.harvard.edu/profiles/display/Person',
+        'Profile base should match the original'
+    );
+    assert.strictEqual(harvard.facetsKey, 'FACETS', 'Harvard facets keep the original key');
+    console.log('  ✅ Default site matches original endpoints');
+
+    // Test 2: Unknown host falls back to the generic profile
+    const other = resolveSite({ baseUrl: 'https://profiles.example.edu/profiles/' });
+    assert.strictEqual(other.profile, 'generic', 'Unknown host should use generic profile');
+    assert.strictEqual(other.baseUrl, 'https://profiles.example.edu/profiles', 'Trailing slash should be stripped');
+    assert.strictEqual(other.facetsKey, 'FACETS_profiles_example_edu', 'Facets key should be derived from host');
+    console.log('  ✅ Unknown host uses generic profile');
+
+    // Test 3: Overrides win over the profile
+    const custom = resolveSite({
+        baseUrl: 'https://profiles.example.edu/profiles',
+        siteOverrides: { profilePath: '/display/person', unsupportedFields: ['OtherOptionsName'] }
+    });
+    assert.strictEqual(custom.profileBase, 'https://profiles.example.edu/profiles/display/person', 'Path override applied');
+    assert.deepStrictEqual(custom.unsupportedFields, ['OtherOptionsName'], 'Quirk override applied');
+    console.log('  ✅ Overrides applied');
+
+    // Test 4: Unknown profile name rejected
+    assert.throws(() => resolveSite({ siteProfile: 'nope' }), /Unknown site profile/, 'Should reject unknown profile');
+    assert.strictEqual(resolveSite({ siteProfile: 'auto' }).profile, 'harvard', '"auto" should detect from host');
+    console.log('  ✅ Profile names checked');
+
+    console.log('✅ All resolveSite tests passed!');
+}
+
+/**
+ * Test Suite: normalizeBaseUrl
+ */
+function testNormalizeBaseUrl() {
+    console.log('\n📋 Testing normalizeBaseUrl...');
+
+    // Test 1: Query strings and trailing slashes dropped
+    assert.strictEqual(normalizeBaseUrl(' https://x.edu/profiles//?a=1 '), 'https://x.edu/profiles', 'Should normalize URL');
+    assert.strictEqual(normalizeBaseUrl(DEFAULT_BASE_URL), DEFAULT_BASE_URL, 'Default should be unchanged');
+    console.log('  ✅ URLs normalized');
+
+    // Test 2: Invalid URLs rejected
+    assert.throws(() => normalizeBaseUrl('not a url'), /Invalid base URL/, 'Should reject invalid URL');
+    assert.throws(() => normalizeBaseUrl('ftp://x.edu/profiles'), /http or https/, 'Should reject non-http URL');
+    console.log('  ✅ Invalid URLs rejected');
+
+    console.log('✅ All normalizeBaseUrl tests passed!');
+}
+
+/**
+ * Test Suite: Site-specific search and listing
+ */
+function testSiteQuirks() {
+    console.log('\n📋 Testing site quirks...');
+
+    const site = resolveSite({
+        baseUrl: 'https://profiles.example.edu/profiles',
+        siteOverrides: { searchType: 'person', payloadExtras: { Lang: 'en' }, unsupportedFields: ['OtherOptionsName', 'FacultyTypeName'] }
+    });
+
+    // Test 1: Payload follows the site profile
+    const payload = buildSearchPayload({ keyword: 'cancer', site }, 10, 1);
+    assert.strictEqual(payload.SearchType, 'person', 'SearchType should come from the site');
+    assert.strictEqual(payload.Lang, 'en', 'Extra fields should be added');
+    assert(!('OtherOptionsName' in payload) && !('FacultyTypeName' in payload), 'Unsupported fields should be dropped');
+    console.log('  ✅ Payload quirks applied');
+
+    // Test 2: Listing items point at the site
+    const profile = mapListingItem({ PersonID: 42 }, { site });
+    assert.strictEqual(profile.profileUrl, 'https://profiles.example.edu/profiles/display/Person/42', 'Profile URL should use the site');
+    assert.strictEqual(profile.sourceSite, 'profiles.example.edu', 'Profile should carry sourceSite');
+    console.log('  ✅ Listing items tagged with the site');
+
+    console.log('✅ All site quirk tests passed!');
+}
+
+/**
+ * Main test runner
+ */
+async function runTests() {
+    console.log('🧪 Running Sites Module Unit Tests...\n');
+    console.log('='.repeat(50));
+
+    try {
+        testResolveSite();
+        testNormalizeBaseUrl();
+        testSiteQuirks();
+
+        console.log('\n' + '='.repeat(50));
+        console.log('✅ All sites module tests passed successfully!');
+        console.log('='.repeat(50) + '\n');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error('Stack trace:', error.stack);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = {
+    testResolveSite,
+    testNormalizeBaseUrl,
+    testSiteQuirks
+};
@@ -361,6 +361,129 @@ async function runTests() {
         failed++;
     }
 
+    // Test 14: Start fresh when advanced search params differ
+    try {
+        resetMockState();
+        mockState['SCRAPING_STATE'] = {
+            processedIds: [123],
+            totalProcessed: 1,
+            totalRequested: 100,
+            searchParams: { ...searchParams, facultyType: 'Full Professor', sort: 'name' },
+            startedAt: new Date().toISOString()
+        };
+
+        const stateManager = new StateManager(mockActor);
+        const isResumed = await stateManager.initialize({ ...searchParams, sort: 'name' }, 100);
+
+        assertEqual(isResumed, false, 'Should not resume when facultyType differs');
+
+        console.log('  ✓ Start fresh when advanced search params differ');
+        passed++;
+    } catch (error) {
+        console.log(`  ✗ Start fresh when advanced search params differ: ${error.message}`);
+        failed++;
+    }
+
+    // Test 15: Resume legacy state saved without advanced params
+    try {
+        resetMockState();
+        mockState['SCRAPING_STATE'] = {
+            processedIds: [123],
+            totalProcessed: 1,
+            totalRequested: 100,
+            searchParams: searchParams,
+            startedAt: new Date().toISOString()
+        };
+
+        const stateManager = new StateManager(mockActor);
+        const isResumed = await stateManager.initialize({
+            ...searchParams,
+            firstName: '',
+            otherOptions: [],
+            keywordExact: false,
+            sort: 'relevance'
+        }, 100);
+
+        assertEqual(isResumed, true, 'Default advanced params should match legacy state');
+
+        console.log('  ✓ Resume legacy state without advanced params');
+        passed++;
+    } catch (error) {
+        console.log(`  ✗ Resume legacy state without advanced params: ${error.message}`);
+        failed++;
+    }
+
+    // Test 16: Start fresh when batch queries differ
+    try {
+        resetMockState();
+        mockState['SCRAPING_STATE'] = {
+            processedIds: [123],
+            totalProcessed: 1,
+            totalRequested: 100,
+            searchParams: { ...searchParams, queries: [{ searchKeywords: 'cancer' }] },
+            startedAt: new Date().toISOString()
+        };
+
+        const stateManager = new StateManager(mockActor);
+        const sameQueries = await stateManager.initialize(
+            { ...searchParams, queries: [{ searchKeywords: 'cancer' }] }, 100
+        );
+        assertEqual(sameQueries, true, 'Should resume with the same queries');
+
+        mockState['SCRAPING_STATE'] = {
+            processedIds: [123],
+            totalProcessed: 1,
+            totalRequested: 100,
+            searchParams: { ...searchParams, queries: [{ searchKeywords: 'cancer' }] },
+            startedAt: new Date().toISOString()
+        };
+        const otherQueries = await new StateManager(mockActor).initialize(
+            { ...searchParams, queries: [{ searchKeywords: 'cancer' }, { searchKeywords: 'heart' }] }, 100
+        );
+        assertEqual(otherQueries, false, 'Should not resume when queries differ');
+
+        console.log('  ✓ Start fresh when batch queries differ');
+        passed++;
+    } catch (error) {
+        console.log(`  ✗ Start fresh when batch queries differ: ${error.message}`);
+        failed++;
+    }
+
+    // Test 17: Start fresh when the site differs, legacy states count as Harvard Catalyst
+    try {
+        resetMockState();
+        mockState['SCRAPING_STATE'] = {
+            processedIds: [123],
+            totalProcessed: 1,
+            totalRequested: 100,
+            searchParams: { ...searchParams },
+            startedAt: new Date().toISOString()
+        };
+
+        const sameSite = await new StateManager(mockActor).initialize(
+            { ...searchParams, baseUrl: 'https://connects.catalyst.harvard.edu/profiles' }, 100
+        );
+        assertEqual(sameSite, true, 'Legacy state should resume on the default site');
+
+        mockState['SCRAPING_STATE'] = {
+            processedIds: [123],
+            totalProcessed: 1,
+            totalRequested: 100,
+            searchParams: { ...searchParams },
+            startedAt: new Date().toISOString()
+        };
+        const otherSite = await new StateManager(mockActor).initialize(
+            { ...searchParams, baseUrl: 'https://profiles.example.edu/profiles' }, 100
+        );
+        assertEqual(otherSite, false, 'Should not resume on another site');
+
+        console.log('  ✓ Start fresh when the site differs');
+        passed++;
+    } catch (error) {
+        console.log(`  ✗ Start fresh when the site differs: ${error.message}`);
+        failed++;
+    }
+
     // Summary
     console.log(`\n📊 StateManager Tests: ${passed} passed, ${failed} failed\n`);
 